@@ -0,0 +1,75 @@
+// @ts-check
+
+import { SongContext } from './song-context.js';
+import { TapeDeck } from './tape-deck.js';
+
+/**
+ * Where imported audio is placed: at a tape time, at a bar (1 is the start of
+ * the song), at a position written as bars:beats:ticks or seconds (see
+ * `MusicalTime.parse`), or at the start of a section.
+ * @typedef {{timeS?: number, bar?: number, position?: string, section?: string}} ImportPosition
+ */
+
+/**
+ * Decodes audio files (WAV, MP3, OGG, FLAC, or anything else the browser
+ * supports) and places them on the tape deck as new takes.
+ */
+export class AudioImporter {
+  /** @type {BaseAudioContext} */
+  #audioCtx;
+  /** @type {TapeDeck} */
+  #tapeDeck;
+  /** @type {SongContext} */
+  #songContext;
+
+  /**
+   * @param {BaseAudioContext} audioCtx
+   * @param {TapeDeck} tapeDeck
+   * @param {SongContext} songContext
+   */
+  constructor(audioCtx, tapeDeck, songContext) {
+    this.#audioCtx = audioCtx;
+    this.#tapeDeck = tapeDeck;
+    this.#songContext = songContext;
+  }
+
+  /**
+   * @param {ImportPosition} position
+   * @returns {number} The tape time of the position.
+   */
+  getStartTimeS({ timeS, bar, position, section }) {
+    if (section) {
+      return this.#songContext.getSection(section).startTimeS;
+    }
+    if (bar !== undefined) {
+      return this.#songContext.getBarTimeS(bar);
+    }
+    if (position !== undefined) {
+      return this.#songContext.musicalTime.parse(position);
+    }
+    return timeS || 0;
+  }
+
+  /**
+   * Decodes a file and adds it as a new take.
+   * @param {File} file
+   * @param {ImportPosition & {trackNumber?: number}} [options] If no track number
+   *   is given, the audio goes on a new track.
+   * @returns {Promise<{trackNumber: number, takeNumber: number}>}
+   */
+  async importFile(file, { trackNumber, ...position } = {}) {
+    const startS = this.getStartTimeS(position);
+    // decodeAudioData resamples to the context's sample rate.
+    let buffer;
+    try {
+      buffer = await this.#audioCtx.decodeAudioData(await file.arrayBuffer());
+    } catch (error) {
+      throw new Error(`Could not decode "${file.name}": ${error.message}`);
+    }
+    const channels = [];
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+      channels.push(buffer.getChannelData(c));
+    }
+    return this.#tapeDeck.importTake(channels, startS, { trackNumber, name: `"${file.name}"` });
+  }
+}
@@ -0,0 +1,128 @@
+// @ts-check
+
+/**
+ * Offline processing of audio held as one Float32Array per channel.
+ * Everything works in place.
+ */
+
+/**
+ * @typedef {'linear' | 'exponential' | 'logarithmic' | 's-curve' | 'equal-power'} FadeCurve
+ */
+
+/** @type {FadeCurve[]} */
+export const FADE_CURVES = ['linear', 'exponential', 'logarithmic', 's-curve', 'equal-power'];
+
+/**
+ * @param {FadeCurve} curve
+ * @param {number} t How far through a fade in, from 0 to 1.
+ * @returns {number} The gain at that point.
+ */
+function fadeInGain(curve, t) {
+  switch (curve) {
+    case 'linear': return t;
+    // Slow start, fast finish.
+    case 'exponential': return t * t;
+    // Fast start, slow finish.
+    case 'logarithmic': return 1 - (1 - t) * (1 - t);
+    case 's-curve': return (1 - Math.cos(Math.PI * t)) / 2;
+    case 'equal-power': return Math.sin(Math.PI / 2 * t);
+    default: throw new Error(`Unknown fade curve: ${curve}`);
+  }
+}
+
+/**
+ * @param {Float32Array[]} channels
+ * @param {number} gain Linear gain.
+ */
+export function applyGain(channels, gain) {
+  for (const channel of channels) {
+    for (let i = 0; i < channel.length; i++) {
+      channel[i] *= gain;
+    }
+  }
+}
+
+/**
+ * Fades the whole of the audio in from silence, or out to silence.
+ * @param {Float32Array[]} channels
+ * @param {'in' | 'out'} direction
+ * @param {FadeCurve} curve
+ */
+export function applyFade(channels, direction, curve) {
+  const frameCount = channels[0].length;
+  for (let i = 0; i < frameCount; i++) {
+    const t = (i + 0.5) / frameCount;
+    const gain = fadeInGain(curve, direction === 'in' ? t : 1 - t);
+    for (const channel of channels) {
+      channel[i] *= gain;
+    }
+  }
+}
+
+/**
+ * @param {Float32Array[]} channels
+ */
+export function reverse(channels) {
+  for (const channel of channels) {
+    channel.reverse();
+  }
+}
+
+/**
+ * Removes DC offset with a first-order high-pass filter at a few Hz, which
+ * also follows an offset that drifts.  Digital silence stays (nearly) silent.
+ * @param {Float32Array[]} channels
+ * @param {number} sampleRate
+ */
+export function removeDC(channels, sampleRate) {
+  const r = Math.exp(-2 * Math.PI * 5 / sampleRate);
+  for (const channel of channels) {
+    // Starting from the first sample avoids a step at the start of the range.
+    let previousInput = channel[0] || 0;
+    let output = 0;
+    for (let i = 0; i < channel.length; i++) {
+      const input = channel[i];
+      output = input - previousInput + r * output;
+      previousInput = input;
+      channel[i] = output;
+    }
+  }
+}
+
+/**
+ * @param {Float32Array[]} channels
+ * @returns {number} The peak absolute sample value over all channels.
+ */
+export function measurePeak(channels) {
+  let peak = 0;
+  for (const channel of channels) {
+    for (let i = 0; i < channel.length; i++) {
+      peak = Math.max(peak, Math.abs(channel[i]));
+    }
+  }
+  return peak;
+}
+
+/**
+ * @param {Float32Array[]} channels
+ * @returns {number} The RMS over all channels.
+ */
+export function measureRms(channels) {
+  let sumOfSquares = 0;
+  let count = 0;
+  for (const channel of channels) {
+    for (let i = 0; i < channel.length; i++) {
+      sumOfSquares += channel[i] * channel[i];
+    }
+    count += channel.length;
+  }
+  return count > 0 ? Math.sqrt(sumOfSquares / count) : 0;
+}
+
+/**
+ * @param {number} db
+ * @returns {number} The linear gain.
+ */
+export function dbToGain(db) {
+  return Math.pow(10, db / 20);
+}
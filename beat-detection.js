@@ -0,0 +1,149 @@
+// @ts-check
+
+/**
+ * Offline tempo and beat detection for audio that was played without a click.
+ *
+ * The audio is reduced to an onset envelope (how sharply the level rises,
+ * every 10 ms).  The tempo is the period at which the envelope best matches
+ * itself, preferring tempos near 120 BPM to settle which of the half, double
+ * and actual tempo is meant.  The period and phase of the beats are then
+ * fine-tuned together to line up with the onsets, and the downbeat is the
+ * beat of the bar with the strongest onsets.
+ */
+
+/**
+ * @typedef {Object} TempoEstimate
+ * @property {number} bpm
+ * @property {number} firstBeatS The time of the first beat that is played.
+ * @property {number} downbeatS The time of the first downbeat.
+ * @property {number} confidence From 0 to 1; how strongly the audio repeats at the tempo.
+ */
+
+const HOP_S = 0.01;
+
+/**
+ * @param {Float32Array[]} channels
+ * @param {number} sampleRate
+ * @param {{minBpm?: number, maxBpm?: number, beatsPerMeasure?: number}} [options]
+ * @returns {TempoEstimate}
+ */
+export function detectTempo(channels, sampleRate, { minBpm = 60, maxBpm = 200, beatsPerMeasure = 4 } = {}) {
+  const onsets = onsetEnvelope(channels, sampleRate);
+  const minLag = Math.floor(60 / maxBpm / HOP_S);
+  const maxLag = Math.ceil(60 / minBpm / HOP_S);
+  if (onsets.length < maxLag * 4) {
+    throw new Error('There is not enough audio to detect the tempo; record at least a few bars.');
+  }
+
+  const mean = onsets.reduce((sum, value) => sum + value, 0) / onsets.length;
+  const centered = onsets.map(value => value - mean);
+  const energy = autocorrelation(centered, 0);
+  if (!(energy > 0)) {
+    throw new Error('The audio is silent or has no clear beat.');
+  }
+  /** @type {number[]} */
+  const scores = [];
+  let bestLag = minLag;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    const bpm = 60 / (lag * HOP_S);
+    // Weight tempos by how far they are from 120 BPM, in octaves.
+    const octaves = Math.log2(bpm / 120);
+    scores[lag] = autocorrelation(centered, lag) * Math.exp(-0.5 * octaves * octaves);
+    if (scores[lag] > scores[bestLag]) {
+      bestLag = lag;
+    }
+  }
+  // Onsets fall on whole hops, so allow a hop either side when lining beats up.
+  const widened = onsets.map((value, i) => Math.max(value, onsets[i - 1] || 0, onsets[i + 1] || 0));
+  let period = bestLag;
+  let phase = 0;
+  let bestScore = -Infinity;
+  for (let candidate = bestLag - 1; candidate <= bestLag + 1; candidate += 0.01) {
+    const { phase: candidatePhase, score } = bestPhase(widened, candidate, (i) => i, Math.ceil(candidate));
+    if (score > bestScore) {
+      bestScore = score;
+      period = candidate;
+      phase = candidatePhase;
+    }
+  }
+
+  // The first beat that is played is the first at (or just before) a clear onset.
+  const peak = onsets.reduce((max, value) => Math.max(max, value), 0);
+  const firstOnset = onsets.findIndex(value => value > 0.3 * peak);
+  const firstBeat = phase + Math.max(0, Math.ceil((firstOnset - 2 - phase) / period)) * period;
+  // Try each beat of the bar as the downbeat.
+  const downbeat = bestPhase(widened, period * beatsPerMeasure, (beat) => firstBeat + beat * period, beatsPerMeasure).phase;
+
+  return {
+    bpm: 60 / (period * HOP_S),
+    firstBeatS: firstBeat * HOP_S,
+    downbeatS: downbeat * HOP_S,
+    confidence: Math.max(0, Math.min(1, autocorrelation(centered, bestLag) / energy)),
+  };
+}
+
+/**
+ * @param {Float32Array[]} channels
+ * @param {number} sampleRate
+ * @returns {Float32Array} The rise in log energy every `HOP_S`.
+ */
+function onsetEnvelope(channels, sampleRate) {
+  const hop = Math.round(HOP_S * sampleRate);
+  const frameCount = Math.floor(channels[0].length / hop);
+  const onsets = new Float32Array(frameCount);
+  let previousLevel = 0;
+  for (let f = 0; f < frameCount; f++) {
+    let energy = 0;
+    for (const channel of channels) {
+      // Differencing the samples emphasizes transients over sustained low notes.
+      for (let i = Math.max(1, f * hop); i < (f + 1) * hop; i++) {
+        const difference = channel[i] - channel[i - 1];
+        energy += difference * difference;
+      }
+    }
+    const level = Math.log(1e-10 + energy / hop);
+    onsets[f] = f > 0 ? Math.max(0, level - previousLevel) : 0;
+    previousLevel = level;
+  }
+  return onsets;
+}
+
+/**
+ * @param {Float32Array} values
+ * @param {number} lag
+ * @returns {number} The mean product of values `lag` apart.
+ */
+function autocorrelation(values, lag) {
+  let sum = 0;
+  for (let i = 0; i + lag < values.length; i++) {
+    sum += values[i] * values[i + lag];
+  }
+  return sum / (values.length - lag);
+}
+
+/**
+ * Finds where a pulse of the given period best lines up with the onsets.
+ * @param {Float32Array} onsets
+ * @param {number} period In hops.
+ * @param {(candidate: number) => number} toPhase Where candidate `i` starts, in hops.
+ * @param {number} candidateCount
+ * @returns {{phase: number, score: number}} The best phase, in hops, and its mean onset.
+ */
+function bestPhase(onsets, period, toPhase, candidateCount) {
+  let best = toPhase(0);
+  let bestScore = -Infinity;
+  for (let candidate = 0; candidate < candidateCount; candidate++) {
+    const phase = toPhase(candidate);
+    let score = 0;
+    let count = 0;
+    for (let position = phase; position < onsets.length; position += period) {
+      score += onsets[Math.round(position)] || 0;
+      count++;
+    }
+    if (count > 0 && score / count > bestScore) {
+      bestScore = score / count;
+      best = phase;
+    }
+  }
+  return { phase: best, score: bestScore };
+}
@@ -1,5 +1,6 @@
 // @ts-check
 
+import { MusicalTime } from "./musical-time.js";
 import { RecordHandler } from "./record-handler.js";
 import { SongContext } from "./song-context.js";
 import { TapeDeck, TransportEvent } from "./tape-deck.js";
@@ -81,7 +82,7 @@ export class BeatVU {
   setTiming({ bpm, beatsPerMeasure }) {
     this.#bpm = bpm ?? this.#bpm;
     this.#beatsPerMeasure = beatsPerMeasure ?? this.#beatsPerMeasure;
-    this.#totalDurationS = this.#beatsPerMeasure * 60 / this.#bpm;
+    this.#totalDurationS = new MusicalTime(this.#bpm, this.#beatsPerMeasure).barDurationS;
   }
 
   /**
@@ -101,7 +102,7 @@ export class BeatVU {
   /**
    * @param {SampleData} data
    */
-  #handleSamples({ startTimeS, samples, rms, peak, maxPeakIndex }) {
+  #handleSamples({ startTimeS, frameCount, rms, peak, maxPeakIndex }) {
     if (!this.#tapeZeroTimeS) {
       return;
     }
@@ -112,7 +113,7 @@ export class BeatVU {
     const rmsY = this.#valueToY(rms);
     const timeOnCanvasS = (startTimeS - this.#tapeZeroTimeS) % this.#totalDurationS;
     const rmsX = (timeOnCanvasS / this.#totalDurationS) * this.#canvas.width;
-    const durationS = samples.length / sampleRate;
+    const durationS = frameCount / sampleRate;
     const rectWidth = (durationS / this.#totalDurationS) * this.#canvas.width;
 
     this.#ctx.fillStyle = 'rgba(0, 255, 0, 0.75)';
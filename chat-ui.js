@@ -25,4 +25,16 @@ export class ChatUI {
     // Scroll to the bottom of the chat history
     this.#chatHistoryElement.scrollTop = this.#chatHistoryElement.scrollHeight;
   }
+
+  /**
+   * Appends an element (e.g. a progress bar or download link) to the chat history as a model message.
+   * @param {HTMLElement} element
+   */
+  displayElement(element) {
+    const messageDiv = document.createElement('div');
+    messageDiv.className = 'message model-message';
+    messageDiv.appendChild(element);
+    this.#chatHistoryElement.appendChild(messageDiv);
+    this.#chatHistoryElement.scrollTop = this.#chatHistoryElement.scrollHeight;
+  }
 }
\ No newline at end of file
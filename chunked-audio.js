@@ -0,0 +1,266 @@
+// @ts-check
+
+/**
+ * Multichannel audio of unbounded length, stored as fixed-size chunks.
+ * Chunks are only allocated where audio has been written, so silence costs
+ * nothing.  Each chunk is an AudioBuffer, which lets playback schedule the
+ * chunks directly, back to back, without copying them.
+ *
+ * Chunks can be shared between instances (see `copyFrom`); an instance only
+ * writes to chunks it owns, and copies shared chunks before modifying them.
+ */
+export class ChunkedAudio {
+  /** @type {number} */
+  #channelCount;
+  /** @type {number} */
+  #sampleRate;
+  /** @type {(AudioBuffer | null)[]} Null chunks are silent. */
+  #chunks = [];
+  /** @type {Set<AudioBuffer>} Chunks that no other instance refers to. */
+  #ownedChunks = new Set();
+
+  static CHUNK_FRAMES = 1 << 17; // About 3 seconds at 44.1 or 48 kHz.
+
+  /**
+   * @param {number} channelCount
+   * @param {number} sampleRate
+   */
+  constructor(channelCount, sampleRate) {
+    this.#channelCount = channelCount;
+    this.#sampleRate = sampleRate;
+  }
+
+  /** @returns {number} */
+  get channelCount() { return this.#channelCount; }
+
+  /** @returns {number} */
+  get sampleRate() { return this.#sampleRate; }
+
+  /** @returns {number} The end of the last allocated chunk, in frames. */
+  get length() {
+    let i = this.#chunks.length;
+    while (i > 0 && !this.#chunks[i - 1]) {
+      i--;
+    }
+    return i * ChunkedAudio.CHUNK_FRAMES;
+  }
+
+  /**
+   * Writes audio, allocating chunks as needed.  Silent input does not allocate chunks.
+   * @param {number} startFrame
+   * @param {Float32Array[]} channels One array per channel, all the same length.
+   */
+  write(startFrame, channels) {
+    const endFrame = startFrame + channels[0].length;
+    for (const range of this.#chunkRanges(startFrame, endFrame)) {
+      const sources = channels.map(channel => channel.subarray(
+        range.startFrame - startFrame, range.endFrame - startFrame));
+      if (!this.#chunks[range.index] && sources.every(isSilent)) {
+        continue;
+      }
+      const chunk = this.#getWritableChunk(range.index);
+      for (let c = 0; c < this.#channelCount; c++) {
+        chunk.getChannelData(c).set(sources[c], range.startFrame - range.chunkStartFrame);
+      }
+    }
+  }
+
+  /**
+   * Copies a range of audio from another instance (with the same channel count)
+   * to the same position in this one.  Whole chunks are shared rather than copied.
+   * @param {ChunkedAudio} source
+   * @param {number} startFrame
+   * @param {number} endFrame
+   */
+  copyFrom(source, startFrame, endFrame) {
+    for (const range of this.#chunkRanges(startFrame, endFrame)) {
+      const sourceChunk = source.#chunks[range.index] || null;
+      const isWholeChunk = range.startFrame === range.chunkStartFrame &&
+        range.endFrame === range.chunkStartFrame + ChunkedAudio.CHUNK_FRAMES;
+      if (isWholeChunk) {
+        this.#ownedChunks.delete(/** @type {AudioBuffer} */(this.#chunks[range.index]));
+        this.#chunks[range.index] = sourceChunk;
+        if (sourceChunk) {
+          source.#ownedChunks.delete(sourceChunk);
+        }
+        continue;
+      }
+      if (!sourceChunk && !this.#chunks[range.index]) {
+        continue;
+      }
+      const offset = range.startFrame - range.chunkStartFrame;
+      const frameCount = range.endFrame - range.startFrame;
+      const chunk = this.#getWritableChunk(range.index);
+      for (let c = 0; c < this.#channelCount; c++) {
+        const destination = chunk.getChannelData(c).subarray(offset, offset + frameCount);
+        if (sourceChunk) {
+          destination.set(sourceChunk.getChannelData(c).subarray(offset, offset + frameCount));
+        } else {
+          destination.fill(0);
+        }
+      }
+    }
+  }
+
+  /**
+   * Copies a range of audio from another instance to a different position in
+   * this one, one chunk at a time.
+   * @param {ChunkedAudio} source
+   * @param {number} startFrame The start of the range in the source.
+   * @param {number} endFrame The end of the range in the source.
+   * @param {number} byFrames How far the audio moves; negative is earlier.
+   */
+  copyFromShifted(source, startFrame, endFrame, byFrames) {
+    if (byFrames === 0) {
+      this.copyFrom(source, startFrame, endFrame);
+      return;
+    }
+    for (let frame = startFrame; frame < endFrame; frame += ChunkedAudio.CHUNK_FRAMES) {
+      this.write(frame + byFrames, source.read(frame, Math.min(endFrame, frame + ChunkedAudio.CHUNK_FRAMES)));
+    }
+  }
+
+  /**
+   * Silences a range, releasing chunks that are entirely inside it.
+   * @param {number} startFrame
+   * @param {number} endFrame
+   */
+  clear(startFrame, endFrame) {
+    for (const range of this.#chunkRanges(startFrame, endFrame)) {
+      const chunk = this.#chunks[range.index];
+      if (!chunk) {
+        continue;
+      }
+      if (range.startFrame === range.chunkStartFrame &&
+        range.endFrame === range.chunkStartFrame + ChunkedAudio.CHUNK_FRAMES) {
+        this.#ownedChunks.delete(chunk);
+        this.#chunks[range.index] = null;
+        continue;
+      }
+      const writable = this.#getWritableChunk(range.index);
+      for (let c = 0; c < this.#channelCount; c++) {
+        writable.getChannelData(c).fill(0,
+          range.startFrame - range.chunkStartFrame, range.endFrame - range.chunkStartFrame);
+      }
+    }
+  }
+
+  /**
+   * @returns {ChunkedAudio} A copy that shares this instance's chunks.
+   */
+  clone() {
+    const copy = new ChunkedAudio(this.#channelCount, this.#sampleRate);
+    copy.copyFrom(this, 0, this.length);
+    return copy;
+  }
+
+  /**
+   * Copies a range of audio into arrays.  Unallocated ranges read as silence.
+   * @param {number} startFrame
+   * @param {number} endFrame
+   * @param {Float32Array[]} [destination] One array per channel to copy into;
+   *   new arrays are allocated if unspecified.
+   * @param {number} [destinationOffset] Where in the destination to start writing.
+   * @returns {Float32Array[]}
+   */
+  read(startFrame, endFrame, destination, destinationOffset = 0) {
+    const channels = destination || Array.from({ length: this.#channelCount },
+      () => new Float32Array(endFrame - startFrame));
+    for (const range of this.#chunkRanges(startFrame, endFrame)) {
+      const chunk = this.#chunks[range.index];
+      if (!chunk) {
+        continue;
+      }
+      const offset = range.startFrame - range.chunkStartFrame;
+      const frameCount = range.endFrame - range.startFrame;
+      for (let c = 0; c < channels.length; c++) {
+        channels[c].set(chunk.getChannelData(c).subarray(offset, offset + frameCount),
+          destinationOffset + range.startFrame - startFrame);
+      }
+    }
+    return channels;
+  }
+
+  /**
+   * Lists the allocated chunks over a range, e.g. to schedule them for playback.
+   * @param {number} startFrame
+   * @param {number} endFrame
+   * @returns {{buffer: AudioBuffer, startFrame: number, endFrame: number, offsetFrame: number}[]}
+   *   For each chunk, the range of frames it covers and where that range starts within the chunk.
+   */
+  getBuffers(startFrame, endFrame) {
+    const buffers = [];
+    for (const range of this.#chunkRanges(startFrame, endFrame)) {
+      const chunk = this.#chunks[range.index];
+      if (chunk) {
+        buffers.push({
+          buffer: chunk,
+          startFrame: range.startFrame,
+          endFrame: range.endFrame,
+          offsetFrame: range.startFrame - range.chunkStartFrame,
+        });
+      }
+    }
+    return buffers;
+  }
+
+  /**
+   * @param {number} startFrame
+   * @param {number} endFrame
+   * @returns {Generator<{index: number, chunkStartFrame: number, startFrame: number, endFrame: number}>}
+   *   The part of each chunk that overlaps the range.
+   */
+  *#chunkRanges(startFrame, endFrame) {
+    const chunkFrames = ChunkedAudio.CHUNK_FRAMES;
+    startFrame = Math.max(0, startFrame);
+    for (let index = Math.floor(startFrame / chunkFrames); index * chunkFrames < endFrame; index++) {
+      const chunkStartFrame = index * chunkFrames;
+      yield {
+        index,
+        chunkStartFrame,
+        startFrame: Math.max(startFrame, chunkStartFrame),
+        endFrame: Math.min(endFrame, chunkStartFrame + chunkFrames),
+      };
+    }
+  }
+
+  /**
+   * @param {number} index
+   * @returns {AudioBuffer} A chunk this instance owns, copied or allocated as needed.
+   */
+  #getWritableChunk(index) {
+    const chunk = this.#chunks[index];
+    if (chunk && this.#ownedChunks.has(chunk)) {
+      return chunk;
+    }
+    const writable = new AudioBuffer({
+      numberOfChannels: this.#channelCount,
+      length: ChunkedAudio.CHUNK_FRAMES,
+      sampleRate: this.#sampleRate,
+    });
+    if (chunk) {
+      for (let c = 0; c < this.#channelCount; c++) {
+        writable.copyToChannel(chunk.getChannelData(c), c);
+      }
+    }
+    while (this.#chunks.length < index) {
+      this.#chunks.push(null);
+    }
+    this.#chunks[index] = writable;
+    this.#ownedChunks.add(writable);
+    return writable;
+  }
+}
+
+/**
+ * @param {Float32Array} samples
+ * @returns {boolean}
+ */
+function isSilent(samples) {
+  for (let i = 0; i < samples.length; i++) {
+    if (samples[i] !== 0) {
+      return false;
+    }
+  }
+  return true;
+}
@@ -0,0 +1,36 @@
+// @ts-check
+
+/**
+ * Measures, and if asked cancels, the click that leaked into a take, away
+ * from the main thread: correlating a long take takes seconds.
+ *
+ * Each request has an `id`, the take's `channels`, the `clicks` that played
+ * over them, the `sampleRate`, whether to `cancel` and the `thresholdDB` to
+ * cancel above.  The reply has the `id`, the bleed of each channel and the
+ * channels, with the click subtracted where it was cancelled.
+ */
+import { measureClickBleed, cancelClickBleed } from './click-bleed.js';
+
+/**
+ * @typedef {Object} ClickBleedRequest
+ * @property {number} id
+ * @property {Float32Array[]} channels The take's audio, one array per channel.
+ * @property {Float32Array} clicks The clicks as they were played, aligned with `channels`.
+ * @property {number} sampleRate
+ * @property {boolean} cancel Whether to subtract the click.
+ * @property {number} thresholdDB The bleed above which the click is subtracted.
+ */
+
+/** @param {MessageEvent<ClickBleedRequest>} event */
+self.onmessage = (event) => {
+  const { id, channels, clicks, sampleRate, cancel, thresholdDB } = event.data;
+  const bleed = channels.map((samples, c) => {
+    const { bleedDB, lagS } = measureClickBleed(samples, clicks, sampleRate);
+    if (cancel && bleedDB > thresholdDB) {
+      channels[c] = cancelClickBleed(samples, clicks, sampleRate, lagS);
+      return { clickBleedDB: bleedDB, clickBleedCancelled: true };
+    }
+    return { clickBleedDB: bleedDB, clickBleedCancelled: false };
+  });
+  self.postMessage({ id, bleed, channels }, { transfer: channels.map(samples => samples.buffer) });
+};
@@ -0,0 +1,297 @@
+// @ts-check
+
+/**
+ * Finds and removes metronome click that leaked into a recording, given the
+ * clicks that were played over it.
+ *
+ * The clicks reach the microphone late (through the output, the air and the
+ * input), so the recording is correlated with each click at every delay up
+ * to `MAX_LAG_S`, and the correlations of all the clicks are added up, which
+ * picks the leaked click out from under the performance.  The peak gives the
+ * delay and the leaked level.  Removing the click uses an adaptive filter:
+ * the filter that best turns the clicks into what was recorded, which also
+ * takes in how the speaker and room color the click, fitted to the whole take
+ * by least squares and then subtracted.
+ */
+
+/**
+ * @typedef {Object} ClickBleed
+ * @property {number} bleedDB The peak level of the leaked click, in dB.  -Infinity if there was no click.
+ * @property {number} lagS How late the click arrives in the recording.
+ * @property {number} correlation From 0 to 1; how much of the recording, while clicks play, is click.
+ */
+
+const MAX_LAG_S = 0.25;
+
+/**
+ * @param {Float32Array} samples The recording.
+ * @param {Float32Array} clicks The clicks as they were played, aligned with the recording.
+ * @param {number} sampleRate
+ * @returns {ClickBleed}
+ */
+export function measureClickBleed(samples, clicks, sampleRate) {
+  const runs = clickRuns(clicks);
+  const { crossCorrelation, autocorrelation, whitenedCorrelation } =
+    correlate(samples, clicks, runs, Math.round(MAX_LAG_S * sampleRate));
+  if (!(autocorrelation[0] > 0)) {
+    return { bleedDB: -Infinity, lagS: 0, correlation: 0 };
+  }
+  let lag = 0;
+  for (let candidate = 1; candidate < whitenedCorrelation.length; candidate++) {
+    if (Math.abs(whitenedCorrelation[candidate]) > Math.abs(whitenedCorrelation[lag])) {
+      lag = candidate;
+    }
+  }
+
+  let clickPeak = 0;
+  let recordedEnergy = 0;
+  for (const { start, end } of runs) {
+    for (let i = start; i < end; i++) {
+      clickPeak = Math.max(clickPeak, Math.abs(clicks[i]));
+      const recorded = samples[i + lag] || 0;
+      recordedEnergy += recorded * recorded;
+    }
+  }
+  const product = Math.abs(crossCorrelation[lag]);
+  return {
+    bleedDB: 20 * Math.log10(product / autocorrelation[0] * clickPeak),
+    lagS: lag / sampleRate,
+    correlation: recordedEnergy > 0 ? product / Math.sqrt(autocorrelation[0] * recordedEnergy) : 0,
+  };
+}
+
+/**
+ * Subtracts leaked click from a recording.
+ * @param {Float32Array} samples The recording.
+ * @param {Float32Array} clicks The clicks as they were played, aligned with the recording.
+ * @param {number} sampleRate
+ * @param {number} lagS The delay found by `measureClickBleed`.
+ * @param {{taps?: number}} [options] The length of the filter.  It starts a
+ *   quarter of its length before the delay, in case the delay is a little off.
+ * @returns {Float32Array} The recording without the click.
+ */
+export function cancelClickBleed(samples, clicks, sampleRate, lagS, { taps = 256 } = {}) {
+  const result = samples.slice();
+  const runs = clickRuns(clicks);
+  const delay = Math.max(0, Math.round(lagS * sampleRate) - Math.floor(taps / 4));
+  const { crossCorrelation, autocorrelation } = correlate(samples, clicks, runs, delay + taps);
+  if (!(autocorrelation[0] > 0)) {
+    return result;
+  }
+
+  // Solve for the filter that best predicts the recording from the clicks.
+  // The clicks are narrowband, so a little regularization keeps the filter
+  // from growing where they have no energy.
+  const matrix = [];
+  for (let j = 0; j < taps; j++) {
+    const row = new Float64Array(taps + 1);
+    for (let k = 0; k < taps; k++) {
+      row[k] = autocorrelation[Math.abs(j - k)] || 0;
+    }
+    row[j] += 1e-3 * autocorrelation[0];
+    row[taps] = crossCorrelation[delay + j];
+    matrix.push(row);
+  }
+  const weights = solve(matrix);
+
+  for (const { start, end } of runs) {
+    const last = Math.min(samples.length, end + delay + taps);
+    for (let n = start + delay; n < last; n++) {
+      let estimate = 0;
+      for (let k = Math.max(0, n - delay - end + 1); k < taps && n - delay - k >= start; k++) {
+        estimate += weights[k] * clicks[n - delay - k];
+      }
+      result[n] -= estimate;
+    }
+  }
+  return result;
+}
+
+/**
+ * @param {Float32Array} clicks
+ * @returns {{start: number, end: number}[]} The ranges where clicks play.
+ */
+function clickRuns(clicks) {
+  const runs = [];
+  let start = -1;
+  for (let i = 0; i <= clicks.length; i++) {
+    const playing = i < clicks.length && clicks[i] !== 0;
+    if (playing && start < 0) {
+      start = i;
+    } else if (!playing && start >= 0) {
+      runs.push({ start, end: i });
+      start = -1;
+    }
+  }
+  return runs;
+}
+
+/**
+ * Correlates the recording with each run of clicks, and each run with itself,
+ * and adds the results up, using FFTs.
+ * @param {Float32Array} samples
+ * @param {Float32Array} clicks
+ * @param {{start: number, end: number}[]} runs
+ * @param {number} maxLag
+ * @returns {{crossCorrelation: Float64Array, autocorrelation: Float64Array, whitenedCorrelation: Float64Array}}
+ *   `crossCorrelation[lag]` is the sum of the clicks times the recording
+ *   `lag` frames later, for lags up to `maxLag`.  `whitenedCorrelation` is the
+ *   same with the recording's spectrum flattened, which is better for finding the delay.
+ */
+function correlate(samples, clicks, runs, maxLag) {
+  const longestRun = runs.reduce((longest, { start, end }) => Math.max(longest, end - start), 0);
+  let size = 1;
+  while (size < longestRun + maxLag + 1) {
+    size *= 2;
+  }
+  const crossRe = new Float64Array(size);
+  const crossIm = new Float64Array(size);
+  const autoRe = new Float64Array(size);
+  const recordedPower = new Float64Array(size);
+  const clickRe = new Float64Array(size);
+  const clickIm = new Float64Array(size);
+  const recordedRe = new Float64Array(size);
+  const recordedIm = new Float64Array(size);
+  for (const { start, end } of runs) {
+    clickRe.fill(0);
+    clickIm.fill(0);
+    recordedRe.fill(0);
+    recordedIm.fill(0);
+    for (let i = start; i < end; i++) {
+      clickRe[i - start] = clicks[i];
+    }
+    for (let i = start; i < Math.min(start + size, samples.length); i++) {
+      recordedRe[i - start] = samples[i];
+    }
+    fft(clickRe, clickIm);
+    fft(recordedRe, recordedIm);
+    for (let k = 0; k < size; k++) {
+      // conj(click) * recorded
+      crossRe[k] += clickRe[k] * recordedRe[k] + clickIm[k] * recordedIm[k];
+      crossIm[k] += clickRe[k] * recordedIm[k] - clickIm[k] * recordedRe[k];
+      autoRe[k] += clickRe[k] * clickRe[k] + clickIm[k] * clickIm[k];
+      recordedPower[k] += recordedRe[k] * recordedRe[k] + recordedIm[k] * recordedIm[k];
+    }
+  }
+  // Dividing by the power of the recording favors the frequencies where the
+  // performance is quiet, which sharpens the peak at the delay.
+  const meanPower = recordedPower.reduce((sum, power) => sum + power, 0) / size;
+  const whitenedRe = crossRe.map((value, k) => value / (recordedPower[k] + 1e-3 * meanPower));
+  const whitenedIm = crossIm.map((value, k) => value / (recordedPower[k] + 1e-3 * meanPower));
+  const autoIm = new Float64Array(size);
+  inverseFft(crossRe, crossIm);
+  inverseFft(autoRe, autoIm);
+  inverseFft(whitenedRe, whitenedIm);
+  return {
+    crossCorrelation: crossRe.slice(0, maxLag + 1),
+    autocorrelation: autoRe.slice(0, maxLag + 1),
+    whitenedCorrelation: whitenedRe.slice(0, maxLag + 1),
+  };
+}
+
+/** @type {Map<number, {cos: Float64Array, sin: Float64Array}>} */
+const twiddleCache = new Map();
+
+/**
+ * @param {number} n The FFT size.
+ * @returns {{cos: Float64Array, sin: Float64Array}} The cosine and sine of
+ *   -2πk/n for k up to n/2, which every stage of an FFT of size n uses.
+ */
+function twiddles(n) {
+  let factors = twiddleCache.get(n);
+  if (!factors) {
+    factors = { cos: new Float64Array(n / 2), sin: new Float64Array(n / 2) };
+    for (let k = 0; k < n / 2; k++) {
+      factors.cos[k] = Math.cos(-2 * Math.PI * k / n);
+      factors.sin[k] = Math.sin(-2 * Math.PI * k / n);
+    }
+    twiddleCache.set(n, factors);
+  }
+  return factors;
+}
+
+/**
+ * An in-place radix-2 FFT.
+ * @param {Float64Array} re
+ * @param {Float64Array} im
+ */
+function fft(re, im) {
+  const n = re.length;
+  const { cos, sin } = twiddles(n);
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let length = 2; length <= n; length *= 2) {
+    const stride = n / length;
+    for (let i = 0; i < n; i += length) {
+      for (let k = 0; k < length / 2; k++) {
+        const wRe = cos[k * stride];
+        const wIm = sin[k * stride];
+        const a = i + k;
+        const b = a + length / 2;
+        const tRe = re[b] * wRe - im[b] * wIm;
+        const tIm = re[b] * wIm + im[b] * wRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+      }
+    }
+  }
+}
+
+/**
+ * @param {Float64Array} re
+ * @param {Float64Array} im
+ */
+function inverseFft(re, im) {
+  for (let i = 0; i < im.length; i++) {
+    im[i] = -im[i];
+  }
+  fft(re, im);
+  for (let i = 0; i < re.length; i++) {
+    re[i] /= re.length;
+    im[i] = -im[i] / re.length;
+  }
+}
+
+/**
+ * Solves a linear system by Gaussian elimination with partial pivoting.
+ * @param {Float64Array[]} rows Each row is the coefficients followed by the right-hand side.
+ * @returns {Float64Array} The solution.
+ */
+function solve(rows) {
+  const n = rows.length;
+  for (let column = 0; column < n; column++) {
+    let pivot = column;
+    for (let row = column + 1; row < n; row++) {
+      if (Math.abs(rows[row][column]) > Math.abs(rows[pivot][column])) {
+        pivot = row;
+      }
+    }
+    [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+    for (let row = column + 1; row < n; row++) {
+      const factor = rows[row][column] / rows[column][column];
+      for (let k = column; k <= n; k++) {
+        rows[row][k] -= factor * rows[column][k];
+      }
+    }
+  }
+  const solution = new Float64Array(n);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = rows[row][n];
+    for (let k = row + 1; k < n; k++) {
+      sum -= rows[row][k] * solution[k];
+    }
+    solution[row] = sum / rows[row][row];
+  }
+  return solution;
+}
@@ -0,0 +1,92 @@
+// @ts-check
+
+/**
+ * @typedef {'sine' | 'woodblock' | 'cowbell' | 'sample'} ClickVoice
+ */
+
+/**
+ * The three clicks a voice makes: for accented beats (the downbeat and the
+ * start of each accent group), for other beats, and for subdivisions.
+ * @typedef {{accent: Float32Array, beat: Float32Array, subdivision: Float32Array}} ClickSounds
+ */
+
+/** @type {ClickVoice[]} */
+export const CLICK_VOICES = ['sine', 'woodblock', 'cowbell', 'sample'];
+
+/**
+ * Renders the clicks for a voice.
+ * @param {ClickVoice} voice
+ * @param {number} sampleRate
+ * @param {Float32Array | null} [sample] Mono audio at `sampleRate`, for the 'sample' voice.
+ * @returns {ClickSounds}
+ */
+export function renderClickSounds(voice, sampleRate, sample = null) {
+  switch (voice) {
+    case 'sine':
+      // The original metronome click: a plain 50 ms tone.
+      return {
+        accent: renderTone(sampleRate, 0.05, 1, () => 1, [[600, 1]]),
+        beat: renderTone(sampleRate, 0.05, 1, () => 1, [[400, 1]]),
+        subdivision: renderTone(sampleRate, 0.03, 0.5, () => 1, [[400, 1]]),
+      };
+    case 'woodblock': {
+      const envelope = (/** @type {number} */ t) => Math.exp(-t / 0.012);
+      // A wooden bar's overtones are far from harmonic.
+      return {
+        accent: renderTone(sampleRate, 0.08, 1, envelope, [[1250, 1], [3450, 0.25]]),
+        beat: renderTone(sampleRate, 0.08, 0.8, envelope, [[950, 1], [2600, 0.25]]),
+        subdivision: renderTone(sampleRate, 0.06, 0.45, envelope, [[950, 1], [2600, 0.25]]),
+      };
+    }
+    case 'cowbell': {
+      const envelope = (/** @type {number} */ t) => Math.exp(-t / 0.06);
+      // Two detuned square waves, as on classic drum machines.
+      return {
+        accent: renderTone(sampleRate, 0.25, 1, envelope, [[587, 1], [845, 1]], square),
+        beat: renderTone(sampleRate, 0.25, 0.8, envelope, [[540, 1], [800, 1]], square),
+        subdivision: renderTone(sampleRate, 0.15, 0.45, envelope, [[540, 1], [800, 1]], square),
+      };
+    }
+    case 'sample': {
+      if (!sample) {
+        throw new Error('No click sample has been loaded.');
+      }
+      const peak = sample.reduce((max, value) => Math.max(max, Math.abs(value)), 0) || 1;
+      const scaled = (/** @type {number} */ level) => sample.map(value => value * level / peak);
+      return { accent: scaled(1), beat: scaled(0.7), subdivision: scaled(0.4) };
+    }
+    default:
+      throw new Error(`Unknown click voice: ${voice}`);
+  }
+}
+
+/**
+ * @param {number} sampleRate
+ * @param {number} durationS
+ * @param {number} level The peak level.
+ * @param {(timeS: number) => number} envelope
+ * @param {[number, number][]} partials Frequency and relative level of each partial.
+ * @param {(phase: number) => number} [wave] One cycle over 0 to 2π.
+ * @returns {Float32Array}
+ */
+function renderTone(sampleRate, durationS, level, envelope, partials, wave = Math.sin) {
+  const samples = new Float32Array(Math.round(durationS * sampleRate));
+  const total = partials.reduce((sum, [, partialLevel]) => sum + partialLevel, 0);
+  for (let i = 0; i < samples.length; i++) {
+    const timeS = i / sampleRate;
+    let value = 0;
+    for (const [frequency, partialLevel] of partials) {
+      value += wave(2 * Math.PI * frequency * timeS) * partialLevel;
+    }
+    samples[i] = value / total * level * envelope(timeS);
+  }
+  return samples;
+}
+
+/**
+ * @param {number} phase
+ * @returns {number}
+ */
+function square(phase) {
+  return Math.sin(phase) >= 0 ? 1 : -1;
+}
@@ -43,7 +43,8 @@ export class GeminiChat extends Stateful {
 You are a studio recording assistant. Your role is to facilitate the creation and recording of
 new music from a solo artist. Generally, try to do what the musician wants even if they are
 vague or it lacks process.
-Inserting time into a recording is difficult or impossible, so be judicious about how you add sections.
+Bars can be inserted into or removed from a recording with edit_time, which moves the sections and
+every track together; use it rather than editing sections when tracks have already been recorded.
 `;
   }
 
@@ -1,5 +1,7 @@
 // @ts-check
 
+import { encodeWav } from './wav.js';
+
 export class FileData {
   /** @type {string} */
   mimeType;
@@ -31,60 +33,14 @@ export class GeminiFileManager {
     this.#apiKey = apiKey;
   }
 
-  /**
-   * Encodes raw PCM audio data into a WAV file format Blob.
-   * @param {Float32Array} samples The raw audio samples.
-   * @param {number} sampleRate The sample rate of the audio.
-   * @returns {Blob} A Blob containing the WAV file data.
-   */
-  #encodeWav(samples, sampleRate) {
-    const numChannels = 1; // Mono
-    const bytesPerSample = 2; // 16-bit PCM
-    const blockAlign = numChannels * bytesPerSample;
-    const byteRate = sampleRate * blockAlign;
-    const dataSize = samples.length * bytesPerSample;
-    const fileSize = 36 + dataSize;
-
-    const buffer = new ArrayBuffer(44 + dataSize);
-    const view = new DataView(buffer);
-
-    // RIFF header
-    view.setUint32(0, 0x52494646, false); // "RIFF"
-    view.setUint32(4, fileSize, true);
-    view.setUint32(8, 0x57415645, false); // "WAVE"
-
-    // "fmt " sub-chunk
-    view.setUint32(12, 0x666d7420, false); // "fmt "
-    view.setUint32(16, 16, true); // Sub-chunk size
-    view.setUint16(20, 1, true); // Audio format (1 = PCM)
-    view.setUint16(22, numChannels, true);
-    view.setUint32(24, sampleRate, true);
-    view.setUint32(28, byteRate, true);
-    view.setUint16(32, blockAlign, true);
-    view.setUint16(34, 16, true); // Bits per sample
-
-    // "data" sub-chunk
-    view.setUint32(36, 0x64617461, false); // "data"
-    view.setUint32(40, dataSize, true);
-
-    // Write PCM data (converting from 32-bit float to 16-bit int)
-    let offset = 44;
-    for (let i = 0; i < samples.length; i++, offset += 2) {
-      const s = Math.max(-1, Math.min(1, samples[i]));
-      view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7FFF, true);
-    }
-
-    return new Blob([view], { type: 'audio/wav' });
-  }
-
   /**
    * Encodes raw PCM audio data into a base64-encoded WAV string for inline use.
-   * @param {Float32Array} samples The raw audio samples.
+   * @param {Float32Array[]} channels The raw audio samples, one array per channel.
    * @param {number} sampleRate The sample rate of the audio.
    * @returns {Promise<{mimeType: string, data: string}>}
    */
-  async encodeWavAsFileData(samples, sampleRate) {
-    const wavBlob = this.#encodeWav(samples, sampleRate);
+  async encodeWavAsFileData(channels, sampleRate) {
+    const wavBlob = encodeWav(channels, sampleRate);
     const arrayBuffer = await wavBlob.arrayBuffer();
     const uint8Array = new Uint8Array(arrayBuffer);
     let binary = '';
@@ -102,24 +58,29 @@ export class GeminiFileManager {
 
   /**
    * Uploads raw Float32 audio data as a WAV file to the Gemini API.
-   * @param {Float32Array} audioData The raw audio samples.
+   * @param {Float32Array[]} channels The raw audio samples, one array per channel.
    * @param {number} sampleRate The sample rate of the audio.
    * @param {string} displayName A display name for the file.
    * @returns {Promise<FileData>} A promise that resolves with the file data.
    */
-  async uploadWav(audioData, sampleRate, displayName) {
+  async uploadWav(channels, sampleRate, displayName) {
     // Normalize the audio data to make it more likely that Gemini can interpret it.
+    // All channels share one gain so that the stereo image is preserved.
     let maxAbsSample = 0.001;
-    for (let i = 0; i < audioData.length; i++) {
-      maxAbsSample = Math.max(maxAbsSample, Math.abs(audioData[i]));
+    for (const audioData of channels) {
+      for (let i = 0; i < audioData.length; i++) {
+        maxAbsSample = Math.max(maxAbsSample, Math.abs(audioData[i]));
+      }
     }
-    const normalizedAudio = new Float32Array(audioData.length);
-    for (let i = 0; i < audioData.length; i++) {
-      normalizedAudio[i] = audioData[i] / maxAbsSample;
-    }
-    audioData = normalizedAudio;
+    const normalizedChannels = channels.map((audioData) => {
+      const normalizedAudio = new Float32Array(audioData.length);
+      for (let i = 0; i < audioData.length; i++) {
+        normalizedAudio[i] = audioData[i] / maxAbsSample;
+      }
+      return normalizedAudio;
+    });
 
-    const wavBlob = this.#encodeWav(audioData, sampleRate);
+    const wavBlob = encodeWav(normalizedChannels, sampleRate);
 
     // --- Step 1: Get the upload URL ---
     const startUploadUrl = `https://generativelanguage.googleapis.com/upload/v1beta/files?key=${this.#apiKey}`;
@@ -166,14 +127,14 @@ export class GeminiFileManager {
 
   /**
    * Creates a downloadable link for the given audio samples as a WAV file.
-   * @param {Float32Array} samples The raw audio samples.
+   * @param {Float32Array[]} channels The raw audio samples, one array per channel.
    * @param {number} sampleRate The sample rate of the audio.
    * @param {string} [linkText='Download WAV'] The text to display for the link.
    * @param {string} [fileName='download.wav'] The name of the file to be downloaded.
    * @returns {HTMLAnchorElement} An anchor element that triggers a download when clicked.
    */
-  createDownloadLink(samples, sampleRate, linkText = 'Download WAV', fileName = 'download.wav') {
-    const wavBlob = this.#encodeWav(samples, sampleRate);
+  createDownloadLink(channels, sampleRate, linkText = 'Download WAV', fileName = 'download.wav') {
+    const wavBlob = encodeWav(channels, sampleRate);
     const url = URL.createObjectURL(wavBlob);
     const anchor = document.createElement('a');
     anchor.href = url;
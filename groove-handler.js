@@ -0,0 +1,174 @@
+// @ts-check
+
+import { getBarHits } from "./groove-styles.js";
+import { TICKS_PER_BEAT } from "./musical-time.js";
+import { SongContext } from "./song-context.js";
+import { Stateful } from "./stateful.js";
+import { State } from "./state.js";
+import { TapeDeck, TransportEvent } from "./tape-deck.js";
+/** @typedef {import('./groove-styles.js').GrooveStyle} GrooveStyle */
+
+/**
+ * Plays a drum groove along with the tape, in the style each section of the
+ * song chart asks for.  The last bar of a section ends with a fill when the
+ * next section follows.  The groove starts with the tape, after the count-in.
+ * @implements {Stateful}
+ */
+export class GrooveHandler {
+  /** @type {AudioWorkletNode | null} */
+  #grooveNode = null;
+  /** @type {AudioContext} */
+  #audioCtx;
+  /** @type {SongContext} */
+  #songContext;
+
+  state = new State({ on: false, fills: true, level: 0.5 });
+
+  /** @type {boolean} Whether the groove plays every pass while the tape loops. */
+  #playsLoop = false;
+
+  /**
+   * @param {AudioContext} audioCtx
+   * @param {SongContext} songContext
+   * @param {TapeDeck} tapeDeck
+   */
+  constructor(audioCtx, songContext, tapeDeck) {
+    this.#audioCtx = audioCtx;
+    this.#songContext = songContext;
+    tapeDeck.onTransportEvent(this.#handleTransportEvent.bind(this));
+  }
+
+  /**
+   * @param {AudioContext} audioCtx
+   * @param {SongContext} songContext
+   * @param {TapeDeck} tapeDeck
+   * @param {AudioNode} output Where the groove goes, normally the mixer's groove channel.
+   * @returns {Promise<GrooveHandler>}
+   */
+  static async create(audioCtx, songContext, tapeDeck, output) {
+    const groove = new GrooveHandler(audioCtx, songContext, tapeDeck);
+    await audioCtx.audioWorklet.addModule('groove-worker.js');
+    groove.#grooveNode = new AudioWorkletNode(audioCtx, 'groove-processor');
+    groove.#grooveNode.connect(output);
+    groove.#sendLevel();
+    groove.state.addFieldCallback('level', () => groove.#sendLevel());
+    groove.state.addFieldCallback('on', (on) => {
+      if (!on) {
+        groove.stop();
+      }
+    });
+    return groove;
+  }
+
+  /**
+   * @param {TransportEvent} event
+   */
+  #handleTransportEvent(event) {
+    if (event.transportAction === 'play') {
+      this.#playsLoop = false;
+      if (!this.state.get('on')) {
+        this.stop();
+        return;
+      }
+      const endS = event.loopEndS >= 0 ? event.loopEndS : undefined;
+      this.start(event.audioCtxTimeS + event.countInS - event.tapeTimeS, event.tapeTimeS, endS);
+      this.#playsLoop = endS !== undefined;
+    } else if (event.transportAction === 'loop') {
+      if (this.#playsLoop) {
+        this.#queueLoop(event.audioCtxTimeS, event.tapeTimeS, event.loopEndS);
+      }
+    } else if (event.transportAction === 'stop') {
+      this.#playsLoop = false;
+      this.stop();
+    }
+  }
+
+  #sendLevel() {
+    this.#grooveNode?.port.postMessage({ method: 'set', detail: { level: this.state.getNumber('level') } });
+  }
+
+  /**
+   * @param {number} tapeZeroS The audio context time at which the tape is at zero.
+   * @param {number} tapeTimeS Where the tape starts.
+   * @param {number} [endS] Where to stop, e.g. the end of a loop; later
+   *   passes are added with `#queueLoop`.
+   */
+  start(tapeZeroS, tapeTimeS, endS = Infinity) {
+    if (!this.#grooveNode) {
+      throw new Error('GrooveProcessor node not initialized.');
+    }
+    const hits = this.getHits()
+      .filter(hit => hit.timeS >= tapeTimeS && hit.timeS < endS)
+      .map(hit => ({ ...hit, timeS: tapeZeroS + hit.timeS }));
+    this.#grooveNode.port.postMessage({ method: 'start', detail: { hits } });
+  }
+
+  /**
+   * Adds the hits of another pass round a loop after the ones listed.
+   * @param {number} audioContextTimeS When the pass starts.
+   * @param {number} loopStartS
+   * @param {number} loopEndS
+   */
+  #queueLoop(audioContextTimeS, loopStartS, loopEndS) {
+    if (!this.#grooveNode) {
+      throw new Error('GrooveProcessor node not initialized.');
+    }
+    const hits = this.getHits()
+      .filter(hit => hit.timeS >= loopStartS && hit.timeS < loopEndS)
+      .map(hit => ({ ...hit, timeS: audioContextTimeS + hit.timeS - loopStartS }));
+    this.#grooveNode.port.postMessage({ method: 'queue', detail: { hits } });
+  }
+
+  stop() {
+    this.#grooveNode?.port.postMessage({ method: 'stop' });
+  }
+
+  /**
+   * Lists every hit of the groove over the song, in order.
+   * @returns {{timeS: number, voice: string, velocity: number}[]} Times are tape times.
+   */
+  getHits() {
+    const musicalTime = this.#songContext.musicalTime;
+    const sections = this.#songContext.sections;
+    const fills = !!this.state.get('fills');
+    const hits = [];
+    let bar = 1;
+    for (let s = 0; s < sections.length; s++) {
+      const section = sections[s];
+      const style = /** @type {GrooveStyle | ''} */ (section.groove);
+      const hasNext = s + 1 < sections.length;
+      for (let b = 0; b < section.measureCount; b++, bar++) {
+        if (!style) {
+          continue;
+        }
+        const beatsPerMeasure = musicalTime.getBeatsPerMeasureAt(musicalTime.toSeconds({ bar, beat: 1, tick: 0 }));
+        const isFill = fills && hasNext && b === section.measureCount - 1;
+        for (const { beat, voice, velocity } of getBarHits(style, beatsPerMeasure, isFill)) {
+          const wholeBeats = Math.floor(beat);
+          const timeS = musicalTime.toSeconds({ bar, beat: wholeBeats + 1, tick: (beat - wholeBeats) * TICKS_PER_BEAT });
+          hits.push({ timeS, voice, velocity });
+        }
+      }
+    }
+    return hits.sort((a, b) => a.timeS - b.timeS);
+  }
+
+  /**
+   * Restores options saved with `getJSON()`.
+   * @param {any} json
+   */
+  loadJSON(json) {
+    for (const key of Object.keys(this.state.protectedData)) {
+      if (json[key] !== undefined) {
+        this.state.set(key, json[key]);
+      }
+    }
+  }
+
+  /**
+   * @returns {Object}
+   */
+  getJSON() {
+    return this.state.getJSON();
+  }
+}
@@ -0,0 +1,107 @@
+// @ts-check
+
+/**
+ * @typedef {'kick' | 'snare' | 'hat'} DrumVoice
+ */
+
+/**
+ * A drum hit within a bar.  `beat` counts from 0 and may be fractional.
+ * @typedef {{beat: number, voice: DrumVoice, velocity: number}} GrooveHit
+ */
+
+/**
+ * @typedef {'rock' | 'shuffle' | 'bossa' | 'half-time'} GrooveStyle
+ */
+
+/**
+ * @param {DrumVoice} voice
+ * @param {number} velocity From 0 to 1.
+ * @param {number[]} beats
+ * @returns {GrooveHit[]}
+ */
+function hits(voice, velocity, beats) {
+  return beats.map(beat => ({ beat, voice, velocity }));
+}
+
+/**
+ * @param {number} from
+ * @param {number} to
+ * @param {number} step
+ * @returns {number[]}
+ */
+function range(from, to, step) {
+  const beats = [];
+  for (let beat = from; beat < to - 1e-9; beat += step) {
+    beats.push(beat);
+  }
+  return beats;
+}
+
+/**
+ * One bar of 4/4 for each style.
+ * @type {Record<GrooveStyle, GrooveHit[]>}
+ */
+const PATTERNS = {
+  'rock': [
+    ...hits('kick', 1, [0, 2, 2.5]),
+    ...hits('snare', 0.9, [1, 3]),
+    ...hits('hat', 0.6, range(0, 4, 0.5)),
+  ],
+  'shuffle': [
+    ...hits('kick', 1, [0, 2]),
+    ...hits('snare', 0.9, [1, 3]),
+    // Triplet eighths, with the middle note of each triplet left out.
+    ...hits('hat', 0.6, [0, 1, 2, 3]),
+    ...hits('hat', 0.4, [2 / 3, 1 + 2 / 3, 2 + 2 / 3, 3 + 2 / 3]),
+  ],
+  'bossa': [
+    ...hits('kick', 0.9, [0, 1.5, 2, 3.5]),
+    // A clave-like rim pattern on the snare.
+    ...hits('snare', 0.5, [0, 0.75, 1.5, 2.5, 3]),
+    ...hits('hat', 0.4, range(0, 4, 0.5)),
+  ],
+  'half-time': [
+    ...hits('kick', 1, [0, 1.75]),
+    ...hits('snare', 0.9, [2]),
+    ...hits('hat', 0.5, range(0, 4, 0.5)),
+  ],
+};
+
+/** @type {GrooveStyle[]} */
+export const GROOVE_STYLES = /** @type {GrooveStyle[]} */ (Object.keys(PATTERNS));
+
+/**
+ * The hits for one bar of a style.  Bars that are not in 4/4 repeat the
+ * pattern from the start, or cut it short.
+ * @param {GrooveStyle} style
+ * @param {number} beatsPerMeasure
+ * @param {boolean} [isFill] If true, the second half of the bar is a fill
+ *   into the next section.
+ * @returns {GrooveHit[]}
+ */
+export function getBarHits(style, beatsPerMeasure, isFill = false) {
+  const pattern = PATTERNS[style];
+  if (!pattern) {
+    throw new Error(`Unknown groove style: ${style}`);
+  }
+  const fillStartBeat = isFill ? Math.ceil(beatsPerMeasure / 2) : beatsPerMeasure;
+  /** @type {GrooveHit[]} */
+  const barHits = [];
+  for (let offset = 0; offset < fillStartBeat; offset += 4) {
+    for (const hit of pattern) {
+      const beat = offset + hit.beat;
+      if (beat < fillStartBeat) {
+        barHits.push({ ...hit, beat });
+      }
+    }
+  }
+  if (isFill) {
+    // Sixteenth notes on the snare, getting louder, with the kick on each beat.
+    const fillBeats = range(fillStartBeat, beatsPerMeasure, 0.25);
+    fillBeats.forEach((beat, i) => {
+      barHits.push({ beat, voice: 'snare', velocity: 0.4 + 0.6 * (i + 1) / fillBeats.length });
+    });
+    barHits.push(...hits('kick', 0.9, range(fillStartBeat, beatsPerMeasure, 1)));
+  }
+  return barHits;
+}
@@ -0,0 +1,109 @@
+// @ts-check
+
+import { MakeToolResponse } from './tool.js';
+import { GrooveHandler } from './groove-handler.js';
+import { GROOVE_STYLES } from './groove-styles.js';
+import { SongContext } from './song-context.js';
+import { UndoHistory } from './undo-history.js';
+
+/**
+ * @typedef {import('./tool.js').Tool} Tool
+ * @typedef {import('./tool.js').FunctionResponse} FunctionResponse
+ * @typedef {import('./tool.js').FunctionDeclaration} FunctionDeclaration
+ */
+
+/**
+ * The GrooveTool implementation.
+ * @implements {Tool}
+ */
+export class GrooveTool {
+  /** @type {FunctionDeclaration} */
+  declaration = {
+    name: 'set_groove',
+    description: 'Sets the drum groove that plays along with the tape, per section of the song. Choosing a style turns the groove on.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        style: {
+          type: 'STRING',
+          enum: [...GROOVE_STYLES, 'none'],
+          description: "The groove style. 'none' leaves the section without drums.",
+        },
+        section: {
+          type: 'STRING',
+          description: 'The section to set the style for. If unspecified, every section.',
+        },
+        on: {
+          type: 'BOOLEAN',
+          description: 'Whether the groove plays at all.',
+        },
+        fills: {
+          type: 'BOOLEAN',
+          description: 'Whether the last bar of each section ends with a fill into the next. Defaults to true.',
+        },
+        level: {
+          type: 'NUMBER',
+          description: 'The volume of the groove, from 0.0 (silent) to 1.0 (full). Defaults to 0.5.',
+        },
+      },
+      required: [],
+    },
+  };
+
+  /** @type {GrooveHandler} */
+  #groove;
+  /** @type {SongContext} */
+  #songContext;
+  /** @type {UndoHistory} */
+  #undoHistory;
+
+  /**
+   * @param {GrooveHandler} groove
+   * @param {SongContext} songContext
+   * @param {UndoHistory} undoHistory
+   */
+  constructor(groove, songContext, undoHistory) {
+    this.#groove = groove;
+    this.#songContext = songContext;
+    this.#undoHistory = undoHistory;
+  }
+
+  /**
+   * @param {{style?: string, section?: string, on?: boolean, fills?: boolean, level?: number}} args
+   * @returns {Promise<FunctionResponse>}
+   */
+  async run(args) {
+    try {
+      const results = [];
+      if (args.style !== undefined) {
+        if (args.style !== 'none' && !GROOVE_STYLES.includes(/** @type {any} */ (args.style))) {
+          return MakeToolResponse(this, `Unknown groove style: ${args.style}`);
+        }
+        const groove = args.style === 'none' ? '' : args.style;
+        const sections = args.section ? [this.#songContext.getSection(args.section)] : this.#songContext.sections;
+        if (sections.length === 0) {
+          return MakeToolResponse(this, 'The song has no sections. Add a section first.');
+        }
+        this.#undoHistory.group(`Set groove to ${args.style}`, () => {
+          for (const section of sections) {
+            this.#songContext.editSection(section.name, { groove });
+          }
+        });
+        results.push(`Set the groove of ${args.section ? `"${args.section}"` : 'every section'} to ${args.style}.`);
+        if (groove && args.on === undefined) {
+          this.#groove.state.set('on', true);
+        }
+      }
+      for (const key of ['on', 'fills', 'level']) {
+        if (args[key] !== undefined) {
+          this.#groove.state.set(key, args[key]);
+        }
+      }
+      results.push(`The groove is ${this.#groove.state.get('on') ? 'on' : 'off'}.`);
+      return MakeToolResponse(this, results.join(' '));
+    } catch (error) {
+      console.error('Error setting groove:', error);
+      return MakeToolResponse(this, `Error setting groove: ${error.message}`);
+    }
+  }
+}
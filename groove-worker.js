@@ -0,0 +1,191 @@
+// @ts-check
+
+/**
+ * @class GrooveProcessor
+ * @extends AudioWorkletProcessor
+ *
+ * Plays a drum groove with sample accuracy.  The kick, snare and hat are
+ * synthesized once, when the processor is created; 'start' lists the hits to
+ * play, each with a time, voice and velocity, and 'queue' lists more after
+ * those, e.g. for the next pass round a loop.
+ */
+class GrooveProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this._isPlaying = false;
+    this._level = 0.5;
+    /** @type {{frame: number, voice: string, velocity: number}[]} */
+    this._hits = [];
+    // The index in `_hits` of the next hit to play.
+    this._hitIndex = 0;
+    /** @type {{sound: Float32Array, position: number, gain: number}[]} The hits that are ringing. */
+    this._playing = [];
+
+    // A fixed seed, so the noise in the snare and hat is the same every time.
+    this._seed = 1;
+    /** @type {Record<string, Float32Array>} */
+    this._sounds = {
+      kick: this._renderKick(),
+      snare: this._renderSnare(),
+      hat: this._renderHat(),
+    };
+
+    this.port.onmessage = this.handleMessage.bind(this);
+  }
+
+  /**
+   * Handles 'start', 'queue', 'set' and 'stop' messages from the main thread.
+   * @param {MessageEvent} event
+   */
+  handleMessage(event) {
+    const { method, detail } = event.data;
+    switch (method) {
+      case 'start':
+        this._start(detail);
+        break;
+      case 'queue':
+        this._queue(detail);
+        break;
+      case 'set':
+        if (detail.level !== undefined) {
+          this._level = detail.level;
+        }
+        break;
+      case 'stop':
+        this._isPlaying = false;
+        this._playing = [];
+        break;
+      default:
+        console.error(`Unknown message method: ${method}`);
+    }
+  }
+
+  /**
+   * @param {{hits: {timeS: number, voice: string, velocity: number}[]}} detail
+   */
+  _start({ hits }) {
+    this._hits = hits.map(({ timeS, voice, velocity }) => ({ frame: Math.floor(timeS * sampleRate), voice, velocity }));
+    this._hitIndex = 0;
+    // Skip hits that have already passed.
+    while (this._hitIndex < this._hits.length && this._hits[this._hitIndex].frame < currentFrame) {
+      this._hitIndex++;
+    }
+    this._playing = [];
+    this._isPlaying = true;
+  }
+
+  /**
+   * @param {{hits: {timeS: number, voice: string, velocity: number}[]}} detail
+   */
+  _queue({ hits }) {
+    this._hits = this._hits.slice(this._hitIndex)
+      .concat(hits.map(({ timeS, voice, velocity }) => ({ frame: Math.floor(timeS * sampleRate), voice, velocity })));
+    this._hitIndex = 0;
+    while (this._hitIndex < this._hits.length && this._hits[this._hitIndex].frame < currentFrame) {
+      this._hitIndex++;
+    }
+  }
+
+  /**
+   * @returns {number} White noise from -1 to 1.
+   */
+  _noise() {
+    // A linear congruential generator.
+    this._seed = (this._seed * 1664525 + 1013904223) >>> 0;
+    return this._seed / 0x80000000 - 1;
+  }
+
+  /**
+   * A sine that drops quickly in pitch.
+   * @returns {Float32Array}
+   */
+  _renderKick() {
+    const sound = new Float32Array(Math.round(0.4 * sampleRate));
+    let phase = 0;
+    for (let i = 0; i < sound.length; i++) {
+      const t = i / sampleRate;
+      const frequency = 50 + 100 * Math.exp(-t / 0.03);
+      phase += 2 * Math.PI * frequency / sampleRate;
+      sound[i] = Math.sin(phase) * Math.exp(-t / 0.12);
+    }
+    return sound;
+  }
+
+  /**
+   * A short tone under a burst of noise.
+   * @returns {Float32Array}
+   */
+  _renderSnare() {
+    const sound = new Float32Array(Math.round(0.25 * sampleRate));
+    for (let i = 0; i < sound.length; i++) {
+      const t = i / sampleRate;
+      const tone = Math.sin(2 * Math.PI * 180 * t) * Math.exp(-t / 0.04);
+      sound[i] = 0.4 * tone + 0.6 * this._noise() * Math.exp(-t / 0.07);
+    }
+    return sound;
+  }
+
+  /**
+   * A very short burst of high-passed noise.
+   * @returns {Float32Array}
+   */
+  _renderHat() {
+    const sound = new Float32Array(Math.round(0.08 * sampleRate));
+    let previous = 0;
+    for (let i = 0; i < sound.length; i++) {
+      const t = i / sampleRate;
+      const noise = this._noise();
+      // The difference of successive samples keeps only the highs.
+      sound[i] = 0.5 * (noise - previous) * Math.exp(-t / 0.02);
+      previous = noise;
+    }
+    return sound;
+  }
+
+  /**
+   * The main processing function, called for each block of 128 audio frames.
+   * @param {Float32Array[][]} inputs - The input buffers (not used).
+   * @param {Float32Array[][]} outputs - The output buffers to fill.
+   * @param {Record<string, Float32Array>} parameters - The AudioParam values.
+   * @returns {boolean} `true` to keep the processor alive.
+   */
+  process(inputs, outputs, parameters) {
+    const outputChannel = outputs[0][0];
+
+    for (let i = 0; i < outputChannel.length; ++i) {
+      const frame = currentFrame + i;
+      if (!this._isPlaying) {
+        outputChannel[i] = 0;
+        continue;
+      }
+
+      while (this._hitIndex < this._hits.length && frame >= this._hits[this._hitIndex].frame) {
+        const { voice, velocity } = this._hits[this._hitIndex++];
+        this._playing.push({ sound: this._sounds[voice], position: 0, gain: velocity });
+      }
+
+      let sample = 0;
+      for (const hit of this._playing) {
+        sample += hit.sound[hit.position++] * hit.gain;
+      }
+      outputChannel[i] = sample * this._level;
+      if (this._playing.some(hit => hit.position >= hit.sound.length)) {
+        this._playing = this._playing.filter(hit => hit.position < hit.sound.length);
+      }
+    }
+
+    // Copy the mono groove from the first channel of the first output
+    // to all other channels of all outputs.
+    for (let outputIndex = 0; outputIndex < outputs.length; outputIndex++) {
+      const output = outputs[outputIndex];
+      for (let channelIndex = 0; channelIndex < output.length; channelIndex++) {
+        if (outputIndex === 0 && channelIndex === 0) continue;
+        output[channelIndex].set(outputChannel);
+      }
+    }
+
+    return true;
+  }
+}
+
+registerProcessor('groove-processor', GrooveProcessor);
@@ -0,0 +1,82 @@
+// @ts-check
+
+import { AudioImporter } from './audio-import.js';
+import { ChatUI } from './chat-ui.js';
+
+/**
+ * Imports audio files that are dropped on the page or chosen with the file picker.
+ * The user is asked which track to put the audio on and where it starts.
+ */
+export class ImportUI {
+  /** @type {AudioImporter} */
+  #importer;
+  /** @type {ChatUI} */
+  #chatUI;
+  /** @type {HTMLInputElement} */
+  #fileInput;
+
+  /**
+   * @param {AudioImporter} importer
+   * @param {ChatUI} chatUI Where the result of each import is reported.
+   * @param {HTMLElement} dropTarget
+   * @param {HTMLButtonElement} button Opens the file picker.
+   */
+  constructor(importer, chatUI, dropTarget, button) {
+    this.#importer = importer;
+    this.#chatUI = chatUI;
+
+    this.#fileInput = document.createElement('input');
+    this.#fileInput.type = 'file';
+    this.#fileInput.accept = 'audio/*,.wav,.mp3,.ogg,.flac';
+    this.#fileInput.multiple = true;
+    this.#fileInput.hidden = true;
+    this.#fileInput.addEventListener('change', () => {
+      this.#importFiles([...(this.#fileInput.files || [])]);
+      this.#fileInput.value = '';
+    });
+    button.after(this.#fileInput);
+    button.disabled = false;
+    button.addEventListener('click', () => this.#fileInput.click());
+
+    dropTarget.addEventListener('dragover', (event) => {
+      event.preventDefault();
+      dropTarget.classList.add('drag-over');
+    });
+    dropTarget.addEventListener('dragleave', () => dropTarget.classList.remove('drag-over'));
+    dropTarget.addEventListener('drop', (event) => {
+      event.preventDefault();
+      dropTarget.classList.remove('drag-over');
+      this.#importFiles([...(event.dataTransfer?.files || [])]);
+    });
+  }
+
+  /**
+   * @param {File[]} files
+   */
+  async #importFiles(files) {
+    for (const file of files) {
+      const trackText = prompt(`Track number for "${file.name}" (leave blank for a new track):`, '');
+      if (trackText === null) {
+        continue;
+      }
+      const positionText = prompt(`Start "${file.name}" at bars:beats (e.g. 9 or 9:3), seconds (e.g. 12.5s) or a section name:`, '1');
+      if (positionText === null) {
+        continue;
+      }
+      try {
+        const trackNumber = trackText.trim() === '' ? undefined : Number(trackText);
+        if (trackNumber !== undefined && !(Number.isInteger(trackNumber) && trackNumber >= 0)) {
+          throw new Error(`"${trackText}" is not a track number. Use a whole number from 0.`);
+        }
+        const position = /^\d/.test(positionText.trim()) ?
+          { position: positionText } : { section: positionText.trim() };
+        const result = await this.#importer.importFile(file, { trackNumber, ...position });
+        this.#chatUI.displayMessage(
+          `Imported "${file.name}" as take ${result.takeNumber} on track ${result.trackNumber}.`, 'model-message');
+      } catch (error) {
+        console.error('Error importing audio:', error);
+        this.#chatUI.displayMessage(`Error importing "${file.name}": ${error.message}`, 'model-message');
+      }
+    }
+  }
+}
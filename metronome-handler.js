@@ -1,9 +1,40 @@
+import { renderClickSounds } from "./click-voices.js";
 import { SongContext } from "./song-context.js";
 import { Stateful } from "./stateful.js";
 import { State } from "./state.js";
 import { TapeDeck, TransportEvent } from "./tape-deck.js";
+/**
+ * @typedef {import('./click-voices.js').ClickVoice} ClickVoice
+ * @typedef {import('./click-voices.js').ClickSounds} ClickSounds
+ */
+
+/**
+ * The number of clicks per beat for each subdivision.
+ * @type {Record<string, number>}
+ */
+export const SUBDIVISIONS = { quarter: 1, eighth: 2, triplet: 3, sixteenth: 4 };
+
+/**
+ * Parses an accent pattern such as "3+3+2": the beats of each bar are split
+ * into groups of those sizes, and the first beat of each group is accented.
+ * @param {string} pattern An empty pattern only accents the downbeat.
+ * @returns {number[]} The group sizes.
+ */
+export function parseAccentPattern(pattern) {
+  if (!pattern.trim()) {
+    return [];
+  }
+  const groups = pattern.split('+').map(group => Number(group.trim()));
+  if (groups.some(group => !Number.isInteger(group) || group < 1)) {
+    throw new Error(`Invalid accent pattern: "${pattern}". Use group sizes like "3+3+2".`);
+  }
+  return groups;
+}
 
 /**
+ * Implements the tape deck's `ClickReference`, so that takes can be checked
+ * for click leaking into them: the worklet reports every click it plays, and
+ * they are kept from the time the metronome starts until it starts again.
  * @implements {Stateful}
  */
 export class MetronomeHandler {
@@ -12,13 +43,32 @@ export class MetronomeHandler {
   /** @type {AudioContext} */
   #audioCtx;
 
+  /**
+   * `countInOnly` clicks through the count-in and then stops, whether or not
+   * the metronome is on for the pass.  `swing` is where the off-beat of each
+   * pair of subdivisions falls, in percent: 50 is straight and 66 is a
+   * triplet feel.  `sampleName` names the loaded click sample, if any.
+   */
   state = new State({
-    onWhenRecording: true, onWhenPlaying: true, level: 0.5
+    onWhenRecording: true, onWhenPlaying: true, countInOnly: false, level: 0.5,
+    voice: 'sine', subdivision: 'quarter', accentPattern: '', swing: 50, sampleName: '',
   }, null);
 
   /** @type {SongContext} */
   #songContext;
 
+  /** @type {Float32Array | null} Mono, at the audio context's sample rate. */
+  #sample = null;
+
+  /** @type {ClickSounds | null} The clicks the worklet has. */
+  #sounds = null;
+
+  /** @type {{frame: number, click: Float32Array, level: number}[]} The clicks played since the last start. */
+  #playedClicks = [];
+
+  /** @type {boolean} Whether the metronome clicks every pass while the tape loops. */
+  #clicksLoop = false;
+
   /**
    * @param {AudioContext} audioCtx
    * @param {SongContext} songContext
@@ -38,28 +88,118 @@ export class MetronomeHandler {
    * @param {AudioContext} audioCtx 
    * @param {SongContext} songContext
    * @param {TapeDeck} tapeDeck
+   * @param {AudioNode} output Where the clicks go, normally the mixer's click channel.
    */
-  static async create(audioCtx, songContext, tapeDeck) {
+  static async create(audioCtx, songContext, tapeDeck, output) {
     if (!songContext) {
       throw new Error('SongContext is required.');
     }
     const metronome = new MetronomeHandler(audioCtx, songContext, tapeDeck);
     await metronome.#audioCtx.audioWorklet.addModule('metronome-worker.js');
     metronome.#metronomeNode = new AudioWorkletNode(metronome.#audioCtx, 'metronome-processor');
-    metronome.connect(audioCtx.destination);
+    metronome.#metronomeNode.port.onmessage = (event) => metronome.#handleMessage(event);
+    metronome.connect(output);
     songContext.onSongTimeChanged(metronome.updateTempo.bind(metronome));
-    metronome.state.addFieldCallback('level', () => metronome.updateTempo());
+    for (const field of ['level', 'subdivision', 'accentPattern', 'swing']) {
+      metronome.state.addFieldCallback(field, () => metronome.updateTempo());
+    }
+    metronome.state.addFieldCallback('voice', () => metronome.#updateVoice());
+    metronome.#updateVoice();
     return metronome;
   }
 
+  /** @returns {{name: string, samples: Float32Array} | null} The loaded click sample. */
+  get sample() {
+    const name = /** @type {string} */ (this.state.get('sampleName'));
+    return this.#sample && name ? { name, samples: this.#sample } : null;
+  }
+
+  /**
+   * Loads a click sample for the 'sample' voice, replacing any other.
+   * @param {string} name
+   * @param {Float32Array} samples Mono, at the audio context's sample rate.
+   */
+  setSample(name, samples) {
+    this.#sample = samples;
+    this.state.set('sampleName', name);
+    if (this.state.get('voice') === 'sample') {
+      this.#updateVoice();
+    }
+  }
+
+  /**
+   * Sends the current voice's clicks to the worklet.
+   */
+  #updateVoice() {
+    if (!this.#metronomeNode) {
+      return;
+    }
+    const voice = /** @type {ClickVoice} */ (this.state.get('voice'));
+    if (voice === 'sample' && !this.#sample) {
+      // The sample is restored separately from the options, and may not have arrived yet.
+      return;
+    }
+    this.#sounds = renderClickSounds(voice, this.#audioCtx.sampleRate, this.#sample);
+    this.#metronomeNode.port.postMessage({ method: 'voice', detail: this.#sounds });
+  }
+
+  /**
+   * @param {MessageEvent} event
+   */
+  #handleMessage(event) {
+    const { method, detail } = event.data;
+    if (method === 'click' && this.#sounds) {
+      const sound = /** @type {keyof ClickSounds} */ (detail.sound);
+      this.#playedClicks.push({ frame: detail.frame, click: this.#sounds[sound], level: detail.level });
+    }
+  }
+
+  /**
+   * Renders the clicks that were played over a range of audio context frames,
+   * as they left the metronome.
+   * @param {number} startFrame
+   * @param {number} frameCount
+   * @returns {Float32Array | null} Null if no clicks played in the range.
+   */
+  renderClicks(startFrame, frameCount) {
+    const audio = new Float32Array(frameCount);
+    let played = false;
+    for (const { frame, click, level } of this.#playedClicks) {
+      const offset = frame - startFrame;
+      if (offset >= frameCount || offset + click.length <= 0) {
+        continue;
+      }
+      for (let i = Math.max(0, -offset); i < click.length && offset + i < frameCount; i++) {
+        audio[offset + i] += click[i] * level;
+      }
+      played = true;
+    }
+    return played ? audio : null;
+  }
+
   /**
    * @param {TransportEvent} event
    */
   #handleTransportEvent(event) {
     console.log('Metronome recieved transport event:', event);
     if (event.transportAction === 'play') {
-      this.start(event.audioCtxTimeS);
+      const isOn = !!this.state.get(event.isRecording ? 'onWhenRecording' : 'onWhenPlaying');
+      this.#clicksLoop = false;
+      if (this.state.get('countInOnly')) {
+        this.start(event.audioCtxTimeS, event.tapeTimeS, event.countInS, { countInOnly: true });
+      } else if (isOn) {
+        const endS = event.loopEndS >= 0 ? event.loopEndS : undefined;
+        this.start(event.audioCtxTimeS, event.tapeTimeS, event.countInS, { endS });
+        this.#clicksLoop = endS !== undefined;
+      } else {
+        this.stop();
+      }
+    } else if (event.transportAction === 'loop') {
+      if (this.#clicksLoop) {
+        this.#queueLoop(event.audioCtxTimeS, event.tapeTimeS, event.loopEndS);
+      }
     } else if (event.transportAction === 'stop') {
+      this.#clicksLoop = false;
       this.stop();
     }
   }
@@ -76,11 +216,7 @@ export class MetronomeHandler {
   }
 
   updateTempo() {
-    const detail = {
-      tempo: this.#songContext.tempo,
-      beatsPerMeasure: this.#songContext.beatsPerMeasure,
-      level: this.state.getNumber('level'),
-    };
+    const detail = this.#getSettings();
     console.log(JSON.stringify(detail));
     this.#metronomeNode.port.postMessage({
       method: 'set',
@@ -89,9 +225,35 @@ export class MetronomeHandler {
   }
 
   /**
-   * @param {number} audioContextTimeS
+   * The worklet clicks at a steady tempo once it runs out of listed beats,
+   * so it is given the tempo and meter at the end of the song.
+   * @returns {{tempo: number, beatsPerMeasure: number, level: number,
+   *   subdivision: number, swing: number, accentGroups: number[]}}
+   */
+  #getSettings() {
+    const musicalTime = this.#songContext.musicalTime;
+    const songLengthS = this.#songContext.songLengthS;
+    return {
+      tempo: musicalTime.getTempoAt(songLengthS),
+      beatsPerMeasure: musicalTime.getBeatsPerMeasureAt(songLengthS),
+      level: this.state.getNumber('level'),
+      subdivision: SUBDIVISIONS[/** @type {string} */ (this.state.get('subdivision'))] || 1,
+      swing: this.state.getNumber('swing') / 100,
+      accentGroups: parseAccentPattern(/** @type {string} */ (this.state.get('accentPattern')) || ''),
+    };
+  }
+
+  /**
+   * Starts clicking with the count-in, then follows the song's tempo map
+   * from `tapeTimeS`.
+   * @param {number} audioContextTimeS When the count-in starts.
+   * @param {number} [tapeTimeS] Where the tape starts.
+   * @param {number} [countInS] How long the count-in lasts.
+   * @param {{countInOnly?: boolean, endS?: number}} [options] With `countInOnly`, the
+   *   metronome stops once the count-in is over.  With `endS`, e.g. the end
+   *   of a loop, it stops there unless more beats are queued with `#queueLoop`.
    */
-  start(audioContextTimeS) {
+  start(audioContextTimeS, tapeTimeS = 0, countInS = 0, { countInOnly = false, endS } = {}) {
     console.log('Restarting metronome at ACT=' + audioContextTimeS.toFixed(3) + 's');
     if (!this.#metronomeNode) {
       throw new Error('MetronomeProcessor node not initialized.');
@@ -99,15 +261,78 @@ export class MetronomeHandler {
     if (!audioContextTimeS) {
       audioContextTimeS = this.#audioCtx.currentTime;
     }
+    const musicalTime = this.#songContext.musicalTime;
+    /** @type {{timeS: number, beat: number}[]} `beat` is 0 for a downbeat. */
+    const beats = [];
+    const countInBeatS = 60 / musicalTime.getTempoAt(tapeTimeS);
+    const countInBeatsPerMeasure = musicalTime.getBeatsPerMeasureAt(tapeTimeS);
+    for (let i = 0; i < Math.round(countInS / countInBeatS); i++) {
+      beats.push({ timeS: audioContextTimeS + i * countInBeatS, beat: i % countInBeatsPerMeasure });
+    }
+    if (countInOnly && beats.length === 0) {
+      this.stop();
+      return;
+    }
+    this.#playedClicks = [];
+    const tapeZeroS = audioContextTimeS + countInS - tapeTimeS;
+    const tapeEndS = countInOnly ? tapeTimeS : endS ?? this.#songContext.songLengthS;
+    for (const { timeS, beat } of musicalTime.beats(tapeTimeS, tapeEndS)) {
+      beats.push({ timeS: tapeZeroS + timeS, beat: beat - 1 });
+    }
     this.#metronomeNode.port.postMessage({
       method: 'set',
-      detail: {
-        tempo: this.#songContext.tempo,
-        beatsPerMeasure: this.#songContext.beatsPerMeasure,
-        level: this.state.getNumber('level'),
-      }
+      detail: this.#getSettings(),
+    });
+    this.#metronomeNode.port.postMessage({
+      method: 'start',
+      detail: { audioContextTimeS, beats, continueSteadily: !countInOnly && endS === undefined },
     });
-    this.#metronomeNode.port.postMessage({ method: 'start', detail: { audioContextTimeS } });
+  }
+
+  /**
+   * Adds the beats of another pass round a loop after the ones listed.
+   * @param {number} audioContextTimeS When the pass starts.
+   * @param {number} loopStartS
+   * @param {number} loopEndS
+   */
+  #queueLoop(audioContextTimeS, loopStartS, loopEndS) {
+    if (!this.#metronomeNode) {
+      throw new Error('MetronomeProcessor node not initialized.');
+    }
+    const beats = [];
+    for (const { timeS, beat } of this.#songContext.musicalTime.beats(loopStartS, loopEndS)) {
+      beats.push({ timeS: audioContextTimeS + timeS - loopStartS, beat: beat - 1 });
+    }
+    this.#metronomeNode.port.postMessage({ method: 'queue', detail: { beats } });
+  }
+
+  /**
+   * Creates a metronome in another context, e.g. an OfflineAudioContext for a
+   * bounce, that clicks the song's beats over a range of tape time with the
+   * current settings.  Tape time `startS` is at time zero in the context.
+   * @param {BaseAudioContext} ctx
+   * @param {number} startS
+   * @param {number} endS
+   * @returns {Promise<AudioWorkletNode>}
+   */
+  async createRenderNode(ctx, startS, endS) {
+    await ctx.audioWorklet.addModule('metronome-worker.js');
+    const beats = [];
+    for (const { timeS, beat } of this.#songContext.musicalTime.beats(startS, endS)) {
+      beats.push({ timeS: timeS - startS, beat: beat - 1 });
+    }
+    let voice = /** @type {ClickVoice} */ (this.state.get('voice'));
+    if (voice === 'sample' && !this.#sample) {
+      voice = 'sine';
+    }
+    // Messages posted to the port may arrive after an offline render has
+    // started, so they go with the options instead.
+    const messages = [
+      { method: 'set', detail: this.#getSettings() },
+      { method: 'voice', detail: renderClickSounds(voice, ctx.sampleRate, this.#sample) },
+      { method: 'start', detail: { beats, continueSteadily: false } },
+    ];
+    return new AudioWorkletNode(ctx, 'metronome-processor', { processorOptions: { messages } });
   }
 
   stop() {
@@ -117,6 +342,18 @@ export class MetronomeHandler {
     this.#metronomeNode.port.postMessage({ method: 'stop' });
   }
 
+  /**
+   * Restores options saved with `getJSON()`.
+   * @param {any} json
+   */
+  loadJSON(json) {
+    for (const key of Object.keys(this.state.protectedData)) {
+      if (json[key] !== undefined) {
+        this.state.set(key, json[key]);
+      }
+    }
+  }
+
   /**
    * @returns {Object}
    */
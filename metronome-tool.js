@@ -1,7 +1,8 @@
 // @ts-check
 
 import { MakeToolResponse } from './tool.js';
-import { MetronomeHandler } from './metronome-handler.js';
+import { CLICK_VOICES } from './click-voices.js';
+import { MetronomeHandler, SUBDIVISIONS, parseAccentPattern } from './metronome-handler.js';
 
 /**
  * @typedef {import('./tool.js').Tool} Tool
@@ -29,10 +30,32 @@ export class MetronomeTool {
           type: 'BOOLEAN',
           description: 'Whether the metronome is active during playback. Defaults to true.',
         },
+        countInOnly: {
+          type: 'BOOLEAN',
+          description: 'Whether the metronome only clicks through the count-in, then falls silent. This applies even when it is off for recording or playback. Defaults to false.',
+        },
         level: {
           type: 'NUMBER',
           description: 'The volume of the metronome, from 0.0 (silent) to 1.0 (full). Defaults to 0.5.',
         },
+        voice: {
+          type: 'STRING',
+          enum: CLICK_VOICES,
+          description: "The click sound. 'sample' uses the sample the user loaded with the click sample button. Defaults to 'sine'.",
+        },
+        subdivision: {
+          type: 'STRING',
+          enum: Object.keys(SUBDIVISIONS),
+          description: "Extra, quieter clicks between the beats: 'eighth' for two per beat, 'triplet' for three, 'sixteenth' for four. 'quarter' only clicks the beats. Defaults to 'quarter'.",
+        },
+        accentPattern: {
+          type: 'STRING',
+          description: 'How the beats of a bar are grouped, e.g. "3+3+2" in 8/8; the first beat of each group is accented. An empty string only accents the downbeat.',
+        },
+        swing: {
+          type: 'NUMBER',
+          description: 'Swing for eighth and sixteenth subdivisions, in percent: 50 is straight, 66 is a triplet feel, up to 75. Defaults to 50.',
+        },
       },
       required: [],
     },
@@ -53,12 +76,41 @@ export class MetronomeTool {
    * @returns {Promise<FunctionResponse>}
    */
   async run(args) {
+    if (args.voice !== undefined) {
+      if (!CLICK_VOICES.includes(args.voice)) {
+        return MakeToolResponse(this, `Unknown voice: ${args.voice}`);
+      }
+      if (args.voice === 'sample' && !this.#metronome.sample) {
+        return MakeToolResponse(this, 'No click sample has been loaded. Ask the user to load one with the click sample button.');
+      }
+    }
+    if (args.subdivision !== undefined && !(args.subdivision in SUBDIVISIONS)) {
+      return MakeToolResponse(this, `Unknown subdivision: ${args.subdivision}`);
+    }
+    if (args.accentPattern !== undefined) {
+      try {
+        parseAccentPattern(args.accentPattern);
+      } catch (e) {
+        return MakeToolResponse(this, e.message);
+      }
+    }
+    if (args.swing !== undefined && !(args.swing >= 50 && args.swing <= 75)) {
+      return MakeToolResponse(this, `Swing must be from 50 to 75 percent, not ${args.swing}.`);
+    }
+    for (const key of ['voice', 'subdivision', 'accentPattern', 'swing']) {
+      if (args[key] !== undefined) {
+        this.#metronome.state.set(key, args[key]);
+      }
+    }
     if (args.onWhenRecording !== undefined) {
       this.#metronome.state.set('onWhenRecording', args.onWhenRecording);
     }
     if (args.onWhenPlaying !== undefined) {
       this.#metronome.state.set('onWhenPlaying', args.onWhenPlaying);
     }
+    if (args.countInOnly !== undefined) {
+      this.#metronome.state.set('countInOnly', args.countInOnly);
+    }
     if (args.level !== undefined) {
       this.#metronome.state.set('level', args.level);
     }
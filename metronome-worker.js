@@ -5,11 +5,24 @@
  * @extends AudioWorkletProcessor
  *
  * This processor implements a sample-accurate metronome.
- * It generates tick sounds based on a 'beatsPerMinute' AudioParam
- * and can produce an accented beat for the start of a measure.
+ * It plays the click sounds sent with 'voice': an accented click on the
+ * downbeat and at the start of each accent group, a plain click on other
+ * beats, and a quieter click on subdivisions, which may swing.
+ *
+ * 'start' may list the beats to click, which lets the tempo and meter
+ * change; after the last listed beat it carries on at a steady tempo,
+ * unless `continueSteadily` is false.  'queue' lists more beats after those,
+ * e.g. for the next pass round a loop.
+ *
+ * Each click is reported back with a 'click' message, so that recordings can
+ * be checked for click leaking into them.
  */
 class MetronomeProcessor extends AudioWorkletProcessor {
-  constructor() {
+  /**
+   * @param {AudioWorkletNodeOptions} [options] `processorOptions.messages`
+   *   are handled before the first render, for offline rendering.
+   */
+  constructor(options) {
     super();
     this._isPlaying = false;
     this._beatsPerMeasure = 4;
@@ -17,19 +30,36 @@ class MetronomeProcessor extends AudioWorkletProcessor {
     this._beatCount = 0;
     // The frame number where the next tick will start
     this._nextTickFrame = 0;
-    this._phase = 0;
-    this._framesInTick = -1; // -1 means not currently in a tick
     this._bpm = 120;
     this._level = 0.5;
-
-    // Duration of the tick sound in seconds.
-    this.TICK_DURATION_SEC = 0.05;
+    // Clicks per beat.
+    this._subdivision = 1;
+    // Where the second of each pair of subdivisions falls, as a fraction of the pair.
+    this._swing = 0.5;
+    /** @type {number[]} The sizes of the accent groups in a bar; empty accents only the downbeat. */
+    this._accentGroups = [];
+    /** @type {number[]} The frames of the subdivision clicks left before the next tick. */
+    this._subdivisionFrames = [];
+    /** @type {{accent: Float32Array, beat: Float32Array, subdivision: Float32Array} | null} */
+    this._sounds = null;
+    /** @type {Float32Array | null} The click that is playing. */
+    this._click = null;
+    this._framesInClick = 0;
+    /** @type {{frame: number, beat: number}[]} Beats to click before going steady. */
+    this._beats = [];
+    // The index in `_beats` of the beat after the next tick.
+    this._beatIndex = 0;
+    // Whether to keep clicking after the last listed beat.
+    this._continueSteadily = true;
 
     this.port.onmessage = this.handleMessage.bind(this);
+    for (const data of options?.processorOptions?.messages || []) {
+      this.handleMessage(/** @type {MessageEvent} */ ({ data }));
+    }
   }
 
   /**
-   * Handles 'start' and 'stop' messages from the main thread.
+   * Handles 'start', 'queue', 'set', 'voice' and 'stop' messages from the main thread.
    * @param {MessageEvent} event
    */
   handleMessage(event) {
@@ -40,12 +70,21 @@ class MetronomeProcessor extends AudioWorkletProcessor {
       case 'start':
         this._start(detail);
         break;
+      case 'queue':
+        this._queue(detail.beats);
+        break;
       case 'set':
         this._bpm = detail.tempo || this._bpm;
         this._beatsPerMeasure = detail.beatsPerMeasure || this._beatsPerMeasure;
         if (detail.level !== undefined) {
           this._level = detail.level;
         }
+        this._subdivision = detail.subdivision || this._subdivision;
+        this._swing = detail.swing ?? this._swing;
+        this._accentGroups = detail.accentGroups ?? this._accentGroups;
+        break;
+      case 'voice':
+        this._sounds = detail;
         break;
       case 'stop':
         this._isPlaying = false;
@@ -56,32 +95,33 @@ class MetronomeProcessor extends AudioWorkletProcessor {
   }
 
   /**
-   * Starts the metronome with a downbeat at the specified audioContextTimeS
-   * @param {{audioContextTimeS?: number}} detail
+   * Starts the metronome with a downbeat at the specified audioContextTimeS,
+   * or at the listed beats.
+   * @param {{audioContextTimeS?: number, beats?: {timeS: number, beat: number}[], continueSteadily?: boolean}} detail
+   *   `beat` is the beat within its bar, 0 for a downbeat.
    */
   _start(detail) {
-    const { audioContextTimeS } = detail;
+    const { audioContextTimeS, beats, continueSteadily = true } = detail;
     this._isPlaying = true;
+    this._continueSteadily = continueSteadily;
     this._beatsPerMeasure = this._beatsPerMeasure || 4;
-    if (audioContextTimeS !== undefined) {
-      const startFrame = Math.floor(audioContextTimeS * sampleRate);
-      const secondsPerBeat = 60.0 / this._bpm;
-      const framesPerBeat = secondsPerBeat * sampleRate;
-
+    this._beats = (beats || []).map(({ timeS, beat }) => ({ frame: Math.floor(timeS * sampleRate), beat }));
+    this._beatIndex = 0;
+    this._subdivisionFrames = [];
+    while (this._beatIndex < this._beats.length && this._beats[this._beatIndex].frame < currentFrame) {
+      this._beatIndex++;
+    }
+    if (this._beatIndex < this._beats.length) {
+      this._nextListedBeat();
+    } else if (this._beats.length > 0 && !this._continueSteadily) {
+      this._isPlaying = false;
+    } else if (this._beats.length > 0) {
+      // Every listed beat has passed, so carry on steadily from the last one.
+      const last = this._beats[this._beats.length - 1];
+      this._startSteady(last.frame + 60.0 / this._bpm * sampleRate, last.beat + 1);
+    } else if (audioContextTimeS !== undefined) {
       console.log(`starting at ${audioContextTimeS.toFixed(3)}s`);
-      if (currentFrame > startFrame) {
-        console.log('past');
-        const framesSinceStart = currentFrame - startFrame;
-        // Round down to find the beat we missed
-        const numberOfBeatsMissed = Math.floor(framesSinceStart / framesPerBeat) + 1;
-        // Add one because this is the next beat
-        this._beatCount = numberOfBeatsMissed % this._beatsPerMeasure;
-        this._nextTickFrame = startFrame + (numberOfBeatsMissed * framesPerBeat);
-      } else {
-        console.log('future');
-        this._beatCount = 0;
-        this._nextTickFrame = startFrame;
-      }
+      this._startSteady(Math.floor(audioContextTimeS * sampleRate), 0);
     } else {
       console.log('No start frame supplied.');
       this._beatCount = 0;
@@ -91,18 +131,110 @@ class MetronomeProcessor extends AudioWorkletProcessor {
   }
 
   /**
-   * Generates a single sample for a sine wave oscillator.
-   * @param {number} frequency The frequency of the sine wave.
-   * @returns {number} The sample value between -1.0 and 1.0.
+   * Lists beats after the ones still to click.  If they had all been
+   * clicked, the first of the new beats that hasn't passed is the next tick.
+   * @param {{timeS: number, beat: number}[]} beats
    */
-  getSineSample(frequency) {
-    const sample = Math.sin(this._phase);
-    this._phase += 2 * Math.PI * frequency / sampleRate;
-    // Wrap phase to avoid floating point issues.
-    if (this._phase > 2 * Math.PI) {
-      this._phase -= 2 * Math.PI;
-    }
-    return sample;
+  _queue(beats) {
+    const wasDone = this._beatIndex >= this._beats.length && this._nextTickFrame === Infinity;
+    this._beats = this._beats.slice(this._beatIndex)
+      .concat(beats.map(({ timeS, beat }) => ({ frame: Math.floor(timeS * sampleRate), beat })));
+    this._beatIndex = 0;
+    if (!wasDone || !this._isPlaying) {
+      return;
+    }
+    while (this._beatIndex < this._beats.length && this._beats[this._beatIndex].frame < currentFrame) {
+      this._beatIndex++;
+    }
+    if (this._beatIndex < this._beats.length) {
+      this._nextListedBeat();
+    }
+  }
+
+  /**
+   * Clicks at a steady tempo from `startFrame`, skipping beats that have passed.
+   * @param {number} startFrame
+   * @param {number} beatCount The beat number of the tick at `startFrame`.
+   */
+  _startSteady(startFrame, beatCount) {
+    const secondsPerBeat = 60.0 / this._bpm;
+    const framesPerBeat = secondsPerBeat * sampleRate;
+    if (currentFrame > startFrame) {
+      console.log('past');
+      const framesSinceStart = currentFrame - startFrame;
+      // Round down to find the beat we missed
+      const numberOfBeatsMissed = Math.floor(framesSinceStart / framesPerBeat) + 1;
+      // Add one because this is the next beat
+      this._beatCount = (beatCount + numberOfBeatsMissed) % this._beatsPerMeasure;
+      this._nextTickFrame = startFrame + (numberOfBeatsMissed * framesPerBeat);
+    } else {
+      console.log('future');
+      this._beatCount = beatCount % this._beatsPerMeasure;
+      this._nextTickFrame = startFrame;
+    }
+  }
+
+  /**
+   * Makes the next listed beat the next tick.
+   */
+  _nextListedBeat() {
+    const { frame, beat } = this._beats[this._beatIndex++];
+    this._nextTickFrame = frame;
+    this._beatCount = beat;
+  }
+
+  /**
+   * @param {number} beat The beat within its bar, 0 for a downbeat.
+   * @returns {boolean} Whether the beat starts an accent group.
+   */
+  _isAccented(beat) {
+    if (beat === 0) {
+      return true;
+    }
+    const patternLength = this._accentGroups.reduce((sum, group) => sum + group, 0);
+    if (patternLength === 0) {
+      return false;
+    }
+    // The pattern repeats if it is shorter than the bar.
+    let position = beat % patternLength;
+    for (const group of this._accentGroups) {
+      if (position === 0) {
+        return true;
+      }
+      position -= group;
+    }
+    return position === 0;
+  }
+
+  /**
+   * Lists the subdivision clicks between a tick and the next.
+   * @param {number} beatFrame
+   * @param {number} nextBeatFrame
+   */
+  _scheduleSubdivisions(beatFrame, nextBeatFrame) {
+    this._subdivisionFrames = [];
+    if (!isFinite(nextBeatFrame)) {
+      return;
+    }
+    const n = this._subdivision;
+    // Only subdivisions that come in pairs swing.
+    const swings = n % 2 === 0;
+    for (let i = 1; i < n; i++) {
+      const fraction = swings && i % 2 === 1 ? (i - 1 + 2 * this._swing) / n : i / n;
+      this._subdivisionFrames.push(beatFrame + fraction * (nextBeatFrame - beatFrame));
+    }
+  }
+
+  /**
+   * @param {'accent' | 'beat' | 'subdivision'} sound
+   * @param {number} frame
+   */
+  _startClick(sound, frame) {
+    this._click = this._sounds?.[sound] || null;
+    this._framesInClick = 0;
+    if (this._click) {
+      this.port.postMessage({ method: 'click', detail: { frame, sound, level: this._level } });
+    }
   }
 
   /**
@@ -114,7 +246,6 @@ class MetronomeProcessor extends AudioWorkletProcessor {
    */
   process(inputs, outputs, parameters) {
     const outputChannel = outputs[0][0];
-    const tickDurationFrames = this.TICK_DURATION_SEC * sampleRate;
 
     for (let i = 0; i < outputChannel.length; ++i) {
       const frame = currentFrame + i;
@@ -128,34 +259,39 @@ class MetronomeProcessor extends AudioWorkletProcessor {
       // Check if it's time for the next tick.
       if (frame >= this._nextTickFrame) {
         // Start a new tick.
-        this._framesInTick = 0;
-        this._phase = 0;
-
-        // Determine the frequency for this beat.
-        const isDownbeat = this._beatCount === 0;
-        this._currentTickFrequency = isDownbeat ? 600 : 400;
+        const beatFrame = this._nextTickFrame;
+        this._startClick(this._isAccented(this._beatCount) ? 'accent' : 'beat', frame);
 
         // Schedule the next tick.
-        const secondsPerBeat = 60.0 / this._bpm;
-        const framesPerBeat = secondsPerBeat * sampleRate;
-        this._nextTickFrame += framesPerBeat;
+        if (this._beatIndex < this._beats.length) {
+          this._nextListedBeat();
+        } else if (!this._continueSteadily) {
+          // Let this tick ring out, but schedule no more.
+          this._nextTickFrame = Infinity;
+        } else {
+          const secondsPerBeat = 60.0 / this._bpm;
+          const framesPerBeat = secondsPerBeat * sampleRate;
+          this._nextTickFrame += framesPerBeat;
 
-        this._beatCount++;
-        if (this._beatCount >= this._beatsPerMeasure) {
-          this._beatCount = 0;
+          this._beatCount++;
+          if (this._beatCount >= this._beatsPerMeasure) {
+            this._beatCount = 0;
+          }
         }
+        this._scheduleSubdivisions(beatFrame, this._nextTickFrame);
+      } else if (this._subdivisionFrames.length > 0 && frame >= this._subdivisionFrames[0]) {
+        this._subdivisionFrames.shift();
+        this._startClick('subdivision', frame);
       }
 
-      // If we are currently generating a tick sound.
-      if (this._framesInTick >= 0 && this._framesInTick < tickDurationFrames) {
-        // Generate the sine wave sample.
-        outputChannel[i] = this.getSineSample(this._currentTickFrequency) * this._level;
-        this._framesInTick++;
+      // If we are currently playing a click.
+      if (this._click && this._framesInClick < this._click.length) {
+        outputChannel[i] = this._click[this._framesInClick] * this._level;
+        this._framesInClick++;
       } else {
         // Output silence.
         outputChannel[i] = 0;
-        // Reset tick state.
-        this._framesInTick = -1;
+        this._click = null;
       }
     }
 
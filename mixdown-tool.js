@@ -0,0 +1,184 @@
+// @ts-check
+
+import { MakeToolResponse } from './tool.js';
+import { ChatUI } from './chat-ui.js';
+import { Mixdown } from './mixdown.js';
+
+/**
+ * @typedef {import('./tool.js').Tool} Tool
+ * @typedef {import('./tool.js').FunctionResponse} FunctionResponse
+ * @typedef {import('./tool.js').FunctionDeclaration} FunctionDeclaration
+ * @typedef {import('./wav.js').BitDepth} BitDepth
+ */
+
+/**
+ * The bit depths the export tools offer.  Gemini only accepts enums of
+ * strings, so they are named here and turned into numbers in `run`.
+ * @type {Record<string, BitDepth>}
+ */
+const BIT_DEPTHS = { '16': 16, '24': 24, '32f': 32 };
+
+/**
+ * @param {string | undefined} name One of the keys of `BIT_DEPTHS`.
+ * @returns {BitDepth | undefined} Undefined for the exporter's default.
+ */
+function parseBitDepth(name) {
+  if (name === undefined) {
+    return undefined;
+  }
+  const bitDepth = BIT_DEPTHS[name];
+  if (!bitDepth) {
+    throw new Error(`Invalid bit depth: ${name}. Use one of ${Object.keys(BIT_DEPTHS).join(', ')}.`);
+  }
+  return bitDepth;
+}
+
+/**
+ * @param {Blob} blob
+ * @param {string} fileName
+ * @returns {HTMLAnchorElement}
+ */
+function makeDownloadLink(blob, fileName) {
+  const anchor = document.createElement('a');
+  anchor.href = URL.createObjectURL(blob);
+  anchor.download = fileName;
+  anchor.textContent = `Download ${fileName}`;
+  return anchor;
+}
+
+/**
+ * The ExportMixTool implementation.
+ * @implements {Tool}
+ */
+export class ExportMixTool {
+  /** @type {FunctionDeclaration} */
+  declaration = {
+    name: 'export_mix',
+    description: 'Bounces the song (or one section) through the mixer, including channel volume, panning, EQ, reverb sends and master volume, to a stereo WAV file. A download link is shown to the user in the chat.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        section: {
+          type: 'STRING',
+          description: 'The name of the song section to export. If unspecified, the entire song is exported.',
+        },
+        bitDepth: {
+          type: 'STRING',
+          description: 'The bit depth of the file: 16 or 24 bit integer, or 32f for 32-bit float. Defaults to 24.',
+          enum: Object.keys(BIT_DEPTHS),
+        },
+        includeClick: {
+          type: 'BOOLEAN',
+          description: 'Whether the metronome click is in the mix, through its mixer channel. Defaults to false; only include it if the user asks.',
+        },
+      },
+      required: [],
+    },
+  };
+
+  /** @type {Mixdown} */
+  #mixdown;
+  /** @type {ChatUI} */
+  #chatUI;
+
+  /**
+   * @param {Mixdown} mixdown
+   * @param {ChatUI} chatUI Where progress and the download link are shown.
+   */
+  constructor(mixdown, chatUI) {
+    this.#mixdown = mixdown;
+    this.#chatUI = chatUI;
+  }
+
+  /**
+   * @param {{section?: string, bitDepth?: string, includeClick?: boolean}} args
+   * @returns {Promise<FunctionResponse>}
+   */
+  async run(args) {
+    const progress = document.createElement('progress');
+    progress.max = 1;
+    progress.value = 0;
+    this.#chatUI.displayElement(progress);
+    try {
+      const blob = await this.#mixdown.bounce({
+        section: args.section,
+        bitDepth: parseBitDepth(args.bitDepth),
+        includeClick: args.includeClick,
+        onProgress: (fraction) => { progress.value = fraction; },
+      });
+      const fileName = `${args.section || 'mix'}.wav`;
+      progress.replaceWith(makeDownloadLink(blob, fileName));
+      return MakeToolResponse(this, `Exported ${fileName}. The user can download it from the chat.`);
+    } catch (error) {
+      console.error('Error exporting mix:', error);
+      progress.remove();
+      return MakeToolResponse(this, `Error exporting mix: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * The ExportStemsTool implementation.
+ * @implements {Tool}
+ */
+export class ExportStemsTool {
+  /** @type {FunctionDeclaration} */
+  declaration = {
+    name: 'export_stems',
+    description: 'Exports every track as its own full-length WAV file, aligned to the start of the song, in a ZIP archive with a manifest.json describing the tempo, time signature, sections and track names. Use this to hand the session off to a mixing engineer. A download link is shown to the user in the chat.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        processed: {
+          type: 'BOOLEAN',
+          description: 'If true, each stem is rendered through its mixer channel (volume, pan, EQ, reverb send) and the master volume, in stereo. If false (the default), stems are the raw recorded tracks.',
+        },
+        bitDepth: {
+          type: 'STRING',
+          description: 'The bit depth of the files: 16 or 24 bit integer, or 32f for 32-bit float. Defaults to 24.',
+          enum: Object.keys(BIT_DEPTHS),
+        },
+      },
+      required: [],
+    },
+  };
+
+  /** @type {Mixdown} */
+  #mixdown;
+  /** @type {ChatUI} */
+  #chatUI;
+
+  /**
+   * @param {Mixdown} mixdown
+   * @param {ChatUI} chatUI Where progress and the download link are shown.
+   */
+  constructor(mixdown, chatUI) {
+    this.#mixdown = mixdown;
+    this.#chatUI = chatUI;
+  }
+
+  /**
+   * @param {{processed?: boolean, bitDepth?: string}} args
+   * @returns {Promise<FunctionResponse>}
+   */
+  async run(args) {
+    const progress = document.createElement('progress');
+    progress.max = 1;
+    progress.value = 0;
+    this.#chatUI.displayElement(progress);
+    try {
+      const blob = await this.#mixdown.exportStems({
+        processed: !!args.processed,
+        bitDepth: parseBitDepth(args.bitDepth),
+        onProgress: (fraction) => { progress.value = fraction; },
+      });
+      const fileName = 'stems.zip';
+      progress.replaceWith(makeDownloadLink(blob, fileName));
+      return MakeToolResponse(this, `Exported ${fileName}. The user can download it from the chat.`);
+    } catch (error) {
+      console.error('Error exporting stems:', error);
+      progress.remove();
+      return MakeToolResponse(this, `Error exporting stems: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,213 @@
+// @ts-check
+
+import { MetronomeHandler } from './metronome-handler.js';
+import { Mixer } from './mixer.js';
+import { SongContext } from './song-context.js';
+import { TapeDeck } from './tape-deck.js';
+import { encodeWav } from './wav.js';
+import { createZip } from './zip.js';
+
+/** @typedef {import('./wav.js').BitDepth} BitDepth */
+
+/**
+ * Bounces the song to a stereo file by rendering every track through a copy
+ * of the mixer graph in an OfflineAudioContext, and exports stems.
+ */
+export class Mixdown {
+  /** @type {AudioContext} */
+  #audioCtx;
+  /** @type {TapeDeck} */
+  #tapeDeck;
+  /** @type {Mixer} */
+  #mixer;
+  /** @type {SongContext} */
+  #songContext;
+  /** @type {MetronomeHandler | null} */
+  #metronome;
+
+  static TAIL_S = 2.0; // Extra time after the end of the range so the reverb can ring out.
+  static PROGRESS_STEPS = 20;
+
+  /**
+   * @param {AudioContext} audioCtx The live context; bounces use its sample rate.
+   * @param {TapeDeck} tapeDeck
+   * @param {Mixer} mixer
+   * @param {SongContext} songContext
+   * @param {MetronomeHandler | null} [metronome] Needed to bounce with the click.
+   */
+  constructor(audioCtx, tapeDeck, mixer, songContext, metronome = null) {
+    this.#audioCtx = audioCtx;
+    this.#tapeDeck = tapeDeck;
+    this.#mixer = mixer;
+    this.#songContext = songContext;
+    this.#metronome = metronome;
+  }
+
+  /**
+   * @param {string} [sectionName] If unspecified, the whole song.
+   * @returns {{startS: number, endS: number}} The range of tape time to bounce.
+   */
+  getRange(sectionName) {
+    if (sectionName) {
+      const section = this.#songContext.getSection(sectionName);
+      return { startS: section.startTimeS, endS: section.startTimeS + section.durationS };
+    }
+    const endS = Math.max(this.#songContext.songLengthS, this.#tapeDeck.recordedLengthS);
+    if (endS <= 0) {
+      throw new Error('There is nothing to bounce yet.');
+    }
+    return { startS: 0, endS };
+  }
+
+  /**
+   * Renders a range of the song through the mixer.  The click is left out
+   * unless `includeClick` is set.
+   * @param {{section?: string, includeClick?: boolean, onProgress?: (fraction: number) => void}} [options]
+   * @returns {Promise<AudioBuffer>} The stereo mix.
+   */
+  async render({ section, includeClick = false, onProgress } = {}) {
+    const { startS, endS } = this.getRange(section);
+    if (includeClick && !this.#metronome) {
+      throw new Error('There is no metronome to bounce the click from.');
+    }
+    return this.#renderOffline(2, endS - startS + Mixdown.TAIL_S, async (ctx) => {
+      const graph = this.#mixer.createRenderGraph(ctx);
+      graph.output.connect(ctx.destination);
+      this.#tapeDeck.scheduleTracks(ctx, graph.channelInputs, 0, startS, endS);
+      if (includeClick && this.#metronome) {
+        const click = await this.#metronome.createRenderNode(ctx, startS, endS);
+        click.connect(graph.clickInput);
+      }
+    }, onProgress);
+  }
+
+  /**
+   * Renders a range of the song and encodes it as a stereo WAV file.
+   * @param {{section?: string, includeClick?: boolean, bitDepth?: BitDepth, onProgress?: (fraction: number) => void}} [options]
+   * @returns {Promise<Blob>}
+   */
+  async bounce({ section, includeClick = false, bitDepth = 24, onProgress } = {}) {
+    const buffer = await this.render({ section, includeClick, onProgress });
+    return encodeWav([buffer.getChannelData(0), buffer.getChannelData(1)], buffer.sampleRate, bitDepth);
+  }
+
+  /**
+   * Renders one track over the whole song, starting at tape zero.
+   * @param {number} trackNumber
+   * @param {{processed?: boolean, onProgress?: (fraction: number) => void}} [options]
+   *   If processed, the track goes through its mixer channel (including the reverb
+   *   send) and the master volume, and the result is stereo.  Otherwise the result
+   *   has the track's own channels, as recorded.
+   * @returns {Promise<Float32Array[]>}
+   */
+  async renderStem(trackNumber, { processed = false, onProgress } = {}) {
+    const { endS } = this.getRange();
+    if (!processed) {
+      const channels = this.#tapeDeck.getTrackAudio(trackNumber, 0, endS + Mixdown.TAIL_S);
+      onProgress?.(1);
+      return channels;
+    }
+    const buffer = await this.#renderOffline(2, endS + Mixdown.TAIL_S, (ctx) => {
+      const graph = this.#mixer.createRenderGraph(ctx);
+      graph.output.connect(ctx.destination);
+      this.#tapeDeck.scheduleTrack(ctx, trackNumber, graph.channelInputs[trackNumber], 0, 0, endS);
+    }, onProgress);
+    return [buffer.getChannelData(0), buffer.getChannelData(1)];
+  }
+
+  /**
+   * Bounces every track to its own WAV file, all the same length and aligned to
+   * tape zero, and packs them in a ZIP archive together with `manifest.json`,
+   * which describes the tempo, meter, section markers and tracks.
+   * @param {{processed?: boolean, bitDepth?: BitDepth, onProgress?: (fraction: number) => void}} [options]
+   * @returns {Promise<Blob>}
+   */
+  async exportStems({ processed = false, bitDepth = 24, onProgress } = {}) {
+    const trackCount = this.#tapeDeck.trackCount;
+    if (trackCount === 0) {
+      throw new Error('There are no tracks to export.');
+    }
+    const { endS } = this.getRange();
+    const sampleRate = this.#audioCtx.sampleRate;
+
+    /** @type {import('./zip.js').ZipEntry[]} */
+    const entries = [];
+    const tracks = [];
+    for (let trackNumber = 0; trackNumber < trackCount; trackNumber++) {
+      const channels = await this.renderStem(trackNumber, {
+        processed,
+        onProgress: onProgress && ((fraction) => onProgress((trackNumber + fraction) / trackCount)),
+      });
+      const name = this.#tapeDeck.getTrackName(trackNumber) || '';
+      const fileName = Mixdown.#stemFileName(trackNumber, name);
+      entries.push({ name: fileName, data: encodeWav(channels, sampleRate, bitDepth) });
+      tracks.push({ trackNumber, name, fileName, channelCount: channels.length });
+    }
+
+    const manifest = {
+      sampleRate,
+      bitDepth,
+      processed,
+      lengthS: endS + Mixdown.TAIL_S,
+      tempo: this.#songContext.tempo,
+      beatsPerMeasure: this.#songContext.beatsPerMeasure,
+      sections: this.#songContext.sections.map((section) => ({
+        name: section.name,
+        measureCount: section.measureCount,
+        ...section.sectionTempo,
+        startTimeS: section.startTimeS,
+        durationS: section.durationS,
+      })),
+      tracks,
+    };
+    entries.push({
+      name: 'manifest.json',
+      data: new Blob([JSON.stringify(manifest, null, 2)], { type: 'application/json' }),
+    });
+    return createZip(entries);
+  }
+
+  /**
+   * Renders in an OfflineAudioContext, reporting progress as the render proceeds.
+   * @param {number} channelCount
+   * @param {number} lengthS
+   * @param {(ctx: OfflineAudioContext) => void | Promise<void>} setup Builds the graph to render.
+   * @param {(fraction: number) => void} [onProgress]
+   * @returns {Promise<AudioBuffer>}
+   */
+  async #renderOffline(channelCount, lengthS, setup, onProgress) {
+    const sampleRate = this.#audioCtx.sampleRate;
+    const ctx = new OfflineAudioContext(channelCount, Math.ceil(lengthS * sampleRate), sampleRate);
+    await setup(ctx);
+
+    if (onProgress) {
+      // The render can only be suspended on render quantum boundaries.
+      const quantumS = 128 / sampleRate;
+      const suspendTimes = new Set();
+      for (let i = 1; i < Mixdown.PROGRESS_STEPS; i++) {
+        suspendTimes.add(Math.floor(lengthS * i / Mixdown.PROGRESS_STEPS / quantumS) * quantumS);
+      }
+      for (const timeS of suspendTimes) {
+        ctx.suspend(timeS).then(() => {
+          onProgress(timeS / lengthS);
+          ctx.resume();
+        });
+      }
+    }
+
+    const buffer = await ctx.startRendering();
+    onProgress?.(1);
+    return buffer;
+  }
+
+  /**
+   * @param {number} trackNumber
+   * @param {string} name
+   * @returns {string} e.g. "02-Bass.wav"
+   */
+  static #stemFileName(trackNumber, name) {
+    const number = String(trackNumber).padStart(2, '0');
+    const safeName = name.replace(/[^\w\- ]+/g, '').trim();
+    return safeName ? `${number}-${safeName}.wav` : `${number}.wav`;
+  }
+}
@@ -1,7 +1,7 @@
 // @ts-check
 
 import { MakeToolResponse } from './tool.js';
-import { Mixer } from './mixer.js';
+import { EQ_BANDS, Mixer } from './mixer.js';
 
 /**
  * @typedef {import('./tool.js').Tool} Tool
@@ -37,6 +37,10 @@ export class MixerTool {
           type: 'NUMBER',
           description: 'The reverb send level in decibels (dB). -Infinity is silent, 0 is nominal.',
         },
+        cueSend: {
+          type: 'NUMBER',
+          description: "The channel's level in the performers' headphone cue mix, in decibels (dB), before the fader. -Infinity is silent, 0 is nominal.",
+        },
       },
       required: ['channelNumber'],
     },
@@ -53,7 +57,7 @@ export class MixerTool {
   }
 
   /**
-   * @param {{ channelNumber: number, volume?: number, pan?: number, reverbSend?: number }} args
+   * @param {{ channelNumber: number, volume?: number, pan?: number, reverbSend?: number, cueSend?: number }} args
    * @returns {Promise<FunctionResponse>}
    */
   async run(args) {
@@ -62,9 +66,210 @@ export class MixerTool {
       return MakeToolResponse(this, `Error: Channel ${args.channelNumber} not found. You may need to create it first by patching an audio source to it.`);
     }
 
-    channel.set({ volume: args.volume, pan: args.pan, reverbSend: args.reverbSend });
+    channel.set({ volume: args.volume, pan: args.pan, reverbSend: args.reverbSend, cueSend: args.cueSend });
 
     const responseText = `Set channel ${args.channelNumber} properties: ${JSON.stringify(args)}.`;
     return MakeToolResponse(this, responseText);
   }
 }
+
+/**
+ * The ChannelEqTool implementation.
+ * @implements {Tool}
+ */
+export class ChannelEqTool {
+  /** @type {FunctionDeclaration} */
+  declaration = {
+    name: 'set_channel_eq',
+    description: "Sets one band of a mixer channel's EQ. The bands, in signal order, are a high-pass filter (off unless turned on), a low shelf, two peaking bands (lowMid and highMid) and a high shelf. Leaves unspecified values unchanged, and reports the channel's whole EQ. Call it once per band to change several.",
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        channelNumber: {
+          type: 'INTEGER',
+          description: 'The channel number to modify (0-indexed).',
+        },
+        band: {
+          type: 'STRING',
+          enum: EQ_BANDS.map(band => band.name),
+          description: 'The band to set.',
+        },
+        on: {
+          type: 'BOOLEAN',
+          description: 'Whether the band is in use. A band that is off has no effect.',
+        },
+        frequency: {
+          type: 'NUMBER',
+          description: 'The cutoff (high-pass), corner (shelves) or center (peaking) frequency in Hz, from 20 to 20000.',
+        },
+        gainDb: {
+          type: 'NUMBER',
+          description: 'The boost (positive) or cut (negative) in dB, from -24 to 24. Not used by the high-pass filter.',
+        },
+        q: {
+          type: 'NUMBER',
+          description: 'The width of a peaking band (higher is narrower; 1 is about an octave and a half) or the resonance of the high-pass filter (0.707 is flat), from 0.1 to 18. Not used by the shelves.',
+        },
+        flat: {
+          type: 'BOOLEAN',
+          description: "If true, resets every band of the channel's EQ to flat (and the high-pass off) before applying any other values.",
+        },
+      },
+      required: ['channelNumber'],
+    },
+  };
+
+  /** @type {Mixer} */
+  #mixer;
+
+  /**
+   * @param {Mixer} mixer
+   */
+  constructor(mixer) {
+    this.#mixer = mixer;
+  }
+
+  /**
+   * @param {{ channelNumber: number, band?: import('./mixer.js').EqBandName, on?: boolean,
+   *   frequency?: number, gainDb?: number, q?: number, flat?: boolean }} args
+   * @returns {Promise<FunctionResponse>}
+   */
+  async run(args) {
+    try {
+      const channel = this.#mixer.getChannel(args.channelNumber);
+      /** @type {Object<string, Partial<import('./mixer.js').EqBand>>} */
+      const eq = {};
+      if (args.flat) {
+        for (const { name, flat } of EQ_BANDS) {
+          eq[name] = flat;
+        }
+      }
+      if (args.band) {
+        eq[args.band] = { ...eq[args.band], on: args.on, frequency: args.frequency, gainDB: args.gainDb, q: args.q };
+      } else if ([args.on, args.frequency, args.gainDb, args.q].some(value => value !== undefined)) {
+        return MakeToolResponse(this, 'Specify the band to set.');
+      }
+      if (Object.keys(eq).length > 0) {
+        channel.set({ eq });
+      }
+      return MakeToolResponse(this, `Channel ${args.channelNumber} EQ: ${JSON.stringify(channel.eq)}.`);
+    } catch (error) {
+      console.error('Error setting channel EQ:', error);
+      return MakeToolResponse(this, `Error setting channel EQ: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * The CueMixTool implementation.
+ * @implements {Tool}
+ */
+export class CueMixTool {
+  /** @type {FunctionDeclaration} */
+  declaration = {
+    name: 'set_cue_mix',
+    description: "Sets up the metronome's click channel, the groove's channel and the performers' headphone cue mix, which can play on a second output device while the main mix stays on the default one. Each track's level in the cue mix is its channel's cueSend. Call with listDevices to find the output devices.",
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        clickVolume: {
+          type: 'NUMBER',
+          description: 'The click channel volume in decibels (dB). 0 is nominal level.',
+        },
+        clickPan: {
+          type: 'NUMBER',
+          description: 'The click channel pan, from -1.0 (full left) to 1.0 (full right).',
+        },
+        clickCueSend: {
+          type: 'NUMBER',
+          description: 'The level of the click in the cue mix in decibels (dB). -Infinity is silent.',
+        },
+        grooveVolume: {
+          type: 'NUMBER',
+          description: 'The groove channel volume in decibels (dB). 0 is nominal level.',
+        },
+        groovePan: {
+          type: 'NUMBER',
+          description: 'The groove channel pan, from -1.0 (full left) to 1.0 (full right).',
+        },
+        grooveCueSend: {
+          type: 'NUMBER',
+          description: 'The level of the groove in the cue mix in decibels (dB). -Infinity is silent.',
+        },
+        clickInMain: {
+          type: 'BOOLEAN',
+          description: 'Whether the click is heard in the main mix too. Bounces leave the click out either way.',
+        },
+        cueVolume: {
+          type: 'NUMBER',
+          description: 'The volume of the whole cue mix in decibels (dB).',
+        },
+        cueDevice: {
+          type: 'STRING',
+          description: "The output device for the cue mix, by name or id as listed by listDevices. 'none' turns the cue output off.",
+        },
+        listDevices: {
+          type: 'BOOLEAN',
+          description: 'Whether to list the audio output devices.',
+        },
+      },
+      required: [],
+    },
+  };
+
+  /** @type {Mixer} */
+  #mixer;
+
+  /**
+   * @param {Mixer} mixer
+   */
+  constructor(mixer) {
+    this.#mixer = mixer;
+  }
+
+  /**
+   * @param {{ clickVolume?: number, clickPan?: number, clickCueSend?: number, clickInMain?: boolean,
+   *   grooveVolume?: number, groovePan?: number, grooveCueSend?: number,
+   *   cueVolume?: number, cueDevice?: string, listDevices?: boolean }} args
+   * @returns {Promise<FunctionResponse>}
+   */
+  async run(args) {
+    try {
+      const results = [];
+      this.#mixer.clickChannel.set({ volume: args.clickVolume, pan: args.clickPan, cueSend: args.clickCueSend });
+      this.#mixer.grooveChannel.set({ volume: args.grooveVolume, pan: args.groovePan, cueSend: args.grooveCueSend });
+      if (args.clickInMain !== undefined) {
+        this.#mixer.setClickInMain(args.clickInMain);
+      }
+      if (args.cueVolume !== undefined) {
+        this.#mixer.setCueVolume(args.cueVolume);
+      }
+      if (args.listDevices || args.cueDevice) {
+        const devices = await Mixer.listOutputDevices();
+        if (args.cueDevice === 'none') {
+          await this.#mixer.setCueDevice('');
+          results.push('The cue output is off.');
+        } else if (args.cueDevice) {
+          const name = args.cueDevice.toLowerCase();
+          const device = devices.find(d => d.deviceId === args.cueDevice) ||
+            devices.find(d => d.label.toLowerCase().includes(name));
+          if (!device) {
+            return MakeToolResponse(this, `Error: No output device matches "${args.cueDevice}". ` +
+              `The devices are: ${JSON.stringify(devices)}.`);
+          }
+          await this.#mixer.setCueDevice(device.deviceId);
+          results.push(`The cue mix is playing on "${device.label || device.deviceId}".`);
+        }
+        if (args.listDevices) {
+          results.push(`The output devices are: ${JSON.stringify(devices)}.`);
+        }
+      }
+      results.push(`Cue mix settings: ${JSON.stringify(this.#mixer.getJSON(), (key, value) =>
+        key === 'channels' ? undefined : value)}.`);
+      return MakeToolResponse(this, results.join(' '));
+    } catch (error) {
+      console.error('Error setting cue mix:', error);
+      return MakeToolResponse(this, `Error setting cue mix: ${error.message}`);
+    }
+  }
+}
@@ -3,32 +3,103 @@
 import { ReverbEffect } from './reverb.js';
 import { State } from './state.js';
 import { Stateful } from './stateful.js';
+import { UndoHistory } from './undo-history.js';
+
+/**
+ * One band of a channel's EQ.  `gainDB` is ignored by the high-pass filter,
+ * and `q` by the shelves.  A band that is not `on` is bypassed.
+ * @typedef {{on: boolean, frequency: number, gainDB: number, q: number}} EqBand
+ */
+
+/**
+ * @typedef {Record<EqBandName, EqBand>} Eq
+ * @typedef {'highPass' | 'lowShelf' | 'lowMid' | 'highMid' | 'highShelf'} EqBandName
+ */
+
+/**
+ * The bands of the channel EQ, in signal order, with their filter types and flat settings.
+ * @type {{name: EqBandName, type: BiquadFilterType, flat: EqBand}[]}
+ */
+export const EQ_BANDS = [
+  { name: 'highPass', type: 'highpass', flat: { on: false, frequency: 80, gainDB: 0, q: Math.SQRT1_2 } },
+  { name: 'lowShelf', type: 'lowshelf', flat: { on: true, frequency: 100, gainDB: 0, q: 1 } },
+  { name: 'lowMid', type: 'peaking', flat: { on: true, frequency: 400, gainDB: 0, q: 1 } },
+  { name: 'highMid', type: 'peaking', flat: { on: true, frequency: 2500, gainDB: 0, q: 1 } },
+  { name: 'highShelf', type: 'highshelf', flat: { on: true, frequency: 8000, gainDB: 0, q: 1 } },
+];
+
+/**
+ * @returns {Eq} An EQ that leaves the sound unchanged.
+ */
+function flatEq() {
+  return /** @type {Eq} */ (Object.fromEntries(EQ_BANDS.map(({ name, flat }) => [name, { ...flat }])));
+}
+
+/**
+ * Applies changes to some bands of an EQ, checking the new values.
+ * @param {Eq} eq
+ * @param {Partial<Record<EqBandName, Partial<EqBand>>>} changes
+ * @returns {Eq} A new EQ; `eq` is unchanged.
+ */
+function changeEq(eq, changes) {
+  const result = /** @type {Eq} */ ({ ...eq });
+  for (const [name, change] of Object.entries(changes)) {
+    if (!EQ_BANDS.some(band => band.name === name)) {
+      throw new Error(`Unknown EQ band: ${name}`);
+    }
+    const band = { ...result[name], ...Object.fromEntries(
+      Object.entries(change || {}).filter(([, value]) => value !== undefined)) };
+    if (!(band.frequency >= 20 && band.frequency <= 20000)) {
+      throw new Error(`Invalid ${name} frequency: ${band.frequency}. Must be from 20 to 20000 Hz.`);
+    }
+    if (!(band.gainDB >= -24 && band.gainDB <= 24)) {
+      throw new Error(`Invalid ${name} gain: ${band.gainDB}. Must be from -24 to 24 dB.`);
+    }
+    if (!(band.q >= 0.1 && band.q <= 18)) {
+      throw new Error(`Invalid ${name} Q: ${band.q}. Must be from 0.1 to 18.`);
+    }
+    result[name] = band;
+  }
+  return result;
+}
 
 /**
  * Represents a single channel strip in the mixer.
- * Each channel has its own input, fader for volume control, and a panner for stereo positioning.
+ * Each channel has its own input, EQ, fader for volume control, and a panner for stereo positioning.
+ * A pre-fader send feeds the performers' cue mix, so their blend does not follow the main mix.
  * @implements {Stateful}
  */
 class Channel {
-  /** @type {AudioContext} */
+  /** @type {BaseAudioContext} */
   #audioCtx;
   /** @type {GainNode} */
   #input;
+  /** @type {Map<EqBandName, BiquadFilterNode>} */
+  #eqFilters = new Map();
+  /** @type {string | null} The bands that are on, as last connected. */
+  #eqChain = null;
   /** @type {GainNode} */
   #fader;
   /** @type {StereoPannerNode} */
   #panner;
   /** @type {GainNode} */
   #reverbSend;
+  /** @type {GainNode} */
+  #cueSend;
+  /** @type {UndoHistory} */
+  #undoHistory;
   /** @type {State} */
   state;
 
   /**
-   * @param {AudioContext} audioCtx The audio context.
+   * @param {BaseAudioContext} audioCtx The audio context (live, or offline for a bounce).
    * @param {AudioNode} reverbInput The input node of the reverb effect.
+   * @param {UndoHistory} undoHistory
+   * @param {AudioNode | null} [cueInput] The input of the cue mix; bounces have none.
    */
-  constructor(audioCtx, reverbInput) {
+  constructor(audioCtx, reverbInput, undoHistory, cueInput = null) {
     this.#audioCtx = audioCtx;
+    this.#undoHistory = undoHistory;
 
     this.#input = this.#audioCtx.createGain();
     this.#fader = this.#audioCtx.createGain();
@@ -36,34 +107,100 @@ class Channel {
     this.#reverbSend = this.#audioCtx.createGain();
     this.#reverbSend.gain.value = 0; // Default to no reverb send (-Infinity dB)
 
-    // The signal flow for a channel is: source -> input -> fader -> panner -> mixer master out
-    this.#input.connect(this.#fader);
+    for (const { name, type } of EQ_BANDS) {
+      const filter = this.#audioCtx.createBiquadFilter();
+      filter.type = type;
+      this.#eqFilters.set(name, filter);
+    }
+
+    // The signal flow for a channel is: source -> input -> EQ -> fader -> panner -> mixer master out
+    // The EQ is connected by #updateEq.
     this.#fader.connect(this.#panner);
     // Post-fader send to the reverb
     this.#fader.connect(this.#reverbSend);
     this.#reverbSend.connect(reverbInput);
+    // Pre-fader (and post-EQ) send to the cue mix
+    this.#cueSend = this.#audioCtx.createGain();
+    if (cueInput) {
+      this.#cueSend.connect(cueInput);
+    }
 
     this.state = new State({
       volume: 0, // 0 dB
       pan: 0,
       reverbSend: -Infinity,
+      cueSend: 0, // 0 dB
+      eq: flatEq(),
     });
+    this.#updateEq(flatEq());
+    this.state.addFieldCallback('eq', (/** @type {Eq} */ eq) => this.#updateEq(eq));
 
     this.state.addFieldCallback('volume', (/** @type {number} */ volume) => {
       const gain = Math.pow(10, volume / 20);
-      this.#fader.gain.setTargetAtTime(gain, this.#audioCtx.currentTime, 0.01);
+      this.#setParam(this.#fader.gain, gain);
     });
 
     this.state.addFieldCallback('pan', (/** @type {number} */ pan) => {
-      this.#panner.pan.setTargetAtTime(pan, this.#audioCtx.currentTime, 0.01);
+      this.#setParam(this.#panner.pan, pan);
     });
 
     this.state.addFieldCallback('reverbSend', (/** @type {number} */ reverbSend) => {
       const gain = reverbSend <= -Infinity ? 0 : Math.pow(10, reverbSend / 20);
-      this.#reverbSend.gain.setTargetAtTime(gain, this.#audioCtx.currentTime, 0.01);
+      this.#setParam(this.#reverbSend.gain, gain);
+    });
+
+    this.state.addFieldCallback('cueSend', (/** @type {number} */ cueSend) => {
+      const gain = cueSend <= -Infinity ? 0 : Math.pow(10, cueSend / 20);
+      this.#setParam(this.#cueSend.gain, gain);
     });
   }
 
+  /**
+   * Sets the filters to the EQ, and connects the bands that are on between
+   * the input and the fader.
+   * @param {Eq} eq
+   */
+  #updateEq(eq) {
+    for (const { name } of EQ_BANDS) {
+      const filter = /** @type {BiquadFilterNode} */ (this.#eqFilters.get(name));
+      this.#setParam(filter.frequency, eq[name].frequency);
+      this.#setParam(filter.gain, eq[name].gainDB);
+      this.#setParam(filter.Q, eq[name].q);
+    }
+    const chain = EQ_BANDS.filter(({ name }) => eq[name].on).map(({ name }) => name);
+    if (chain.join() === this.#eqChain) {
+      return;
+    }
+    this.#eqChain = chain.join();
+    this.#input.disconnect();
+    for (const filter of this.#eqFilters.values()) {
+      filter.disconnect();
+    }
+    /** @type {AudioNode} */
+    let node = this.#input;
+    for (const name of chain) {
+      const filter = /** @type {BiquadFilterNode} */ (this.#eqFilters.get(name));
+      node.connect(filter);
+      node = filter;
+    }
+    node.connect(this.#fader);
+    node.connect(this.#cueSend);
+  }
+
+  /**
+   * Glides a parameter to a new value to avoid zipper noise.  Offline renders
+   * start at the final value instead.
+   * @param {AudioParam} param
+   * @param {number} value
+   */
+  #setParam(param, value) {
+    if (this.#audioCtx instanceof OfflineAudioContext) {
+      param.value = value;
+    } else {
+      param.setTargetAtTime(value, this.#audioCtx.currentTime, 0.01);
+    }
+  }
+
   /**
    * The input node for this channel, where an audio source should be connected.
    * @returns {GainNode}
@@ -81,12 +218,62 @@ class Channel {
   }
 
   /**
-   * @param {{ volume?: number, pan?: number, reverbSend?: number }} settings
+   * Disconnects the channel's output and reverb send.
+   */
+  disconnect() {
+    this.#panner.disconnect();
+    this.#reverbSend.disconnect();
+    this.#cueSend.disconnect();
+  }
+
+  /** @returns {Eq} */
+  get eq() {
+    return /** @type {Eq} */ (this.state.get('eq'));
+  }
+
+  /**
+   * @param {{ volume?: number, pan?: number, reverbSend?: number, cueSend?: number,
+   *   eq?: Partial<Record<EqBandName, Partial<EqBand>>> }} settings
+   *   `eq` changes only the bands and values given.
    */
   set(settings) {
+    if (settings.eq) {
+      settings = { ...settings, eq: changeEq(this.eq, settings.eq) };
+    }
+    /** @type {{ volume?: number, pan?: number, reverbSend?: number, cueSend?: number, eq?: Eq }} */
+    const previous = {};
+    for (const key of ['volume', 'pan', 'reverbSend', 'cueSend', 'eq']) {
+      if (settings[key] !== undefined) {
+        previous[key] = this.state.protectedData[key];
+      }
+    }
+    if (Object.keys(previous).length > 0) {
+      this.#undoHistory.push({
+        description: `Change channel ${Object.keys(previous).join(', ')}`,
+        undo: () => this.set(previous),
+        redo: () => this.set(settings),
+      });
+    }
     if (settings.volume !== undefined) this.state.set('volume', settings.volume);
     if (settings.pan !== undefined) this.state.set('pan', settings.pan);
     if (settings.reverbSend !== undefined) this.state.set('reverbSend', settings.reverbSend);
+    if (settings.cueSend !== undefined) this.state.set('cueSend', settings.cueSend);
+    if (settings.eq !== undefined) this.state.set('eq', settings.eq);
+  }
+
+  /**
+   * Restores settings saved with `getJSON()`.  This is not recorded in the undo history.
+   * @param {any} json
+   */
+  loadJSON(json) {
+    this.state.set('volume', json.volume);
+    this.state.set('pan', json.pan);
+    // -Infinity does not survive JSON and comes back as null.
+    this.state.set('reverbSend', json.reverbSend ?? -Infinity);
+    // Sessions saved before the cue mix have no cue send.
+    this.state.set('cueSend', json.cueSend === undefined ? 0 : json.cueSend ?? -Infinity);
+    // Sessions saved before the EQ, or with fewer bands, are flat where they have nothing.
+    this.state.set('eq', changeEq(flatEq(), json.eq || {}));
   }
 
   /**
@@ -100,6 +287,11 @@ class Channel {
 /**
  * The Mixer class manages multiple audio channels, mixes them into a stereo output,
  * and will provide support for send effects.
+ *
+ * Besides a channel per track, there is a click channel for the metronome,
+ * which is left out of bounces unless they ask for it, and can be kept out
+ * of the main mix, and a channel for the groove.  Every channel also feeds a cue mix for the performers'
+ * headphones, which can play on a second output device.
  * @implements {Stateful}
  */
 export class Mixer {
@@ -109,16 +301,32 @@ export class Mixer {
   #channels = [];
   /** @type {GainNode} */
   #master;
+  /** @type {Channel} */
+  #clickChannel;
+  /** @type {GainNode} Switches the click channel into the main mix. */
+  #clickToMain;
+  /** @type {Channel} */
+  #grooveChannel;
+  /** @type {GainNode} */
+  #cueMaster;
+  /** @type {MediaStreamAudioDestinationNode} */
+  #cueOutput;
+  /** @type {HTMLAudioElement | null} Plays the cue mix on the cue device. */
+  #cueAudio = null;
   /** @type {ReverbEffect} */
   #reverb;
+  /** @type {UndoHistory} */
+  #undoHistory;
   /** @type {State} */
   state;
 
   /**
    * @param {AudioContext} audioCtx The audio context.
+   * @param {UndoHistory} undoHistory
    */
-  constructor(audioCtx) {
+  constructor(audioCtx, undoHistory) {
     this.#audioCtx = audioCtx;
+    this.#undoHistory = undoHistory;
     this.#master = this.#audioCtx.createGain();
 
     // Create a reverb effect with a 2-second half-life and connect it to the master bus.
@@ -126,13 +334,120 @@ export class Mixer {
     this.#reverb.connect(this.#master);
     this.#master.connect(this.#audioCtx.destination);
 
+    this.#cueMaster = this.#audioCtx.createGain();
+    this.#cueOutput = this.#audioCtx.createMediaStreamDestination();
+    this.#cueMaster.connect(this.#cueOutput);
+
+    this.#clickChannel = new Channel(this.#audioCtx, this.#reverb.inputNode, this.#undoHistory, this.#cueMaster);
+    this.#clickToMain = this.#audioCtx.createGain();
+    this.#clickChannel.connect(this.#clickToMain);
+    this.#clickToMain.connect(this.#master);
+
+    this.#grooveChannel = new Channel(this.#audioCtx, this.#reverb.inputNode, this.#undoHistory, this.#cueMaster);
+    this.#grooveChannel.connect(this.#master);
+
     this.state = new State({
       masterVolume: 0, // 0 dB
+      clickInMain: true,
+      cueVolume: 0, // 0 dB
+      // The output device the cue mix plays on, or empty for none.
+      cueDeviceId: '',
     });
     this.state.addList('channels');
+    this.state.protectedData.click = this.#clickChannel.state.protectedData;
+    this.state.addChild('click', this.#clickChannel.state);
+    this.state.protectedData.groove = this.#grooveChannel.state.protectedData;
+    this.state.addChild('groove', this.#grooveChannel.state);
     this.state.addFieldCallback('masterVolume', (/** @type {number} */ volume) => {
       this.#master.gain.value = Math.pow(10, volume / 20);
     });
+    this.state.addFieldCallback('clickInMain', (/** @type {boolean} */ clickInMain) => {
+      this.#clickToMain.gain.value = clickInMain ? 1 : 0;
+    });
+    this.state.addFieldCallback('cueVolume', (/** @type {number} */ volume) => {
+      this.#cueMaster.gain.value = Math.pow(10, volume / 20);
+    });
+  }
+
+  /** @returns {AudioNode} Where the metronome connects. */
+  get clickInput() {
+    return this.#clickChannel.input;
+  }
+
+  /** @returns {Channel} */
+  get clickChannel() {
+    return this.#clickChannel;
+  }
+
+  /** @returns {AudioNode} Where the groove connects. */
+  get grooveInput() {
+    return this.#grooveChannel.input;
+  }
+
+  /** @returns {Channel} */
+  get grooveChannel() {
+    return this.#grooveChannel;
+  }
+
+  /**
+   * @param {boolean} clickInMain Whether the click is heard in the main mix, as well as the cue mix.
+   */
+  setClickInMain(clickInMain) {
+    const previous = !!this.state.get('clickInMain');
+    this.#undoHistory.push({
+      description: clickInMain ? 'Put the click in the main mix' : 'Take the click out of the main mix',
+      undo: () => this.setClickInMain(previous),
+      redo: () => this.setClickInMain(clickInMain),
+    });
+    this.state.set('clickInMain', clickInMain);
+  }
+
+  /**
+   * @param {number} volume The cue mix volume in dB.
+   */
+  setCueVolume(volume) {
+    const previous = this.state.getNumber('cueVolume');
+    this.#undoHistory.push({
+      description: 'Change cue volume',
+      undo: () => this.setCueVolume(previous),
+      redo: () => this.setCueVolume(volume),
+    });
+    this.state.set('cueVolume', volume);
+  }
+
+  /**
+   * @returns {Promise<{deviceId: string, label: string}[]>} The audio output devices.
+   *   Labels are only available once the page has been allowed to use a microphone.
+   */
+  static async listOutputDevices() {
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices
+      .filter(device => device.kind === 'audiooutput')
+      .map(({ deviceId, label }) => ({ deviceId, label }));
+  }
+
+  /**
+   * Plays the cue mix on an output device, such as the performers' headphone
+   * amp, while the main mix stays on the default output.
+   * @param {string} deviceId Empty to stop playing the cue mix.
+   */
+  async setCueDevice(deviceId) {
+    if (!deviceId) {
+      this.#cueAudio?.pause();
+      this.state.set('cueDeviceId', '');
+      return;
+    }
+    if (!this.#cueAudio) {
+      this.#cueAudio = new Audio();
+      this.#cueAudio.srcObject = this.#cueOutput.stream;
+    }
+    const audio = /** @type {HTMLAudioElement & {setSinkId?: (id: string) => Promise<void>}} */ (this.#cueAudio);
+    if (!audio.setSinkId) {
+      throw new Error('This browser cannot choose an output device for the cue mix.');
+    }
+    await audio.setSinkId(deviceId);
+    await audio.play();
+    this.state.set('cueDeviceId', deviceId);
   }
 
   /**
@@ -158,12 +473,45 @@ export class Mixer {
    * Creates a new channel, connects it to the master bus, and adds it to the list.
    */
   #addChannel() {
-    const channel = new Channel(this.#audioCtx, this.#reverb.inputNode);
+    const channel = new Channel(this.#audioCtx, this.#reverb.inputNode, this.#undoHistory, this.#cueMaster);
     channel.connect(this.#master);
     this.#channels.push(channel);
     this.state.getList('channels').add(channel.state);
   }
 
+  /**
+   * Adds a channel at a position; later channels move up by one.  This is not
+   * recorded in the undo history; the tape deck records track changes.
+   * @param {number} channelNumber
+   * @param {any} [json] Settings to restore, from a channel's `getJSON()`.
+   */
+  insertChannel(channelNumber, json) {
+    if (!Number.isInteger(channelNumber) || channelNumber < 0 || channelNumber > this.#channels.length) {
+      throw new Error(`Invalid channel number: ${channelNumber}`);
+    }
+    const channel = new Channel(this.#audioCtx, this.#reverb.inputNode, this.#undoHistory, this.#cueMaster);
+    if (json) {
+      channel.loadJSON(json);
+    }
+    channel.connect(this.#master);
+    this.#channels.splice(channelNumber, 0, channel);
+    this.state.getList('channels').insert(channelNumber, channel.state);
+  }
+
+  /**
+   * Removes a channel; later channels move down by one.  Sources patched to
+   * it are not disconnected.  This is not recorded in the undo history.
+   * @param {number} channelNumber
+   * @returns {any} The settings of the removed channel, for `insertChannel()`.
+   */
+  removeChannel(channelNumber) {
+    const channel = this.getChannel(channelNumber);
+    channel.disconnect();
+    this.#channels.splice(channelNumber, 1);
+    this.state.getList('channels').remove(channel.state);
+    return channel.getJSON();
+  }
+
   /**
    * 
    * @param {number} channelNumber 
@@ -176,9 +524,63 @@ export class Mixer {
     return this.#channels[channelNumber];
   }
 
+  /**
+   * Builds a copy of the mixer graph with the current settings in another
+   * context, e.g. an OfflineAudioContext for a bounce.  The copy includes
+   * channel volume, pan, EQ, reverb sends and the master volume, but not the cue mix.
+   * The click channel is in the copy, whether or not the click is in the main
+   * mix; nothing plays through it unless a source is connected to `clickInput`.
+   * @param {BaseAudioContext} ctx
+   * @returns {{channelInputs: AudioNode[], clickInput: AudioNode, output: AudioNode}}
+   */
+  createRenderGraph(ctx) {
+    const master = ctx.createGain();
+    master.gain.value = Math.pow(10, this.state.getNumber('masterVolume') / 20);
+    const reverb = new ReverbEffect(ctx, 2.0);
+    reverb.connect(master);
+    const channelInputs = this.#channels.map((channel) => {
+      const copy = new Channel(ctx, reverb.inputNode, this.#undoHistory);
+      copy.loadJSON(channel.getJSON());
+      copy.connect(master);
+      return copy.input;
+    });
+    const click = new Channel(ctx, reverb.inputNode, this.#undoHistory);
+    click.loadJSON(this.#clickChannel.getJSON());
+    click.connect(master);
+    return { channelInputs, clickInput: click.input, output: master };
+  }
+
+  /**
+   * Restores the master volume and channel settings saved with `getJSON()`,
+   * creating channels as needed.  This is not recorded in the undo history.
+   * @param {any} json
+   */
+  loadJSON(json) {
+    this.state.set('masterVolume', json.masterVolume);
+    if (json.click) {
+      this.#clickChannel.loadJSON(json.click);
+    }
+    if (json.groove) {
+      this.#grooveChannel.loadJSON(json.groove);
+    }
+    this.state.set('clickInMain', json.clickInMain ?? true);
+    this.state.set('cueVolume', json.cueVolume ?? 0);
+    if (json.cueDeviceId) {
+      // The device may be unplugged, or need permission again.
+      this.setCueDevice(json.cueDeviceId).catch(
+        (error) => console.warn('Could not restore the cue output device:', error));
+    }
+    json.channels.forEach((/** @type {any} */ channelJSON, /** @type {number} */ channelNumber) => {
+      while (this.#channels.length <= channelNumber) {
+        this.#addChannel();
+      }
+      this.#channels[channelNumber].loadJSON(channelJSON);
+    });
+  }
+
   /**
    * Returns a JSON-serializable object representing the mixer's state,
-   * including the master volume and the state of all its channels.
+   * including the master volume, the cue mix and the state of all its channels.
    */
   getJSON() {
     return this.state.getJSON();
@@ -0,0 +1,339 @@
+// @ts-check
+
+/**
+ * A position in musical time.  Bars and beats count from 1, as on a DAW's
+ * counter; ticks count from 0, with `TICKS_PER_BEAT` ticks to a beat.
+ * @typedef {{bar: number, beat: number, tick: number}} MusicalPosition
+ */
+
+/**
+ * A run of bars in one meter.  The tempo changes evenly, beat by beat, from
+ * `startTempo` to `endTempo` across the run (a ritardando or accelerando),
+ * or stays put if they are equal.
+ * @typedef {{barCount: number, beatsPerMeasure: number, startTempo: number, endTempo: number}} TempoSegment
+ */
+
+/**
+ * A tempo segment placed on the tape.
+ * @typedef {TempoSegment & {startBar: number, startTimeS: number, beatCount: number}} PlacedSegment
+ */
+
+export const TICKS_PER_BEAT = 960;
+
+/**
+ * Converts between seconds, sample frames and bars:beats:ticks, following a
+ * tempo map.  The map is a list of segments from bar 1; past its end (and
+ * before bar 1) the tempo and meter at the nearest end carry on.  Get one for
+ * the song from `SongContext.musicalTime`.
+ */
+export class MusicalTime {
+  /** @type {number} */
+  #tempo;
+  /** @type {number} */
+  #beatsPerMeasure;
+  /** @type {PlacedSegment[]} The last segment never ends. */
+  #segments = [];
+
+  /**
+   * @param {number} tempo In beats per minute.  Used where there is no tempo map.
+   * @param {number} beatsPerMeasure Used where there is no tempo map.
+   * @param {TempoSegment[]} [segments] The tempo map, from bar 1.
+   */
+  constructor(tempo, beatsPerMeasure, segments = []) {
+    checkTempo(tempo, beatsPerMeasure);
+    this.#tempo = tempo;
+    this.#beatsPerMeasure = beatsPerMeasure;
+
+    let startBar = 1;
+    let startTimeS = 0;
+    for (const segment of segments) {
+      checkTempo(segment.startTempo, segment.beatsPerMeasure);
+      checkTempo(segment.endTempo, segment.beatsPerMeasure);
+      if (segment.barCount <= 0) {
+        continue;
+      }
+      const placed = { ...segment, startBar, startTimeS, beatCount: segment.barCount * segment.beatsPerMeasure };
+      this.#segments.push(placed);
+      startBar += segment.barCount;
+      startTimeS += segmentTimeS(placed, placed.beatCount);
+    }
+    const last = this.#segments[this.#segments.length - 1];
+    this.#segments.push({
+      barCount: Infinity,
+      beatsPerMeasure: last ? last.beatsPerMeasure : beatsPerMeasure,
+      startTempo: last ? last.endTempo : tempo,
+      endTempo: last ? last.endTempo : tempo,
+      startBar,
+      startTimeS,
+      beatCount: Infinity,
+    });
+  }
+
+  /** @returns {number} The song's tempo, where the tempo map does not override it. */
+  get tempo() { return this.#tempo; }
+  /** @returns {number} The song's meter, where the tempo map does not override it. */
+  get beatsPerMeasure() { return this.#beatsPerMeasure; }
+  /** @returns {number} The length of one beat at the song's tempo. */
+  get beatDurationS() { return 60 / this.#tempo; }
+  /** @returns {number} The length of one bar at the song's tempo and meter. */
+  get barDurationS() { return this.#beatsPerMeasure * this.beatDurationS; }
+
+  /**
+   * @param {number} timeS
+   * @returns {number} The tempo at a tape time, in beats per minute.
+   */
+  getTempoAt(timeS) {
+    const segment = this.#segmentAtTime(timeS);
+    if (segment.startTempo === segment.endTempo) {
+      return segment.startTempo;
+    }
+    const beats = segmentBeats(segment, timeS - segment.startTimeS);
+    return segment.startTempo + (segment.endTempo - segment.startTempo) * beats / segment.beatCount;
+  }
+
+  /**
+   * @param {number} timeS
+   * @returns {number} The meter at a tape time.
+   */
+  getBeatsPerMeasureAt(timeS) {
+    return this.#segmentAtTime(timeS).beatsPerMeasure;
+  }
+
+  /**
+   * @param {number} timeS
+   * @returns {number} How long a bar would last at the tempo and meter of a tape time, e.g. for a count-in.
+   */
+  getBarDurationAt(timeS) {
+    return this.getBeatsPerMeasureAt(timeS) * 60 / this.getTempoAt(timeS);
+  }
+
+  /**
+   * @param {number} bars A number of bars, which need not be whole.
+   * @param {number} [startBar] The bar they start at.
+   * @returns {number} Their length in seconds.
+   */
+  barsToSeconds(bars, startBar = 1) {
+    return this.#barPositionToSeconds(startBar + bars) - this.#barPositionToSeconds(startBar);
+  }
+
+  /**
+   * @param {number} timeS
+   * @param {number} bars A number of bars, which need not be whole; negative is earlier.
+   * @returns {number} The tape time that many bars from `timeS`.
+   */
+  addBars(timeS, bars) {
+    return this.#barPositionToSeconds(this.#secondsToBarPosition(timeS) + bars);
+  }
+
+  /**
+   * @param {MusicalPosition} position
+   * @returns {number} The tape time of the position.
+   */
+  toSeconds({ bar, beat = 1, tick = 0 }) {
+    const segment = this.#segmentAtBar(bar);
+    const beats = (bar - segment.startBar) * segment.beatsPerMeasure + (beat - 1) + tick / TICKS_PER_BEAT;
+    return segment.startTimeS + segmentTimeS(segment, beats);
+  }
+
+  /**
+   * @param {number} timeS
+   * @returns {MusicalPosition} The position, to the nearest tick.
+   */
+  fromSeconds(timeS) {
+    const segment = this.#segmentAtTime(timeS);
+    const totalTicks = Math.round(segmentBeats(segment, timeS - segment.startTimeS) * TICKS_PER_BEAT);
+    const ticksPerBar = segment.beatsPerMeasure * TICKS_PER_BEAT;
+    const barIndex = Math.floor(totalTicks / ticksPerBar);
+    const ticksInBar = totalTicks - barIndex * ticksPerBar;
+    return {
+      bar: segment.startBar + barIndex,
+      beat: Math.floor(ticksInBar / TICKS_PER_BEAT) + 1,
+      tick: ticksInBar % TICKS_PER_BEAT,
+    };
+  }
+
+  /**
+   * @param {MusicalPosition} position
+   * @param {number} sampleRate
+   * @returns {number} The tape frame of the position.
+   */
+  toFrames(position, sampleRate) {
+    return secondsToFrames(this.toSeconds(position), sampleRate);
+  }
+
+  /**
+   * @param {number} frame
+   * @param {number} sampleRate
+   * @returns {MusicalPosition}
+   */
+  fromFrames(frame, sampleRate) {
+    return this.fromSeconds(frame / sampleRate);
+  }
+
+  /**
+   * Lists the beats over a range of tape time, e.g. to schedule clicks.
+   * @param {number} startS
+   * @param {number} endS
+   * @returns {Generator<{timeS: number, bar: number, beat: number}>}
+   */
+  *beats(startS, endS) {
+    if (!(endS > startS) || !isFinite(endS)) {
+      return;
+    }
+    for (let bar = Math.floor(this.#secondsToBarPosition(startS)); ; bar++) {
+      const beatsPerMeasure = this.#segmentAtBar(bar).beatsPerMeasure;
+      for (let beat = 1; beat <= beatsPerMeasure; beat++) {
+        const timeS = this.toSeconds({ bar, beat, tick: 0 });
+        if (timeS >= endS) {
+          return;
+        }
+        // Allow for rounding, so a beat at `startS` is included.
+        if (timeS >= startS - 1e-9) {
+          yield { timeS, bar, beat };
+        }
+      }
+    }
+  }
+
+  /**
+   * Parses a position written as bars:beats:ticks (e.g. "9", "9:3" or
+   * "9:3:480"), or as seconds or milliseconds (e.g. "12.5s" or "800ms").
+   * @param {string} text
+   * @returns {number} The tape time of the position.
+   */
+  parse(text) {
+    const trimmed = String(text).trim();
+    const seconds = trimmed.match(/^(\d+(?:\.\d+)?)\s*(s|ms)$/i);
+    if (seconds) {
+      return parseFloat(seconds[1]) / (seconds[2].toLowerCase() === 'ms' ? 1000 : 1);
+    }
+    const musical = trimmed.match(/^(\d+)(?::(\d+)(?::(\d+))?)?$/);
+    if (!musical) {
+      throw new Error(`Invalid position: "${text}". Use bars:beats:ticks (e.g. "9:3") or seconds (e.g. "12.5s").`);
+    }
+    const bar = parseInt(musical[1], 10);
+    const beat = musical[2] !== undefined ? parseInt(musical[2], 10) : 1;
+    const tick = musical[3] !== undefined ? parseInt(musical[3], 10) : 0;
+    if (bar < 1) {
+      throw new Error(`Invalid bar in "${text}": bars start at 1.`);
+    }
+    const beatsPerMeasure = this.#segmentAtBar(bar).beatsPerMeasure;
+    if (beat < 1 || beat > beatsPerMeasure) {
+      throw new Error(`Invalid beat in "${text}": bar ${bar} has ${beatsPerMeasure} beats.`);
+    }
+    if (tick >= TICKS_PER_BEAT) {
+      throw new Error(`Invalid tick in "${text}": there are ${TICKS_PER_BEAT} ticks per beat.`);
+    }
+    return this.toSeconds({ bar, beat, tick });
+  }
+
+  /**
+   * @param {number} timeS
+   * @returns {string} The position as bars:beats:ticks, e.g. "9:3:000".
+   */
+  format(timeS) {
+    const { bar, beat, tick } = this.fromSeconds(timeS);
+    return `${bar}:${beat}:${String(tick).padStart(3, '0')}`;
+  }
+
+  /**
+   * @param {number} barPosition A 1-based bar number, which need not be whole.
+   * @returns {number}
+   */
+  #barPositionToSeconds(barPosition) {
+    const bar = Math.floor(barPosition);
+    const beatsPerMeasure = this.#segmentAtBar(bar).beatsPerMeasure;
+    return this.toSeconds({ bar, beat: 1, tick: (barPosition - bar) * beatsPerMeasure * TICKS_PER_BEAT });
+  }
+
+  /**
+   * @param {number} timeS
+   * @returns {number} The 1-based bar number at a tape time, with the fraction of the bar.
+   */
+  #secondsToBarPosition(timeS) {
+    const segment = this.#segmentAtTime(timeS);
+    return segment.startBar + segmentBeats(segment, timeS - segment.startTimeS) / segment.beatsPerMeasure;
+  }
+
+  /**
+   * @param {number} bar
+   * @returns {PlacedSegment} Before bar 1, the first segment, carried on at its starting tempo.
+   */
+  #segmentAtBar(bar) {
+    if (bar < 1) {
+      return this.#lead();
+    }
+    return /** @type {PlacedSegment} */ (this.#segments.findLast(segment => segment.startBar <= bar));
+  }
+
+  /**
+   * @param {number} timeS
+   * @returns {PlacedSegment}
+   */
+  #segmentAtTime(timeS) {
+    if (timeS < 0) {
+      return this.#lead();
+    }
+    return /** @type {PlacedSegment} */ (this.#segments.findLast(segment => segment.startTimeS <= timeS));
+  }
+
+  /**
+   * @returns {PlacedSegment} A steady segment at the first segment's starting tempo, for times before the tape starts.
+   */
+  #lead() {
+    const first = this.#segments[0];
+    return { ...first, endTempo: first.startTempo, barCount: Infinity, beatCount: Infinity };
+  }
+}
+
+/**
+ * @param {number} tempo
+ * @param {number} beatsPerMeasure
+ */
+function checkTempo(tempo, beatsPerMeasure) {
+  if (!(tempo > 0)) {
+    throw new Error(`Invalid tempo: ${tempo}`);
+  }
+  if (!Number.isInteger(beatsPerMeasure) || beatsPerMeasure < 1) {
+    throw new Error(`Invalid beats per measure: ${beatsPerMeasure}`);
+  }
+}
+
+/**
+ * @param {PlacedSegment} segment
+ * @param {number} beats Beats from the start of the segment.
+ * @returns {number} Seconds from the start of the segment.
+ */
+function segmentTimeS(segment, beats) {
+  const { startTempo, endTempo, beatCount } = segment;
+  if (startTempo === endTempo) {
+    return beats * 60 / startTempo;
+  }
+  // The tempo changes by `k` BPM per beat, so each beat lasts 60 / (startTempo + k * beat) seconds.
+  const k = (endTempo - startTempo) / beatCount;
+  return 60 / k * Math.log(1 + k * beats / startTempo);
+}
+
+/**
+ * The inverse of `segmentTimeS`.
+ * @param {PlacedSegment} segment
+ * @param {number} timeS Seconds from the start of the segment.
+ * @returns {number} Beats from the start of the segment.
+ */
+function segmentBeats(segment, timeS) {
+  const { startTempo, endTempo, beatCount } = segment;
+  if (startTempo === endTempo) {
+    return timeS * startTempo / 60;
+  }
+  const k = (endTempo - startTempo) / beatCount;
+  return startTempo / k * (Math.exp(k * timeS / 60) - 1);
+}
+
+/**
+ * @param {number} timeS
+ * @param {number} sampleRate
+ * @returns {number} The nearest sample frame.
+ */
+export function secondsToFrames(timeS, sampleRate) {
+  return Math.round(timeS * sampleRate);
+}
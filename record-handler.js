@@ -3,7 +3,8 @@
 /**
  * @typedef {Object} SampleData
  * @property {'samples'} type
- * @property {Float32Array} samples
+ * @property {Float32Array[]} channels One array of samples per input channel.
+ * @property {number} frameCount The number of frames in each channel.
  * @property {number} rms
  * @property {number} peak
  * @property {number} maxPeakIndex
@@ -28,6 +29,9 @@ export class RecordHandler {
   /** @type {number} */
   #latencyCompensationFrames = 0;
 
+  /** @type {number} */
+  #inputChannelCount = 0;
+
   /**
    * @param {AudioContext} audioCtx
    */
@@ -74,12 +78,23 @@ export class RecordHandler {
   /**
    * Connects an audio source to the recorder input.
    * @param {AudioNode} input
+   * @param {number} channelCount The number of channels the source carries,
+   *   i.e. the inputs of the audio interface.
    */
-  connectInput(input) {
+  connectInput(input, channelCount) {
     if (!this.#recorderNode) {
       throw new Error('RecordProcessor node not initialized.');
     }
     input.connect(this.#recorderNode);
+    this.#inputChannelCount = channelCount;
+  }
+
+  /**
+   * The number of input channels that can be recorded from.
+   * @returns {number}
+   */
+  get inputChannelCount() {
+    return this.#inputChannelCount;
   }
 
   /**
@@ -6,37 +6,42 @@ class RecordProcessor extends AudioWorkletProcessor {
   constructor() {
     super();
     this.bufferSize = 128 * 4; // 4 render quantums
-    this.buffer = new Float32Array(this.bufferSize);
+    /** @type {Float32Array[]} One buffer per input channel. */
+    this.buffers = [];
     this.framesCollected = 0;
     this.batchStartFrame = 0;
     this.batchStartTime = 0;
-    this.tmpBuffer = new Float32Array(128);
+  }
+
+  /**
+   * Allocates one batch buffer per channel.
+   * @param {number} channelCount
+   */
+  allocateBuffers(channelCount) {
+    this.buffers = [];
+    for (let c = 0; c < channelCount; c++) {
+      this.buffers.push(new Float32Array(this.bufferSize));
+    }
+    this.framesCollected = 0;
   }
 
   /**
    * The main processing function. It's called for each block of 128 audio frames.
+   * Every channel of the first input is forwarded to the main thread unchanged.
    * @param {Float32Array[][]} inputs - Array of inputs, each with an array of channels.
    * @returns {boolean} - `true` to keep the processor alive.
    */
   process(inputs) {
-    const inputChannel = inputs[0]?.[0];
+    const input = inputs[0];
 
-    if (!inputChannel) {
+    if (!input || input.length === 0) {
       return true;
     }
 
-    // Sum everything down to Mono
-    this.tmpBuffer.set(inputChannel);
-    for (let i = 0; i < inputs.length; i++) {
-      const input = inputs[i];
-      for (let j = 0; j < input.length; j++) {
-        const channel = input[j];
-        if (i !== 0 || j !== 0) {
-          for (let k = 0; k < channel.length; ++k) {
-            this.tmpBuffer[k] += channel[k];
-          }
-        }
-      }
+    if (input.length !== this.buffers.length) {
+      // The channel count changed (or this is the first quantum).  Drop the
+      // partial batch rather than mixing batches with different layouts.
+      this.allocateBuffers(input.length);
     }
 
     if (this.framesCollected === 0) {
@@ -45,38 +50,42 @@ class RecordProcessor extends AudioWorkletProcessor {
       this.batchStartTime = currentTime;
     }
 
-    this.buffer.set(inputChannel, this.framesCollected);
-    this.framesCollected += inputChannel.length;
+    for (let c = 0; c < input.length; c++) {
+      this.buffers[c].set(input[c], this.framesCollected);
+    }
+    this.framesCollected += input[0].length;
 
     if (this.framesCollected >= this.bufferSize) {
-      // Buffer is full, calculate stats and send it.
+      // Buffer is full, calculate stats across all channels and send it.
       let sumOfSquares = 0.0;
       let maxPeak = 0.0;
       let maxPeakIndex = 0;
-      for (let i = 0; i < this.buffer.length; i++) {
-        const sample = this.buffer[i];
-        sumOfSquares += sample * sample;
-        const absSample = Math.abs(sample);
-        if (absSample > maxPeak) {
-          maxPeak = absSample;
-          maxPeakIndex = i;
+      for (const buffer of this.buffers) {
+        for (let i = 0; i < buffer.length; i++) {
+          const sample = buffer[i];
+          sumOfSquares += sample * sample;
+          const absSample = Math.abs(sample);
+          if (absSample > maxPeak) {
+            maxPeak = absSample;
+            maxPeakIndex = i;
+          }
         }
       }
-      const rms = Math.sqrt(sumOfSquares / this.buffer.length);
+      const rms = Math.sqrt(sumOfSquares / (this.bufferSize * this.buffers.length));
 
       this.port.postMessage({
         type: 'samples',
-        samples: this.buffer,
+        channels: this.buffers,
+        frameCount: this.bufferSize,
         rms: rms,
         peak: maxPeak,
         maxPeakIndex: maxPeakIndex,
         startFrame: this.batchStartFrame,
         startTimeS: this.batchStartTime,
-      }, [this.buffer.buffer]);
+      }, this.buffers.map(buffer => buffer.buffer));
 
-      // Create a new buffer for the next batch and reset the counter.
-      this.buffer = new Float32Array(this.bufferSize);
-      this.framesCollected = 0;
+      // Create new buffers for the next batch and reset the counter.
+      this.allocateBuffers(input.length);
     }
 
     // Keep the processor alive.
@@ -84,4 +93,4 @@ class RecordProcessor extends AudioWorkletProcessor {
   }
 }
 
-registerProcessor('record-processor', RecordProcessor);
\ No newline at end of file
+registerProcessor('record-processor', RecordProcessor);
@@ -0,0 +1,403 @@
+// @ts-check
+
+import { FADE_CURVES } from './audio-processing.js';
+import { MakeToolResponse } from './tool.js';
+import { SongContext } from './song-context.js';
+import { TapeDeck } from './tape-deck.js';
+import { UndoHistory } from './undo-history.js';
+
+/**
+ * @typedef {import('./tool.js').Tool} Tool
+ * @typedef {import('./tool.js').FunctionResponse} FunctionResponse
+ * @typedef {import('./tool.js').FunctionDeclaration} FunctionDeclaration
+ * @typedef {import('./tape-deck.js').TrackProcess} TrackProcess
+ * @typedef {import('./audio-processing.js').FadeCurve} FadeCurve
+ */
+
+/**
+ * @typedef {{section?: string, startBar?: number, barCount?: number, start?: string, end?: string,
+ *   startMs?: number, endMs?: number}} RangeArgs
+ */
+
+/**
+ * Resolves the range a tool call refers to: a section, a number of bars from
+ * a start bar, a start and end written as bars:beats:ticks or seconds, or a
+ * range of milliseconds.
+ * @param {SongContext} songContext
+ * @param {RangeArgs} args
+ * @returns {{startS: number, endS: number} | null} Null if no range was given.
+ */
+function getRange(songContext, args) {
+  if (args.section) {
+    const section = songContext.getSection(args.section);
+    return { startS: section.startTimeS, endS: section.startTimeS + section.durationS };
+  }
+  if (args.start !== undefined && args.end !== undefined) {
+    const musicalTime = songContext.musicalTime;
+    return { startS: musicalTime.parse(args.start), endS: musicalTime.parse(args.end) };
+  }
+  if (args.startBar !== undefined) {
+    const startS = songContext.getBarTimeS(args.startBar);
+    return { startS, endS: startS + songContext.musicalTime.barsToSeconds(args.barCount ?? 1, args.startBar) };
+  }
+  if (args.startMs !== undefined && args.endMs !== undefined) {
+    return { startS: args.startMs / 1000, endS: args.endMs / 1000 };
+  }
+  return null;
+}
+
+/**
+ * The RegionTool implementation.
+ * @implements {Tool}
+ */
+export class RegionTool {
+  /** @type {FunctionDeclaration} */
+  declaration = {
+    name: 'edit_region',
+    description: 'Edits a range of time on one track or all tracks. Edits apply to every take of a track, so takes stay in time with each other. The range is a section, a range of bars, a start and end in bars:beats:ticks or seconds, or a range of milliseconds.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        action: {
+          type: 'STRING',
+          description: "'copy' or 'cut' the range to the clipboard, 'paste' the clipboard (overwriting what is there), 'delete' (silence) the range, or 'move' it earlier or later, leaving silence behind.",
+          enum: ['cut', 'copy', 'paste', 'delete', 'move'],
+        },
+        trackNumber: {
+          type: 'INTEGER',
+          description: 'The track to edit. If unspecified, all tracks are edited. For paste, the track to paste a single copied track onto; otherwise tracks are pasted back onto the tracks they were copied from.',
+        },
+        section: {
+          type: 'STRING',
+          description: 'The section to edit.',
+        },
+        startBar: {
+          type: 'INTEGER',
+          description: 'The first bar (1 is the start of the song) of the range to edit.',
+        },
+        barCount: {
+          type: 'INTEGER',
+          description: 'The number of bars in the range. Defaults to 1.',
+        },
+        start: {
+          type: 'STRING',
+          description: 'The start of the range, as bars:beats:ticks (e.g. "9:3") or seconds (e.g. "12.5s"). Use with end.',
+        },
+        end: {
+          type: 'STRING',
+          description: 'The end of the range, as bars:beats:ticks (e.g. "11:1") or seconds (e.g. "20s").',
+        },
+        startMs: {
+          type: 'NUMBER',
+          description: 'The start of the range, in milliseconds of tape time.',
+        },
+        endMs: {
+          type: 'NUMBER',
+          description: 'The end of the range, in milliseconds of tape time.',
+        },
+        toBar: {
+          type: 'INTEGER',
+          description: 'For paste, the bar to paste at.',
+        },
+        to: {
+          type: 'STRING',
+          description: 'For paste, the position to paste at, as bars:beats:ticks (e.g. "9:3") or seconds (e.g. "12.5s").',
+        },
+        toMs: {
+          type: 'NUMBER',
+          description: 'For paste, the tape time to paste at, in milliseconds.',
+        },
+        byBars: {
+          type: 'NUMBER',
+          description: 'For move, how many bars to move the range; negative is earlier.',
+        },
+        byMs: {
+          type: 'NUMBER',
+          description: 'For move, how many milliseconds to move the range; negative is earlier.',
+        },
+      },
+      required: ['action'],
+    },
+  };
+
+  /** @type {TapeDeck} */
+  #tapeDeck;
+  /** @type {SongContext} */
+  #songContext;
+
+  /**
+   * @param {TapeDeck} tapeDeck
+   * @param {SongContext} songContext
+   */
+  constructor(tapeDeck, songContext) {
+    this.#tapeDeck = tapeDeck;
+    this.#songContext = songContext;
+  }
+
+  /**
+   * @param {{action: 'cut' | 'copy' | 'paste' | 'delete' | 'move', trackNumber?: number, section?: string,
+   *   startBar?: number, barCount?: number, start?: string, end?: string, startMs?: number, endMs?: number,
+   *   toBar?: number, to?: string, toMs?: number, byBars?: number, byMs?: number}} args
+   * @returns {Promise<FunctionResponse>}
+   */
+  async run(args) {
+    try {
+      if (args.action === 'paste') {
+        let atS = (args.toMs || 0) / 1000;
+        if (args.toBar !== undefined) {
+          atS = this.#songContext.getBarTimeS(args.toBar);
+        } else if (args.to !== undefined) {
+          atS = this.#songContext.musicalTime.parse(args.to);
+        }
+        this.#tapeDeck.pasteRegion(atS, args.trackNumber);
+        return MakeToolResponse(this, `Pasted at ${atS.toFixed(2)}s.`);
+      }
+
+      const range = getRange(this.#songContext, args);
+      if (!range) {
+        return MakeToolResponse(this, 'Specify a section, startBar, start and end, or startMs and endMs.');
+      }
+      const { startS, endS } = range;
+      const trackNumbers = args.trackNumber !== undefined ? [args.trackNumber] :
+        Array.from({ length: this.#tapeDeck.trackCount }, (_, i) => i);
+      const rangeText = `${startS.toFixed(2)}s-${endS.toFixed(2)}s`;
+      switch (args.action) {
+        case 'copy':
+          this.#tapeDeck.copyRegion(trackNumbers, startS, endS);
+          return MakeToolResponse(this, `Copied ${rangeText}.`);
+        case 'cut':
+          this.#tapeDeck.cutRegion(trackNumbers, startS, endS);
+          return MakeToolResponse(this, `Cut ${rangeText}.`);
+        case 'delete':
+          this.#tapeDeck.deleteRegion(trackNumbers, startS, endS);
+          return MakeToolResponse(this, `Deleted ${rangeText}.`);
+        case 'move': {
+          const byS = args.byBars !== undefined ?
+            this.#songContext.musicalTime.addBars(startS, args.byBars) - startS : (args.byMs || 0) / 1000;
+          if (byS === 0) {
+            return MakeToolResponse(this, 'Specify byBars or byMs to move the range.');
+          }
+          this.#tapeDeck.moveRegion(trackNumbers, startS, endS, byS);
+          return MakeToolResponse(this, `Moved ${rangeText} by ${byS.toFixed(3)}s.`);
+        }
+        default:
+          return MakeToolResponse(this, `Unknown action: ${args.action}`);
+      }
+    } catch (error) {
+      console.error('Error editing region:', error);
+      return MakeToolResponse(this, `Error editing region: ${error.message}`);
+    }
+  }
+
+}
+
+/**
+ * The TimeTool implementation.
+ * @implements {Tool}
+ */
+export class TimeTool {
+  /** @type {FunctionDeclaration} */
+  declaration = {
+    name: 'edit_time',
+    description: 'Inserts or removes whole bars across the song and every track. Sections and recordings after the change move with it, e.g. to add two bars to the intro after tracking.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        action: {
+          type: 'STRING',
+          description: "'insert' adds bars of silence before `bar`, lengthening the section it is in; 'remove' removes bars starting at `bar`, shortening the sections they are in.",
+          enum: ['insert', 'remove'],
+        },
+        bar: {
+          type: 'INTEGER',
+          description: 'The bar (1 is the start of the song) to insert before or start removing at.',
+        },
+        barCount: {
+          type: 'INTEGER',
+          description: 'The number of bars to insert or remove.',
+        },
+      },
+      required: ['action', 'bar', 'barCount'],
+    },
+  };
+
+  /** @type {TapeDeck} */
+  #tapeDeck;
+  /** @type {SongContext} */
+  #songContext;
+  /** @type {UndoHistory} */
+  #undoHistory;
+
+  /**
+   * @param {TapeDeck} tapeDeck
+   * @param {SongContext} songContext
+   * @param {UndoHistory} undoHistory Groups the song and track changes into one step.
+   */
+  constructor(tapeDeck, songContext, undoHistory) {
+    this.#tapeDeck = tapeDeck;
+    this.#songContext = songContext;
+    this.#undoHistory = undoHistory;
+  }
+
+  /**
+   * @param {{action: 'insert' | 'remove', bar: number, barCount: number}} args
+   * @returns {Promise<FunctionResponse>}
+   */
+  async run(args) {
+    try {
+      const startS = this.#songContext.getBarTimeS(args.bar);
+      const bars = args.barCount === 1 ? '1 bar' : `${args.barCount} bars`;
+      // Before the song changes, so a refused edit leaves both as they were.
+      this.#tapeDeck.checkEditable();
+      if (args.action === 'insert') {
+        this.#undoHistory.group(`Insert ${bars} at bar ${args.bar}`, () => {
+          this.#songContext.insertBars(args.bar, args.barCount);
+          // The new bars take the tempo of the section they are inserted into.
+          this.#tapeDeck.insertTime(startS, this.#songContext.getBarTimeS(args.bar + args.barCount) - startS);
+        });
+        return MakeToolResponse(this, `Inserted ${bars} before bar ${args.bar}.`);
+      } else if (args.action === 'remove') {
+        const endS = this.#songContext.getBarTimeS(args.bar + args.barCount);
+        this.#undoHistory.group(`Remove ${bars} at bar ${args.bar}`, () => {
+          this.#songContext.removeBars(args.bar, args.barCount);
+          this.#tapeDeck.removeTime(startS, endS);
+        });
+        return MakeToolResponse(this, `Removed ${bars} starting at bar ${args.bar}.`);
+      }
+      return MakeToolResponse(this, `Unknown action: ${args.action}`);
+    } catch (error) {
+      console.error('Error editing time:', error);
+      return MakeToolResponse(this, `Error editing time: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * The ProcessTrackTool implementation.
+ * @implements {Tool}
+ */
+export class ProcessTrackTool {
+  /** @type {FunctionDeclaration} */
+  declaration = {
+    name: 'process_track',
+    description: 'Processes the audio of a track offline, in every take, e.g. to fade out the last two bars of a part or to bring up a quiet take. The range is a section, a range of bars, a start and end in bars:beats:ticks or seconds, or a range of milliseconds; if unspecified, the whole track is processed.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        trackNumber: {
+          type: 'INTEGER',
+          description: 'The track to process.',
+        },
+        operation: {
+          type: 'STRING',
+          description: "'gain' changes the level by gainDb. 'fade_in' and 'fade_out' fade across the whole range. 'normalize_peak' and 'normalize_rms' set the level so the peak or RMS of the range is targetDb. 'reverse' plays the range backwards. 'remove_dc' removes DC offset. 'silence' silences the range.",
+          enum: ['gain', 'fade_in', 'fade_out', 'normalize_peak', 'normalize_rms', 'reverse', 'remove_dc', 'silence'],
+        },
+        gainDb: {
+          type: 'NUMBER',
+          description: "For 'gain', the change in level in dB; negative is quieter.",
+        },
+        curve: {
+          type: 'STRING',
+          description: "For fades, the shape of the fade. 'exponential' changes slowly at the quiet end, 'logarithmic' quickly. Defaults to 'linear'.",
+          enum: FADE_CURVES,
+        },
+        targetDb: {
+          type: 'NUMBER',
+          description: 'For normalizing, the target level in dBFS. Defaults to -1 for peak and -18 for RMS.',
+        },
+        section: {
+          type: 'STRING',
+          description: 'The section to process.',
+        },
+        startBar: {
+          type: 'INTEGER',
+          description: 'The first bar (1 is the start of the song) to process.',
+        },
+        barCount: {
+          type: 'INTEGER',
+          description: 'The number of bars to process. Defaults to 1.',
+        },
+        start: {
+          type: 'STRING',
+          description: 'The start of the range, as bars:beats:ticks (e.g. "9:3") or seconds (e.g. "12.5s"). Use with end.',
+        },
+        end: {
+          type: 'STRING',
+          description: 'The end of the range, as bars:beats:ticks (e.g. "11:1") or seconds (e.g. "20s").',
+        },
+        startMs: {
+          type: 'NUMBER',
+          description: 'The start of the range, in milliseconds of tape time.',
+        },
+        endMs: {
+          type: 'NUMBER',
+          description: 'The end of the range, in milliseconds of tape time.',
+        },
+      },
+      required: ['trackNumber', 'operation'],
+    },
+  };
+
+  /** @type {TapeDeck} */
+  #tapeDeck;
+  /** @type {SongContext} */
+  #songContext;
+
+  /**
+   * @param {TapeDeck} tapeDeck
+   * @param {SongContext} songContext
+   */
+  constructor(tapeDeck, songContext) {
+    this.#tapeDeck = tapeDeck;
+    this.#songContext = songContext;
+  }
+
+  /**
+   * @param {{trackNumber: number, operation: string, gainDb?: number, curve?: FadeCurve, targetDb?: number,
+   *   section?: string, startBar?: number, barCount?: number, start?: string, end?: string,
+   *   startMs?: number, endMs?: number}} args
+   * @returns {Promise<FunctionResponse>}
+   */
+  async run(args) {
+    try {
+      /** @type {TrackProcess} */
+      let process;
+      switch (args.operation) {
+        case 'gain':
+          if (args.gainDb === undefined) {
+            return MakeToolResponse(this, 'Specify gainDb.');
+          }
+          process = { type: 'gain', gainDB: args.gainDb };
+          break;
+        case 'fade_in':
+        case 'fade_out':
+          process = { type: 'fade', direction: args.operation === 'fade_in' ? 'in' : 'out', curve: args.curve || 'linear' };
+          break;
+        case 'normalize_peak':
+          process = { type: 'normalize', mode: 'peak', targetDB: args.targetDb ?? -1 };
+          break;
+        case 'normalize_rms':
+          process = { type: 'normalize', mode: 'rms', targetDB: args.targetDb ?? -18 };
+          break;
+        case 'reverse':
+          process = { type: 'reverse' };
+          break;
+        case 'remove_dc':
+          process = { type: 'removeDC' };
+          break;
+        case 'silence':
+          process = { type: 'silence' };
+          break;
+        default:
+          return MakeToolResponse(this, `Unknown operation: ${args.operation}`);
+      }
+      const range = getRange(this.#songContext, args);
+      const description = this.#tapeDeck.processTrack(args.trackNumber, process, range?.startS, range?.endS);
+      return MakeToolResponse(this, `Done: ${description}.`);
+    } catch (error) {
+      console.error('Error processing track:', error);
+      return MakeToolResponse(this, `Error processing track: ${error.message}`);
+    }
+  }
+}
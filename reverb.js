@@ -6,7 +6,7 @@
  * set to the exact IR duration, suitable for a 100% wet send effect.
  */
 export class ReverbEffect {
-  /** @type {AudioContext} */
+  /** @type {BaseAudioContext} */
   #audioCtx;
   /** @type {number} */
   #halfLifeSeconds;
@@ -18,7 +18,7 @@ export class ReverbEffect {
   #feedbackGain;
 
   /**
-   * @param {AudioContext} audioCtx The Web Audio API context.
+   * @param {BaseAudioContext} audioCtx The Web Audio API context (live or offline).
    * @param {number} halfLifeSeconds The time in seconds for the signal amplitude to decay to half volume.
    */
   constructor(audioCtx, halfLifeSeconds) {
@@ -10,21 +10,78 @@ import { EditSectionTool, SectionTool, SongTool } from './song-tool.js';
 import { SongContext } from './song-context.js';
 import { TapeDeck } from './tape-deck.js';
 import { MetronomeHandler } from './metronome-handler.js';
-import { TapeDeckTool, TrackInfoTool } from './tape-deck-tool.js';
+import { GrooveHandler } from './groove-handler.js';
+import { GrooveTool } from './groove-tool.js';
+import { PunchTool, TakeTool, TapeDeckTool, TrackInfoTool, TrackTool } from './tape-deck-tool.js';
 import { RecordHandler } from './record-handler.js';
 // import { BeatVU } from './beat-vu.js';
 import { Mixer } from './mixer.js';
-import { MixerTool } from './mixer-tool.js';
+import { ChannelEqTool, CueMixTool, MixerTool } from './mixer-tool.js';
+import { UndoHistory } from './undo-history.js';
+import { RedoTool, UndoTool } from './undo-tool.js';
+import { SessionStore } from './session-store.js';
+import { Session } from './session.js';
+import { SessionListUI } from './session-ui.js';
+import { Mixdown } from './mixdown.js';
+import { ExportMixTool, ExportStemsTool } from './mixdown-tool.js';
+import { AudioImporter } from './audio-import.js';
+import { ImportUI } from './import-ui.js';
+import { ProcessTrackTool, RegionTool, TimeTool } from './region-tool.js';
+import { TapTempoUI } from './tap-tempo.js';
+import { DetectTempoTool } from './tempo-tool.js';
 
 const chatHistoryElement = document.getElementById('chat-history');
 const chatInputElement = /** @type {HTMLInputElement} */ (document.getElementById('chat-input'));
 const sendButton = document.getElementById('send-button');
 const micButton = document.getElementById('mic-button');
+const importButton = /** @type {HTMLButtonElement} */ (document.getElementById('import-button'));
+const clickSampleButton = /** @type {HTMLButtonElement} */ (document.getElementById('click-sample-button'));
+const tapTempoButton = /** @type {HTMLButtonElement} */ (document.getElementById('tap-tempo-button'));
 const songChartContainer = document.getElementById('song-chart-container');
+const sessionListContainer = document.getElementById('session-list-container');
+const playheadDisplay = document.getElementById('playhead-display');
+
+/**
+ * Lets the user pick an audio file to use as the metronome's 'sample' voice.
+ * @param {AudioContext} audioCtx
+ * @param {MetronomeHandler} metronomeHandler
+ * @param {ChatUI} chatUI Where errors are reported.
+ */
+function enableClickSampleButton(audioCtx, metronomeHandler, chatUI) {
+  const fileInput = document.createElement('input');
+  fileInput.type = 'file';
+  fileInput.accept = 'audio/*,.wav,.mp3,.ogg,.flac';
+  fileInput.hidden = true;
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files?.[0];
+    fileInput.value = '';
+    if (!file) return;
+    try {
+      const buffer = await audioCtx.decodeAudioData(await file.arrayBuffer());
+      // A click only needs to be short, and mono.
+      const samples = buffer.getChannelData(0).slice(0, Math.round(0.5 * buffer.sampleRate));
+      metronomeHandler.setSample(file.name, samples);
+      metronomeHandler.state.set('voice', 'sample');
+    } catch (error) {
+      console.error('Error loading click sample:', error);
+      chatUI.displayMessage(`Error loading click sample "${file.name}": ${error.message}`, 'model-message');
+    }
+  });
+  clickSampleButton.after(fileInput);
+  clickSampleButton.disabled = false;
+  clickSampleButton.addEventListener('click', () => fileInput.click());
+}
+
+/**
+ * Asks for more input channels than any interface has, so the browser opens
+ * all of the device's inputs.
+ */
+const MAX_INPUT_CHANNELS = 64;
 
 /**
  * 
  * @param {AudioContext} audioCtx 
+ * @returns {Promise<{source: MediaStreamAudioSourceNode, channelCount: number}>}
  */
 async function getDefaultAudioInput(audioCtx) {
   console.log('Audio Context sample rate:', audioCtx.sampleRate);
@@ -33,6 +90,7 @@ async function getDefaultAudioInput(audioCtx) {
       echoCancellation: false,
       noiseSuppression: false,
       autoGainControl: false,
+      channelCount: { ideal: MAX_INPUT_CHANNELS },
       sampleRate: { exact: audioCtx.sampleRate },
     },
   };
@@ -48,14 +106,14 @@ async function getDefaultAudioInput(audioCtx) {
     if (settings.sampleSize) {
       console.log('Stream bits per sample (sampleSize):', settings.sampleSize);
     }
-    return audioCtx.createMediaStreamSource(stream);
+    return { source: audioCtx.createMediaStreamSource(stream), channelCount: settings.channelCount || 1 };
   } catch (err) {
     throw new Error(`Error getting audio input: ${err.message}`);
   }
 }
 
 async function main() {
-  if (!chatHistoryElement || !chatInputElement || !sendButton || !micButton) {
+  if (!chatHistoryElement || !chatInputElement || !sendButton || !micButton || !sessionListContainer) {
     throw new Error('Could not find required chat elements in the DOM.');
   }
 
@@ -94,7 +152,11 @@ async function main() {
 
   const fileManager = new GeminiFileManager(apiKey);
   const geminiChat = new GeminiChat(apiKey, fileManager, handleModelMessage);
-  const songContext = new SongContext();
+  const undoHistory = new UndoHistory();
+  geminiChat.addState('history', undoHistory);
+  geminiChat.addTool(new UndoTool(undoHistory));
+  geminiChat.addTool(new RedoTool(undoHistory));
+  const songContext = new SongContext(undoHistory);
   geminiChat.addState('song', songContext);
   const songTool = new SongTool(songContext);
   geminiChat.addTool(songTool);
@@ -102,6 +164,7 @@ async function main() {
   geminiChat.addTool(sectionTool);
   const editSectionTool = new EditSectionTool(songContext);
   geminiChat.addTool(editSectionTool);
+  new TapTempoUI(songContext, chatUI, tapTempoButton);
 
   /**
    * Updates the state display area with the current JSON from GeminiChat.
@@ -113,6 +176,38 @@ async function main() {
     songChartContainer.innerHTML = `<div id="json-song-chart">${JSON.stringify(state, null, 2)}</div>`;
   };
   songContext.state.addBroadCallback(updateStateDisplay);
+  undoHistory.state.addBroadCallback(updateStateDisplay);
+
+  // Ctrl+Z / Cmd+Z undoes, adding Shift (or Ctrl+Y) redoes.  Text fields keep their own undo.
+  document.addEventListener('keydown', (event) => {
+    if (!(event.ctrlKey || event.metaKey) || event.target instanceof HTMLInputElement) {
+      return;
+    }
+    const key = event.key.toLowerCase();
+    try {
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        undoHistory.undo();
+      } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        undoHistory.redo();
+      }
+    } catch (error) {
+      console.warn(error.message);
+    }
+  });
+
+  const sessionStore = await SessionStore.open();
+  const sessionListUI = new SessionListUI(sessionListContainer, sessionStore);
+  const session = await Session.open(sessionStore, await sessionListUI.choose());
+  session.attachSong(songContext, geminiChat);
+  for (const message of geminiChat.conversationHistory) {
+    const textPart = message.parts.find(part => part.text);
+    if (textPart && (message.role === 'user' || message.role === 'model')) {
+      chatUI.displayMessage(textPart.text, message.role === 'user' ? 'user-message' : 'model-message');
+    }
+  }
+  updateStateDisplay();
 
   /**
    * Handles sending the user's message from the input field.
@@ -124,7 +219,9 @@ async function main() {
     }
 
     chatUI.displayMessage(message, 'user-message');
-    geminiChat.sendMessage(message).catch(console.error);
+    geminiChat.sendMessage(message)
+      .then(() => session.scheduleSave())
+      .catch(console.error);
     chatInputElement.value = '';
   };
 
@@ -158,33 +255,67 @@ async function main() {
     try {
       const audioCtx = new AudioContext();
 
-      const source = await getDefaultAudioInput(audioCtx);
+      const { source, channelCount } = await getDefaultAudioInput(audioCtx);
 
       const recorder = await RecordHandler.create(audioCtx);
-      recorder.connectInput(source);
+      recorder.connectInput(source, channelCount);
 
-      const mixer = new Mixer(audioCtx);
+      const mixer = new Mixer(audioCtx, undoHistory);
       geminiChat.addState('mixer', mixer);
       const mixerTool = new MixerTool(mixer);
       mixer.state.addBroadCallback(updateStateDisplay);
       geminiChat.addTool(mixerTool);
+      geminiChat.addTool(new ChannelEqTool(mixer));
+      geminiChat.addTool(new CueMixTool(mixer));
 
-      const tapeDeck = new TapeDeck(audioCtx, recorder, mixer, fileManager, songContext);
+      const tapeDeck = new TapeDeck(audioCtx, recorder, mixer, fileManager, songContext, undoHistory);
       geminiChat.addState('tapeDeck', tapeDeck);
       const tapeDeckTool = new TapeDeckTool(tapeDeck, songContext);
       geminiChat.addTool(tapeDeckTool);
       tapeDeck.state.addBroadCallback(updateStateDisplay);
       const trackInfoTool = new TrackInfoTool(tapeDeck);
       geminiChat.addTool(trackInfoTool);
+      geminiChat.addTool(new TrackTool(tapeDeck));
+      const showPlayhead = (/** @type {number} */ tapeTimeS) => {
+        if (!playheadDisplay) return;
+        const minutes = Math.floor(tapeTimeS / 60);
+        const seconds = (tapeTimeS - minutes * 60).toFixed(1).padStart(4, '0');
+        playheadDisplay.textContent = `${songContext.musicalTime.format(tapeTimeS)}  ${minutes}:${seconds}`;
+      };
+      tapeDeck.onPosition(showPlayhead);
+      tapeDeck.state.addFieldCallback('locateS', showPlayhead);
+      showPlayhead(tapeDeck.locateS);
+      const takeTool = new TakeTool(tapeDeck);
+      geminiChat.addTool(takeTool);
+      const punchTool = new PunchTool(tapeDeck);
+      geminiChat.addTool(punchTool);
+      geminiChat.addTool(new RegionTool(tapeDeck, songContext));
+      geminiChat.addTool(new TimeTool(tapeDeck, songContext, undoHistory));
+      geminiChat.addTool(new ProcessTrackTool(tapeDeck, songContext));
+      geminiChat.addTool(new DetectTempoTool(tapeDeck, songContext, undoHistory, audioCtx));
 
       // const vu = new BeatVU(audioCtx, /** @type {HTMLElement} */(document.getElementById('vu-meter-container')), recorder, songContext, tapeDeck);
 
       const metronomeHandler = await MetronomeHandler.create(
-        audioCtx, songContext, tapeDeck);
+        audioCtx, songContext, tapeDeck, mixer.clickInput);
       geminiChat.addState('metronome', metronomeHandler);
+      tapeDeck.setClickReference(metronomeHandler);
       metronomeHandler.state.addBroadCallback(updateStateDisplay);
       const metronomeTool = new MetronomeTool(metronomeHandler);
       geminiChat.addTool(metronomeTool);
+      enableClickSampleButton(audioCtx, metronomeHandler, chatUI);
+      const grooveHandler = await GrooveHandler.create(audioCtx, songContext, tapeDeck, mixer.grooveInput);
+      geminiChat.addState('groove', grooveHandler);
+      grooveHandler.state.addBroadCallback(updateStateDisplay);
+      geminiChat.addTool(new GrooveTool(grooveHandler, songContext, undoHistory));
+      await session.attachAudio(tapeDeck, mixer, metronomeHandler, grooveHandler);
+
+      const mixdown = new Mixdown(audioCtx, tapeDeck, mixer, songContext, metronomeHandler);
+      geminiChat.addTool(new ExportMixTool(mixdown, chatUI));
+      geminiChat.addTool(new ExportStemsTool(mixdown, chatUI));
+
+      const importer = new AudioImporter(audioCtx, tapeDeck, songContext);
+      new ImportUI(importer, chatUI, document.body, importButton);
       console.log('TapeDeck initialized and connected to default I/O.');
       updateStateDisplay(); // Initial state display
     } catch (err) {
@@ -192,7 +323,9 @@ async function main() {
     }
   });
 
-  await sectionTool.run({ name: 'Intro', measureCount: 4 })
+  if (session.isNew) {
+    await sectionTool.run({ name: 'Intro', measureCount: 4 });
+  }
 }
 
 main();
\ No newline at end of file
@@ -0,0 +1,221 @@
+// @ts-check
+
+/**
+ * @typedef {Object} SessionInfo
+ * @property {string} id
+ * @property {string} name
+ * @property {number} createdMs
+ * @property {number} updatedMs
+ */
+
+/** @typedef {import('./tape-deck.js').TakeAudio} TakeAudio */
+
+/**
+ * Wraps an IDBRequest in a promise.
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolves when a transaction has committed.
+ * @param {IDBTransaction} transaction
+ * @returns {Promise<void>}
+ */
+function completion(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Stores whole sessions in IndexedDB.  A session is made of three parts:
+ *  - `sessions`: the name and timestamps shown in the session list,
+ *  - `documents`: one JSON document with the song, mixer, metronome (and its click sample), groove, tape deck and chat state,
+ *  - `audio`: one record per take, keyed by [sessionId, takeId], holding its samples.
+ * Audio is kept separate so that saving an edit does not rewrite every take.
+ */
+export class SessionStore {
+  /** @type {IDBDatabase} */
+  #db;
+
+  static DB_NAME = 'tape-monkey';
+  static DB_VERSION = 1;
+
+  /**
+   * @param {IDBDatabase} db
+   */
+  constructor(db) {
+    this.#db = db;
+  }
+
+  /**
+   * Opens (and if necessary creates) the session database.
+   * @returns {Promise<SessionStore>}
+   */
+  static async open() {
+    const request = indexedDB.open(SessionStore.DB_NAME, SessionStore.DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      db.createObjectStore('sessions', { keyPath: 'id' });
+      db.createObjectStore('documents');
+      db.createObjectStore('audio', { keyPath: ['sessionId', 'takeId'] });
+    };
+    const db = await promisify(request);
+    return new SessionStore(db);
+  }
+
+  /**
+   * @returns {Promise<SessionInfo[]>} All sessions, most recently updated first.
+   */
+  async listSessions() {
+    const transaction = this.#db.transaction('sessions', 'readonly');
+    /** @type {SessionInfo[]} */
+    const sessions = await promisify(transaction.objectStore('sessions').getAll());
+    return sessions.sort((a, b) => b.updatedMs - a.updatedMs);
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Promise<string>} The id of the new session.
+   */
+  async createSession(name) {
+    const nowMs = Date.now();
+    /** @type {SessionInfo} */
+    const info = { id: crypto.randomUUID(), name, createdMs: nowMs, updatedMs: nowMs };
+    const transaction = this.#db.transaction('sessions', 'readwrite');
+    transaction.objectStore('sessions').put(info);
+    await completion(transaction);
+    return info.id;
+  }
+
+  /**
+   * @param {string} id
+   * @param {string} name
+   */
+  async renameSession(id, name) {
+    const transaction = this.#db.transaction('sessions', 'readwrite');
+    const sessions = transaction.objectStore('sessions');
+    const info = await promisify(sessions.get(id));
+    if (!info) {
+      throw new Error(`Session not found: ${id}`);
+    }
+    info.name = name;
+    sessions.put(info);
+    await completion(transaction);
+  }
+
+  /**
+   * Copies a session, including all of its audio.
+   * @param {string} id
+   * @param {string} name The name of the copy.
+   * @returns {Promise<string>} The id of the copy.
+   */
+  async duplicateSession(id, name) {
+    const newId = await this.createSession(name);
+    const transaction = this.#db.transaction(['documents', 'audio'], 'readwrite');
+    const documents = transaction.objectStore('documents');
+    const audio = transaction.objectStore('audio');
+    const document = await promisify(documents.get(id));
+    if (document) {
+      documents.put(document, newId);
+    }
+    const takes = await promisify(audio.getAll(SessionStore.#audioRange(id)));
+    for (const take of takes) {
+      audio.put({ ...take, sessionId: newId });
+    }
+    await completion(transaction);
+    return newId;
+  }
+
+  /**
+   * @param {string} id
+   */
+  async deleteSession(id) {
+    const transaction = this.#db.transaction(['sessions', 'documents', 'audio'], 'readwrite');
+    transaction.objectStore('sessions').delete(id);
+    transaction.objectStore('documents').delete(id);
+    transaction.objectStore('audio').delete(SessionStore.#audioRange(id));
+    await completion(transaction);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<any>} The stored document, or null if the session has never been saved.
+   */
+  async loadDocument(id) {
+    const transaction = this.#db.transaction('documents', 'readonly');
+    const document = await promisify(transaction.objectStore('documents').get(id));
+    return document || null;
+  }
+
+  /**
+   * Saves the session document and marks the session as updated.
+   * @param {string} id
+   * @param {any} document
+   */
+  async saveDocument(id, document) {
+    const transaction = this.#db.transaction(['sessions', 'documents'], 'readwrite');
+    const sessions = transaction.objectStore('sessions');
+    const info = await promisify(sessions.get(id));
+    if (info) {
+      info.updatedMs = Date.now();
+      sessions.put(info);
+    }
+    transaction.objectStore('documents').put(document, id);
+    await completion(transaction);
+  }
+
+  /**
+   * @param {string} id
+   * @param {string} takeId
+   * @param {TakeAudio} audio
+   */
+  async saveTakeAudio(id, takeId, audio) {
+    const transaction = this.#db.transaction('audio', 'readwrite');
+    transaction.objectStore('audio').put({ sessionId: id, takeId, recorded: audio.recorded, base: audio.base });
+    await completion(transaction);
+  }
+
+  /**
+   * @param {string} id
+   * @param {string} takeId
+   * @returns {Promise<TakeAudio>}
+   */
+  async loadTakeAudio(id, takeId) {
+    const transaction = this.#db.transaction('audio', 'readonly');
+    const record = await promisify(transaction.objectStore('audio').get([id, takeId]));
+    if (!record) {
+      throw new Error(`Audio for take ${takeId} is missing from session ${id}.`);
+    }
+    return { recorded: record.recorded, base: record.base };
+  }
+
+  /**
+   * @param {string} id
+   * @param {string[]} takeIds
+   */
+  async deleteTakeAudio(id, takeIds) {
+    const transaction = this.#db.transaction('audio', 'readwrite');
+    const audio = transaction.objectStore('audio');
+    for (const takeId of takeIds) {
+      audio.delete([id, takeId]);
+    }
+    await completion(transaction);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {IDBKeyRange} Every audio key of the session.
+   */
+  static #audioRange(id) {
+    return IDBKeyRange.bound([id], [id, []]);
+  }
+}
@@ -0,0 +1,108 @@
+// @ts-check
+
+import { SessionStore } from './session-store.js';
+
+/**
+ * Lists the stored sessions at startup so one can be opened, renamed,
+ * duplicated or deleted, or a new one started.
+ */
+export class SessionListUI {
+  /** @type {HTMLElement} */
+  #container;
+  /** @type {SessionStore} */
+  #store;
+  /** @type {((sessionId: string) => void) | null} */
+  #resolveChoice = null;
+
+  /**
+   * @param {HTMLElement} container The HTML element to display the session list in.
+   * @param {SessionStore} store
+   */
+  constructor(container, store) {
+    if (!container) throw new Error('container is required.');
+    this.#container = container;
+    this.#store = store;
+  }
+
+  /**
+   * Shows the session list until the user opens or creates a session.
+   * @returns {Promise<string>} The id of the chosen session.
+   */
+  async choose() {
+    const choice = new Promise((resolve) => {
+      this.#resolveChoice = resolve;
+    });
+    await this.#render();
+    const sessionId = await choice;
+    this.#container.innerHTML = '';
+    this.#container.hidden = true;
+    return sessionId;
+  }
+
+  async #render() {
+    const sessions = await this.#store.listSessions();
+    this.#container.hidden = false;
+    this.#container.innerHTML = '';
+
+    const heading = document.createElement('h2');
+    heading.textContent = 'Sessions';
+    this.#container.appendChild(heading);
+
+    this.#container.appendChild(this.#makeButton('New session', async () => {
+      const name = prompt('Session name:', `Session ${sessions.length + 1}`);
+      if (name) {
+        this.#choose(await this.#store.createSession(name));
+      }
+    }));
+
+    const list = document.createElement('ul');
+    for (const session of sessions) {
+      const item = document.createElement('li');
+      const label = document.createElement('span');
+      label.textContent = `${session.name} (${new Date(session.updatedMs).toLocaleString()})`;
+      item.appendChild(label);
+      item.appendChild(this.#makeButton('Open', async () => this.#choose(session.id)));
+      item.appendChild(this.#makeButton('Rename', async () => {
+        const name = prompt('New name:', session.name);
+        if (name) {
+          await this.#store.renameSession(session.id, name);
+          await this.#render();
+        }
+      }));
+      item.appendChild(this.#makeButton('Duplicate', async () => {
+        await this.#store.duplicateSession(session.id, `${session.name} (copy)`);
+        await this.#render();
+      }));
+      item.appendChild(this.#makeButton('Delete', async () => {
+        if (confirm(`Delete "${session.name}"? This cannot be undone.`)) {
+          await this.#store.deleteSession(session.id);
+          await this.#render();
+        }
+      }));
+      list.appendChild(item);
+    }
+    this.#container.appendChild(list);
+  }
+
+  /**
+   * @param {string} text
+   * @param {() => Promise<void>} onClick
+   * @returns {HTMLButtonElement}
+   */
+  #makeButton(text, onClick) {
+    const button = document.createElement('button');
+    button.textContent = text;
+    button.addEventListener('click', () => onClick().catch(console.error));
+    return button;
+  }
+
+  /**
+   * @param {string} sessionId
+   */
+  #choose(sessionId) {
+    if (this.#resolveChoice) {
+      this.#resolveChoice(sessionId);
+      this.#resolveChoice = null;
+    }
+  }
+}
@@ -0,0 +1,192 @@
+// @ts-check
+
+import { GeminiChat } from './gemini-chat.js';
+import { GrooveHandler } from './groove-handler.js';
+import { MetronomeHandler } from './metronome-handler.js';
+import { Mixer } from './mixer.js';
+import { SessionStore } from './session-store.js';
+import { SongContext } from './song-context.js';
+import { TapeDeck } from './tape-deck.js';
+
+/**
+ * The open session.  Restores components from the stored document as they are
+ * attached, and saves them back (debounced) whenever their state changes.
+ * The song and chat are available at startup; the tape deck, mixer,
+ * metronome and groove only exist once audio has been started, so they attach later.
+ */
+export class Session {
+  /** @type {SessionStore} */
+  #store;
+  /** @type {string} */
+  #id;
+  /** @type {any} The last saved document, or null for a new session. */
+  #document = null;
+
+  /** @type {SongContext | null} */
+  #songContext = null;
+  /** @type {GeminiChat | null} */
+  #geminiChat = null;
+  /** @type {TapeDeck | null} */
+  #tapeDeck = null;
+  /** @type {Mixer | null} */
+  #mixer = null;
+  /** @type {MetronomeHandler | null} */
+  #metronome = null;
+  /** @type {GrooveHandler | null} */
+  #groove = null;
+
+  /** @type {Map<string, number>} Take id to the revision that is stored. */
+  #savedTakes = new Map();
+
+  /** @type {number | null} */
+  #saveTimer = null;
+  /** @type {Promise<void>} */
+  #saving = Promise.resolve();
+
+  static SAVE_DELAY_MS = 1000;
+
+  /**
+   * @param {SessionStore} store
+   * @param {string} id
+   */
+  constructor(store, id) {
+    this.#store = store;
+    this.#id = id;
+  }
+
+  /**
+   * @param {SessionStore} store
+   * @param {string} id
+   * @returns {Promise<Session>}
+   */
+  static async open(store, id) {
+    const session = new Session(store, id);
+    session.#document = await store.loadDocument(id);
+    for (const track of session.#document?.tapeDeck?.tracks || []) {
+      for (const take of track.takes) {
+        session.#savedTakes.set(take.id, take.revision);
+      }
+    }
+    return session;
+  }
+
+  /** @returns {boolean} True if the session has never been saved. */
+  get isNew() {
+    return this.#document === null;
+  }
+
+  /**
+   * Restores the song chart and chat history, and saves them when they change.
+   * @param {SongContext} songContext
+   * @param {GeminiChat} geminiChat
+   */
+  attachSong(songContext, geminiChat) {
+    this.#songContext = songContext;
+    this.#geminiChat = geminiChat;
+    if (this.#document) {
+      songContext.loadJSON(this.#document.song);
+      geminiChat.conversationHistory = this.#document.conversationHistory || [];
+    }
+    songContext.state.addBroadCallback(() => this.scheduleSave());
+  }
+
+  /**
+   * Restores the audio components, including every take's audio, and saves them when they change.
+   * @param {TapeDeck} tapeDeck
+   * @param {Mixer} mixer
+   * @param {MetronomeHandler} metronome
+   * @param {GrooveHandler} groove
+   */
+  async attachAudio(tapeDeck, mixer, metronome, groove) {
+    if (this.#document?.tapeDeck) {
+      await tapeDeck.loadSessionData(this.#document.tapeDeck,
+        (takeId) => this.#store.loadTakeAudio(this.#id, takeId));
+    }
+    if (this.#document?.mixer) {
+      mixer.loadJSON(this.#document.mixer);
+    }
+    if (this.#document?.metronome) {
+      metronome.loadJSON(this.#document.metronome);
+    }
+    if (this.#document?.metronomeSample) {
+      const { name, samples } = this.#document.metronomeSample;
+      metronome.setSample(name, samples);
+    }
+    if (this.#document?.groove) {
+      groove.loadJSON(this.#document.groove);
+    }
+    this.#tapeDeck = tapeDeck;
+    this.#mixer = mixer;
+    this.#metronome = metronome;
+    this.#groove = groove;
+    for (const stateful of [tapeDeck, mixer, metronome, groove]) {
+      stateful.state.addBroadCallback(() => this.scheduleSave());
+    }
+  }
+
+  /**
+   * Saves the session after a short delay, coalescing bursts of changes.
+   */
+  scheduleSave() {
+    if (this.#saveTimer !== null) {
+      clearTimeout(this.#saveTimer);
+    }
+    this.#saveTimer = setTimeout(() => {
+      this.#saveTimer = null;
+      this.#saving = this.#saving.then(() => this.save()).catch(
+        (error) => console.error('Failed to save session:', error));
+    }, Session.SAVE_DELAY_MS);
+  }
+
+  /**
+   * Saves the document, then the audio of any take that is new or changed
+   * since it was last stored, and removes audio for takes that are gone.
+   */
+  async save() {
+    // Parts that are not attached yet keep their previously stored value.
+    const document = { ...(this.#document || {}) };
+    if (this.#songContext) {
+      document.song = this.#songContext.getJSON();
+    }
+    if (this.#geminiChat) {
+      document.conversationHistory = this.#geminiChat.conversationHistory;
+    }
+    if (this.#mixer) {
+      document.mixer = this.#mixer.getJSON();
+    }
+    if (this.#metronome) {
+      document.metronome = this.#metronome.getJSON();
+      document.metronomeSample = this.#metronome.sample;
+    }
+    if (this.#groove) {
+      document.groove = this.#groove.getJSON();
+    }
+    if (this.#tapeDeck) {
+      document.tapeDeck = this.#tapeDeck.getSessionData();
+    }
+
+    if (this.#tapeDeck && document.tapeDeck) {
+      const currentTakes = new Set();
+      for (const track of document.tapeDeck.tracks) {
+        for (const take of track.takes) {
+          currentTakes.add(take.id);
+          if (this.#savedTakes.get(take.id) !== take.revision) {
+            await this.#store.saveTakeAudio(this.#id, take.id, this.#tapeDeck.getTakeAudio(take.id));
+            this.#savedTakes.set(take.id, take.revision);
+          }
+        }
+      }
+      const removedTakes = [...this.#savedTakes.keys()].filter(takeId => !currentTakes.has(takeId));
+      if (removedTakes.length > 0) {
+        await this.#store.deleteTakeAudio(this.#id, removedTakes);
+        for (const takeId of removedTakes) {
+          this.#savedTakes.delete(takeId);
+        }
+      }
+    }
+
+    await this.#store.saveDocument(this.#id, document);
+    this.#document = document;
+    console.log('Session saved.');
+  }
+}
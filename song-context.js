@@ -1,7 +1,15 @@
 // @ts-check
 
+import { MusicalTime } from "./musical-time.js";
 import { Stateful } from "./stateful.js";
 import { State } from "./state.js"
+import { UndoHistory } from "./undo-history.js";
+
+/**
+ * A section's overrides of the song's tempo and meter.  Zero (or absent)
+ * means the section follows the song.
+ * @typedef {{tempo?: number, endTempo?: number, beatsPerMeasure?: number}} SectionTempo
+ */
 
 /**
  * @implements {Stateful}
@@ -11,7 +19,7 @@ export class SectionContext {
   state;
 
   /**
-   * @param {{ name: string; measureCount: number; startTimeS: number; text?: string; }} args
+   * @param {{ name: string; measureCount: number; startTimeS: number; text?: string; groove?: string; } & SectionTempo} args
    */
   constructor(args) {
     this.state = new State({
@@ -19,6 +27,12 @@ export class SectionContext {
       measureCount: args.measureCount,
       startTimeS: args.startTimeS,
       text: args.text || '',
+      // Zero means the section follows the song.
+      tempo: args.tempo || 0,
+      endTempo: args.endTempo || 0,
+      beatsPerMeasure: args.beatsPerMeasure || 0,
+      // The drum groove style, or empty for none.
+      groove: args.groove || '',
       durationS: 0, // Will be calculated
     });
   }
@@ -27,14 +41,19 @@ export class SectionContext {
   get measureCount() { return this.state.getNumber('measureCount'); }
   get startTimeS() { return this.state.getNumber('startTimeS'); }
   get durationS() { return this.state.getNumber('durationS'); }
+  /** @returns {number} The section's tempo, or 0 if it uses the song's. */
+  get tempo() { return this.state.get('tempo') || 0; }
+  /** @returns {number} The tempo the section ramps to, or 0 if it keeps a steady tempo. */
+  get endTempo() { return this.state.get('endTempo') || 0; }
+  /** @returns {number} The section's meter, or 0 if it uses the song's. */
+  get beatsPerMeasure() { return this.state.get('beatsPerMeasure') || 0; }
 
-  /**
-   * @param {number} bpm
-   * @param {number} beatsPerMeasure
-   */
-  recalculateDuration(bpm, beatsPerMeasure) {
-    const durationS = this.state.getNumber('measureCount') * beatsPerMeasure * 60 / bpm;
-    this.state.set('durationS', durationS);
+  /** @returns {string} The drum groove style, or '' for none. */
+  get groove() { return this.state.get('groove') || ''; }
+
+  /** @returns {SectionTempo} */
+  get sectionTempo() {
+    return { tempo: this.tempo, endTempo: this.endTempo, beatsPerMeasure: this.beatsPerMeasure };
   }
 
   /**
@@ -58,7 +77,14 @@ export class SongContext {
   /** @type {((songContext: SongContext) => void)[]} */
   #onSongTimeChangedCallbacks = [];
 
-  constructor() {
+  /** @type {UndoHistory} */
+  #undoHistory;
+
+  /**
+   * @param {UndoHistory} undoHistory
+   */
+  constructor(undoHistory) {
+    this.#undoHistory = undoHistory;
     this.state = new State({
       tempo: 120,
       beatsPerMeasure: 4,
@@ -77,6 +103,36 @@ export class SongContext {
   get tempo() { return this.state.getNumber('tempo'); }
   get beatsPerMeasure() { return this.state.getNumber('beatsPerMeasure'); }
   get songLengthS() { return this.state.getNumber('songLengthS'); }
+  /** @returns {SectionContext[]} The sections, in song order. */
+  get sections() { return [...this.#sections]; }
+  /**
+   * @returns {MusicalTime} Converts positions to and from bars:beats:ticks,
+   *   following each section's tempo and meter.
+   */
+  get musicalTime() {
+    return new MusicalTime(this.tempo, this.beatsPerMeasure, this.#sections.map(section => {
+      const startTempo = section.tempo || this.tempo;
+      return {
+        barCount: section.measureCount,
+        beatsPerMeasure: section.beatsPerMeasure || this.beatsPerMeasure,
+        startTempo,
+        endTempo: section.endTempo || startTempo,
+      };
+    }));
+  }
+  /** @returns {number} The length of one bar at the song's tempo and meter, ignoring sections. */
+  get barDurationS() { return this.musicalTime.barDurationS; }
+
+  /**
+   * @param {number} bar The 1-based bar number.
+   * @returns {number} The tape time at which the bar starts.
+   */
+  getBarTimeS(bar) {
+    if (!Number.isInteger(bar) || bar < 1) {
+      throw new Error(`Invalid bar: ${bar}`);
+    }
+    return this.musicalTime.toSeconds({ bar, beat: 1, tick: 0 });
+  }
 
   /**
    * @returns {any}
@@ -86,16 +142,42 @@ export class SongContext {
   }
 
   /**
-   * Recalculates section durations and start times based on the current song tempo and time signature.
+   * Replaces the whole song with a previously saved `getJSON()` result.
+   * This is not recorded in the undo history.
+   * @param {any} json
+   */
+  loadJSON(json) {
+    const sectionList = this.state.getList('sections');
+    for (const section of this.#sections) {
+      sectionList.remove(section.state);
+    }
+    this.#sections = [];
+    this.state.set('tempo', json.tempo);
+    this.state.set('beatsPerMeasure', json.beatsPerMeasure);
+    for (const { name, measureCount, text, tempo, endTempo, beatsPerMeasure, groove } of json.sections) {
+      const section = new SectionContext({ name, measureCount, text, tempo, endTempo, beatsPerMeasure, groove, startTimeS: 0 });
+      this.#sections.push(section);
+      sectionList.add(section.state);
+    }
+    this.#recalculateSections();
+    for (const callback of this.#onSongTimeChangedCallbacks) {
+      callback(this);
+    }
+  }
+
+  /**
+   * Recalculates section durations and start times from the tempo map.
    */
   #recalculateSections() {
-    let currentSongLengthS = 0;
+    const musicalTime = this.musicalTime;
+    let bar = 1;
     for (const section of this.#sections) {
-      section.state.set('startTimeS', currentSongLengthS);
-      section.recalculateDuration(this.tempo, this.beatsPerMeasure);
-      currentSongLengthS += section.state.getNumber('durationS');
+      const startTimeS = musicalTime.toSeconds({ bar, beat: 1, tick: 0 });
+      bar += section.measureCount;
+      section.state.set('startTimeS', startTimeS);
+      section.state.set('durationS', musicalTime.toSeconds({ bar, beat: 1, tick: 0 }) - startTimeS);
     }
-    this.state.set('songLengthS', currentSongLengthS);
+    this.state.set('songLengthS', musicalTime.toSeconds({ bar, beat: 1, tick: 0 }));
   }
 
   /**
@@ -103,6 +185,12 @@ export class SongContext {
    * @param {{tempo: number, beatsPerMeasure: number}} param0 
    */
   setSongTime({ tempo, beatsPerMeasure }) {
+    const previous = { tempo: this.tempo, beatsPerMeasure: this.beatsPerMeasure };
+    this.#undoHistory.push({
+      description: `Set song time to ${tempo || previous.tempo} BPM, ${beatsPerMeasure || previous.beatsPerMeasure} beats per measure`,
+      undo: () => this.setSongTime(previous),
+      redo: () => this.setSongTime({ tempo, beatsPerMeasure }),
+    });
     if (tempo) this.state.set('tempo', tempo);
     if (beatsPerMeasure) this.state.set('beatsPerMeasure', beatsPerMeasure);
     this.#recalculateSections();
@@ -112,29 +200,69 @@ export class SongContext {
   }
 
   /**
-   * @param {{ name: string; measureCount: number; text?: string; }} sectionArgs
+   * @param {{ name: string; measureCount: number; text?: string; groove?: string; } & SectionTempo} sectionArgs
+   * @param {number} [index] The position to insert the section at. Defaults to the end of the song.
    */
-  addSection(sectionArgs) {
+  addSection(sectionArgs, index = this.#sections.length) {
+    checkSectionTempo(sectionArgs);
     const section = new SectionContext({
       ...sectionArgs,
       startTimeS: this.songLengthS,
     });
-    section.recalculateDuration(this.tempo, this.beatsPerMeasure);
-    this.#sections.push(section);
-    this.state.set('songLengthS', this.songLengthS + section.state.getNumber('durationS'));
-    // The `add` method on the StateList will handle adding the child and its data.
-    this.state.getList('sections').add(section.state);
+    this.#sections.splice(index, 0, section);
+    // The `insert` method on the StateList will handle adding the child and its data.
+    this.state.getList('sections').insert(index, section.state);
+    this.#recalculateSections();
+    this.#undoHistory.push({
+      description: `Add section "${sectionArgs.name}"`,
+      undo: () => this.removeSection(sectionArgs.name),
+      redo: () => this.addSection(sectionArgs, index),
+    });
   }
 
   /**
+   * Removes a section; later sections move earlier to close the gap.
    * @param {string} name
-   * @param {{ newName?: string; measureCount?: number; text?: string; }} sectionArgs
    */
-  editSection(name, { newName, measureCount, text }) {
+  removeSection(name) {
+    const section = this.getSection(name);
+    const index = this.#sections.indexOf(section);
+    this.#sections.splice(index, 1);
+    this.state.getList('sections').remove(section.state);
+    this.#recalculateSections();
+    const sectionArgs = {
+      name,
+      measureCount: section.measureCount,
+      text: section.state.get('text') || '',
+      groove: section.groove,
+      ...section.sectionTempo,
+    };
+    this.#undoHistory.push({
+      description: `Remove section "${name}"`,
+      undo: () => this.addSection(sectionArgs, index),
+      redo: () => this.removeSection(name),
+    });
+  }
+
+  /**
+   * @param {string} name
+   * @param {{ newName?: string; measureCount?: number; text?: string; groove?: string; } & SectionTempo} sectionArgs
+   *   For the tempo fields, 0 goes back to following the song and undefined leaves them unchanged.
+   */
+  editSection(name, { newName, measureCount, text, groove, tempo, endTempo, beatsPerMeasure }) {
     const section = this.getSection(name);
     if (!section) {
       throw new Error(`Section "${name}" not found.`);
     }
+    checkSectionTempo({ tempo, endTempo, beatsPerMeasure });
+
+    const previous = {
+      newName: name,
+      measureCount: section.measureCount,
+      text: /** @type {string} */ (section.state.get('text')) || '',
+      groove: section.groove,
+      ...section.sectionTempo,
+    };
 
     if (newName && newName !== name) {
       const existing = this.#sections.find(s => s.name === newName);
@@ -150,7 +278,80 @@ export class SongContext {
     if (text !== undefined) {
       section.state.set('text', text);
     }
+    if (groove !== undefined) {
+      section.state.set('groove', groove);
+    }
+    for (const [field, value] of Object.entries({ tempo, endTempo, beatsPerMeasure })) {
+      if (value !== undefined) {
+        section.state.set(field, value);
+      }
+    }
     this.#recalculateSections();
+    const currentName = newName || name;
+    this.#undoHistory.push({
+      description: `Edit section "${currentName}"`,
+      undo: () => this.editSection(currentName, previous),
+      redo: () => this.editSection(name, { newName, measureCount, text, groove, tempo, endTempo, beatsPerMeasure }),
+    });
+    for (const callback of this.#onSongTimeChangedCallbacks) {
+      callback(this);
+    }
+  }
+
+  /**
+   * Adds bars to the song, lengthening the section they are inserted into.
+   * Bars inserted right after the last section lengthen the last section.
+   * @param {number} bar The 1-based bar the new bars are inserted before.
+   * @param {number} count
+   */
+  insertBars(bar, count) {
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error(`Invalid number of bars: ${count}`);
+    }
+    let sectionStartBar = 1;
+    for (const section of this.#sections) {
+      const isLast = section === this.#sections[this.#sections.length - 1];
+      const sectionEndBar = sectionStartBar + section.measureCount;
+      if (bar >= sectionStartBar && (bar < sectionEndBar || (isLast && bar === sectionEndBar))) {
+        this.editSection(section.name, { measureCount: section.measureCount + count });
+        return;
+      }
+      sectionStartBar = sectionEndBar;
+    }
+    throw new Error(`Bar ${bar} is not in the song.`);
+  }
+
+  /**
+   * Removes bars from the song, shortening the sections they are in.
+   * Sections that lose all of their bars are removed.
+   * @param {number} bar The 1-based first bar to remove.
+   * @param {number} count
+   */
+  removeBars(bar, count) {
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error(`Invalid number of bars: ${count}`);
+    }
+    /** @type {{name: string, measureCount: number, removedCount: number}[]} */
+    const changes = [];
+    let sectionStartBar = 1;
+    for (const section of this.#sections) {
+      const sectionEndBar = sectionStartBar + section.measureCount;
+      const removedCount = Math.min(sectionEndBar, bar + count) - Math.max(sectionStartBar, bar);
+      if (removedCount > 0) {
+        changes.push({ name: section.name, measureCount: section.measureCount, removedCount });
+      }
+      sectionStartBar = sectionEndBar;
+    }
+    if (changes.length === 0) {
+      throw new Error(`Bar ${bar} is not in the song.`);
+    }
+    for (const { name, measureCount, removedCount } of changes) {
+      if (removedCount === measureCount) {
+        this.removeSection(name);
+      } else {
+        this.editSection(name, { measureCount: measureCount - removedCount });
+      }
+    }
   }
 
   /**
@@ -181,4 +382,18 @@ export class SongContext {
     return section;
   }
 
+}
+
+/**
+ * @param {SectionTempo} sectionTempo
+ */
+function checkSectionTempo({ tempo, endTempo, beatsPerMeasure }) {
+  for (const [field, value] of Object.entries({ tempo, endTempo })) {
+    if (value !== undefined && !(value >= 0)) {
+      throw new Error(`Invalid ${field}: ${value}`);
+    }
+  }
+  if (beatsPerMeasure !== undefined && (!Number.isInteger(beatsPerMeasure) || beatsPerMeasure < 0)) {
+    throw new Error(`Invalid beats per measure: ${beatsPerMeasure}`);
+  }
 }
\ No newline at end of file
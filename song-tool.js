@@ -33,6 +33,18 @@ export class SectionTool {
           type: 'STRING',
           description: 'Free-form text for the section, like lyrics or chords. Line breaks are preserved.',
         },
+        tempo: {
+          type: 'NUMBER',
+          description: 'The tempo of this section in BPM, if it differs from the song\'s (e.g. a half-time outro).',
+        },
+        endTempo: {
+          type: 'NUMBER',
+          description: 'The tempo this section ramps to by its end, for a ritardando or accelerando.',
+        },
+        beatsPerMeasure: {
+          type: 'INTEGER',
+          description: 'The beats per measure of this section, if it differs from the song\'s (e.g. a bridge in 6/8).',
+        },
       },
       required: ['name', 'measureCount'],
     },
@@ -72,7 +84,7 @@ export class EditSectionTool {
   /** @type {FunctionDeclaration} */
   declaration = {
     name: 'edit_song_section',
-    description: 'Edits an existing section of the song, like changing its name or length.',
+    description: 'Edits an existing section of the song, like changing its name, length, tempo or meter.',
     parameters: {
       type: 'OBJECT',
       properties: {
@@ -92,6 +104,18 @@ export class EditSectionTool {
           type: 'STRING',
           description: 'The new free-form text for the section, like lyrics or chords. Line breaks are preserved.',
         },
+        tempo: {
+          type: 'NUMBER',
+          description: 'The new tempo of this section in BPM.  0 follows the song\'s tempo.',
+        },
+        endTempo: {
+          type: 'NUMBER',
+          description: 'The tempo this section ramps to by its end.  0 keeps a steady tempo.',
+        },
+        beatsPerMeasure: {
+          type: 'INTEGER',
+          description: 'The new beats per measure of this section.  0 follows the song\'s meter.',
+        },
       },
       required: ['name'],
     },
@@ -108,11 +132,14 @@ export class EditSectionTool {
   }
 
   /**
-   * @param {{name: string, newName?: string, measureCount?: number, text?: string}} args
+   * @param {{name: string, newName?: string, measureCount?: number, text?: string, tempo?: number, endTempo?: number, beatsPerMeasure?: number}} args
    * @returns {Promise<FunctionResponse>}
    */
   async run(args) {
-    this.#songContext.editSection(args.name, { newName: args.newName, measureCount: args.measureCount, text: args.text });
+    this.#songContext.editSection(args.name, {
+      newName: args.newName, measureCount: args.measureCount, text: args.text,
+      tempo: args.tempo, endTempo: args.endTempo, beatsPerMeasure: args.beatsPerMeasure,
+    });
     return MakeToolResponse(this, `Successfully edited section "${args.newName || args.name}".`);
   }
 }
@@ -1,3 +1,9 @@
+/**
+ * A value kept in a State: anything that survives `JSON.stringify`, including
+ * arrays and plain objects, or instances of data classes such as `TrackStats`.
+ * @typedef {boolean | number | string | null | object} StateValue
+ */
+
 export class StateList {
   /** @type {State[]} */
   #list = [];
@@ -29,6 +35,47 @@ export class StateList {
     this.#parentState.notifyAll();
   }
 
+  /**
+   * @param {number} index
+   * @param {State} item
+   */
+  insert(index, item) {
+    this.#list.splice(index, 0, item);
+    this.#dataList.splice(index, 0, item.protectedData);
+    this.#parentState.addChild(null, item);
+    this.#parentState.notifyAll();
+  }
+
+  /**
+   * @param {State} item
+   */
+  remove(item) {
+    const index = this.#list.indexOf(item);
+    if (index < 0) {
+      throw new Error('Item is not in this list.');
+    }
+    this.#list.splice(index, 1);
+    this.#dataList.splice(index, 1);
+    this.#parentState.notifyAll();
+  }
+
+  /**
+   * Moves an item to another position in the list.
+   * @param {State} item
+   * @param {number} index The position the item ends up at.
+   */
+  move(item, index) {
+    const from = this.#list.indexOf(item);
+    if (from < 0) {
+      throw new Error('Item is not in this list.');
+    }
+    this.#list.splice(from, 1);
+    this.#dataList.splice(from, 1);
+    this.#list.splice(index, 0, item);
+    this.#dataList.splice(index, 0, item.protectedData);
+    this.#parentState.notifyAll();
+  }
+
   /**
    * @param {number} index
    * @returns {State | undefined}
@@ -37,6 +84,13 @@ export class StateList {
     return this.#list[index];
   }
 
+  /**
+   * @returns {number}
+   */
+  get length() {
+    return this.#list.length;
+  }
+
   /**
    * @returns {any[]}
    */
@@ -96,7 +150,7 @@ export class State {
 
   /**
    * @param {string} key
-   * @returns { State | number | string | boolean | StateList }
+   * @returns { StateValue | State | StateList | undefined }
    */
   get(key) {
     return this.protectedData[key] || this.#children.get(key);
@@ -129,7 +183,7 @@ export class State {
 
   /**
    * @param {string} key
-   * @param {number | string | boolean } value
+   * @param {StateValue} value
    */
   set(key, value) {
     this.protectedData[key] = value;
@@ -139,7 +193,7 @@ export class State {
 
   /**
    * @param {string} key
-   * @param {number | string | boolean } value
+   * @param {StateValue} value
    */
   notify(key, value) {
     // console.log(`Notify: ${key} = ${value}`);
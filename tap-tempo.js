@@ -0,0 +1,114 @@
+// @ts-check
+
+import { ChatUI } from './chat-ui.js';
+import { SongContext } from './song-context.js';
+
+/**
+ * Averages taps into a tempo.  Taps more than `MAX_GAP_MS` apart start over.
+ */
+export class TapTempo {
+  /** @type {number[]} The times of the recent taps, in milliseconds. */
+  #taps = [];
+
+  static MAX_GAP_MS = 2000;
+  static MAX_TAPS = 8;
+
+  /**
+   * @param {number} [timeMs]
+   * @returns {number | null} The tempo of the taps so far, in BPM, or null after the first tap.
+   */
+  tap(timeMs = performance.now()) {
+    const last = this.#taps[this.#taps.length - 1];
+    if (last !== undefined && timeMs - last > TapTempo.MAX_GAP_MS) {
+      this.#taps = [];
+    }
+    this.#taps.push(timeMs);
+    if (this.#taps.length > TapTempo.MAX_TAPS) {
+      this.#taps.shift();
+    }
+    return this.bpm;
+  }
+
+  /** @returns {number} The number of taps being averaged. */
+  get tapCount() { return this.#taps.length; }
+
+  /** @returns {number | null} */
+  get bpm() {
+    if (this.#taps.length < 2) {
+      return null;
+    }
+    const averageMs = (this.#taps[this.#taps.length - 1] - this.#taps[0]) / (this.#taps.length - 1);
+    return 60000 / averageMs;
+  }
+
+  reset() {
+    this.#taps = [];
+  }
+}
+
+/**
+ * A button (and the T key) to tap the tempo.  The button shows the tempo as
+ * it is tapped; once the taps stop, the song is set to it.
+ */
+export class TapTempoUI {
+  /** @type {TapTempo} */
+  #tapTempo = new TapTempo();
+  /** @type {SongContext} */
+  #songContext;
+  /** @type {ChatUI} */
+  #chatUI;
+  /** @type {HTMLButtonElement} */
+  #button;
+  /** @type {string} */
+  #label;
+  /** @type {number | null} */
+  #timer = null;
+
+  /** Fewer taps than this are too few to trust. */
+  static MIN_TAPS = 4;
+
+  /**
+   * @param {SongContext} songContext
+   * @param {ChatUI} chatUI Where the new tempo is reported.
+   * @param {HTMLButtonElement} button
+   */
+  constructor(songContext, chatUI, button) {
+    this.#songContext = songContext;
+    this.#chatUI = chatUI;
+    this.#button = button;
+    this.#label = button.textContent || '';
+    button.addEventListener('click', () => this.#tap());
+    document.addEventListener('keydown', (event) => {
+      const target = /** @type {HTMLElement} */ (event.target);
+      if (event.key.toLowerCase() !== 't' || event.repeat || event.ctrlKey || event.metaKey || event.altKey ||
+        target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) {
+        return;
+      }
+      event.preventDefault();
+      this.#tap();
+    });
+  }
+
+  #tap() {
+    const bpm = this.#tapTempo.tap();
+    this.#button.textContent = bpm ? `${Math.round(bpm)}` : '…';
+    if (this.#timer !== null) {
+      clearTimeout(this.#timer);
+    }
+    this.#timer = setTimeout(() => this.#finish(), TapTempo.MAX_GAP_MS);
+  }
+
+  #finish() {
+    this.#timer = null;
+    this.#button.textContent = this.#label;
+    const bpm = this.#tapTempo.bpm;
+    const tapCount = this.#tapTempo.tapCount;
+    this.#tapTempo.reset();
+    if (bpm === null || tapCount < TapTempoUI.MIN_TAPS) {
+      return;
+    }
+    const tempo = Math.round(bpm);
+    this.#songContext.setSongTime({ tempo, beatsPerMeasure: this.#songContext.beatsPerMeasure });
+    this.#chatUI.displayMessage(`Tempo set to ${tempo} BPM from ${tapCount} taps.`, 'model-message');
+  }
+}
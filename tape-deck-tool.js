@@ -8,6 +8,7 @@ import { TapeDeck } from './tape-deck.js';
  * @typedef {import('./tool.js').Tool} Tool
  * @typedef {import('./tool.js').FunctionResponse} FunctionResponse
  * @typedef {import('./tool.js').FunctionDeclaration} FunctionDeclaration
+ * @typedef {{trackNumber?: number, channelCount?: number, inputChannel?: number}} ArmRequest
  */
 
 /**
@@ -18,22 +19,101 @@ export class TapeDeckTool {
   /** @type {FunctionDeclaration} */
   declaration = {
     name: 'transport_control',
-    description: 'Controls the tape deck playback.  Playback and recording is always proceeded by a 1-bar count-in.',
+    description: 'Controls the tape deck playback.  Playback and recording are preceded by a count-in (1 bar unless changed).  When recording, the tape can start a few bars early (pre-roll) and keep playing after the section (post-roll), but only the section is recorded.  Count-in, pre-roll and post-roll settings are kept for later passes.  Each `record` pass is kept as a new take on the track, so earlier takes are never lost.  `play` without a section, bar or time resumes from where the tape last stopped (or was located to).',
     parameters: {
       type: 'OBJECT',
       properties: {
         action: {
           type: 'STRING',
-          description: "The action to perform: 'play', 'stop', 'record', or 'loop'.",
+          description: "The action to perform: 'play', 'stop', 'record', 'loop', 'loop_record', 'locate' or 'position'. 'loop_record' cycles the section or bar range and keeps each complete pass as a separate take; a pass interrupted by 'stop' is discarded. 'locate' moves the playhead to the section, startBar, start or timeMs (restarting playback there if playing). 'position' reports where the playhead is.",
+          enum: ['play', 'stop', 'record', 'loop', 'loop_record', 'locate', 'position'],
         },
         trackNumber: {
           type: 'INTEGER',
           description: 'The track number to arm for recording. If unspecified, `record` will create a new track.',
         },
+        channelCount: {
+          type: 'INTEGER',
+          description: 'The channel layout for a new track created by `record`: 1 for mono, 2 for stereo, or more for multichannel. Defaults to 1. Ignored for existing tracks.',
+        },
+        inputChannel: {
+          type: 'INTEGER',
+          description: 'The first (0-indexed) audio interface input to record from. Defaults to 0.',
+        },
+        tracks: {
+          type: 'ARRAY',
+          description: 'Arms several tracks at once for `record`, each bound to its own interface input (e.g. input 0 for the kick on track 0, input 1 for the hats on track 1). Overrides trackNumber, channelCount and inputChannel.',
+          items: {
+            type: 'OBJECT',
+            properties: {
+              trackNumber: {
+                type: 'INTEGER',
+                description: 'The track number to arm. If unspecified, a new track is created.',
+              },
+              channelCount: {
+                type: 'INTEGER',
+                description: 'The channel layout for a new track: 1 for mono, 2 for stereo. Defaults to 1.',
+              },
+              inputChannel: {
+                type: 'INTEGER',
+                description: 'The first (0-indexed) audio interface input to record from.',
+              },
+            },
+            required: ['inputChannel'],
+          },
+        },
         section: {
           type: 'STRING',
           description: 'The name of the song section to play or record over (e.g., "Verse 1", "Chorus"). If unspecified, the entire song is used.',
         },
+        startBar: {
+          type: 'INTEGER',
+          description: 'The first bar (1 is the start of the song) to play or record over, instead of a section.',
+        },
+        barCount: {
+          type: 'INTEGER',
+          description: 'The number of bars to play or record over, starting at startBar. If unspecified, to the end of the song.',
+        },
+        start: {
+          type: 'STRING',
+          description: 'Where to start playing or recording (or to locate to), as bars:beats:ticks (e.g. "9:3" to punch in on the third beat of bar 9) or seconds (e.g. "12.5s"), instead of a section or bar.',
+        },
+        end: {
+          type: 'STRING',
+          description: 'Where to stop, as bars:beats:ticks or seconds. If unspecified, the end of the section, bar range or song.',
+        },
+        timeMs: {
+          type: 'NUMBER',
+          description: "The tape time, in milliseconds, to play from or locate to, instead of a section or bar.",
+        },
+        maxPasses: {
+          type: 'INTEGER',
+          description: "For 'loop_record', stops after this many passes. If unspecified, loop recording continues until 'stop'.",
+        },
+        crossfadeMs: {
+          type: 'NUMBER',
+          description: 'Sets the crossfade length, in milliseconds, at both edges of new recordings, where they meet the audio they are punched over.',
+        },
+        countInBars: {
+          type: 'INTEGER',
+          description: 'Sets the number of bars of metronome count-in before the tape starts. 0 for no count-in.',
+        },
+        preRollBars: {
+          type: 'INTEGER',
+          description: 'Sets the number of bars the existing tracks play before the section when recording.',
+        },
+        postRollBars: {
+          type: 'INTEGER',
+          description: 'Sets the number of bars the existing tracks keep playing after the section when recording.',
+        },
+        cancelClickBleed: {
+          type: 'BOOLEAN',
+          description: 'Sets whether metronome click that leaks into new recordings (e.g. from speakers into a vocal mic) is subtracted from them, when it is above the threshold.',
+        },
+        clickBleedThresholdDb: {
+          type: 'NUMBER',
+          description: 'Sets the level of leaked click, in dB, above which a recording is reported as having click bleed (and the click is subtracted, if cancelClickBleed is on). Defaults to -40.',
+        },
       },
       required: ['action'],
     },
@@ -55,14 +135,19 @@ export class TapeDeckTool {
   }
 
   /**
-   * @param {{action: 'play' | 'stop' | 'record' | 'loop', trackNumber?: number, section?: string}} args
+   * @param {{action: 'play' | 'stop' | 'record' | 'loop' | 'loop_record' | 'locate' | 'position',
+   *   trackNumber?: number, channelCount?: number, inputChannel?: number, tracks?: ArmRequest[],
+   *   section?: string, startBar?: number, barCount?: number, start?: string, end?: string, timeMs?: number,
+   *   maxPasses?: number, crossfadeMs?: number,
+   *   countInBars?: number, preRollBars?: number, postRollBars?: number,
+   *   cancelClickBleed?: boolean, clickBleedThresholdDb?: number}} args
    * @returns {Promise<FunctionResponse>}
    */
   async run(args) {
     let responseText = '';
 
     let startTimeS = 0;
-    let endTimeS = this.#songContext.songLengthS || TapeDeck.MAX_TRACK_LENGTH_S;
+    let endTimeS = this.#songContext.songLengthS || this.#tapeDeck.recordedLengthS;
 
     if (args.section) {
       try {
@@ -72,6 +157,67 @@ export class TapeDeckTool {
       } catch (e) {
         return MakeToolResponse(this, e.message);
       }
+    } else if (args.startBar !== undefined) {
+      try {
+        startTimeS = this.#songContext.getBarTimeS(args.startBar);
+      } catch (e) {
+        return MakeToolResponse(this, e.message);
+      }
+      if (args.barCount !== undefined) {
+        endTimeS = startTimeS + this.#songContext.musicalTime.barsToSeconds(args.barCount, args.startBar);
+      }
+    } else if (args.start !== undefined) {
+      try {
+        startTimeS = this.#songContext.musicalTime.parse(args.start);
+      } catch (e) {
+        return MakeToolResponse(this, e.message);
+      }
+    } else if (args.timeMs !== undefined) {
+      if (!(args.timeMs >= 0)) {
+        return MakeToolResponse(this, `Invalid timeMs: ${args.timeMs}`);
+      }
+      startTimeS = args.timeMs / 1000;
+    } else if (args.action === 'play' && this.#tapeDeck.locateS < endTimeS) {
+      startTimeS = this.#tapeDeck.locateS;
+    }
+
+    if (args.end !== undefined) {
+      try {
+        endTimeS = this.#songContext.musicalTime.parse(args.end);
+      } catch (e) {
+        return MakeToolResponse(this, e.message);
+      }
+    }
+
+    if (args.action === 'position') {
+      return MakeToolResponse(this, this.#describePosition(this.#tapeDeck.currentTapeTimeS) +
+        (this.#tapeDeck.isRolling ? '' : ' The tape is stopped.'));
+    }
+    if (args.action === 'locate') {
+      if (args.section === undefined && args.startBar === undefined && args.start === undefined &&
+        args.timeMs === undefined) {
+        return MakeToolResponse(this, 'Specify a section, startBar, start or timeMs to locate to.');
+      }
+      try {
+        this.#tapeDeck.locate(startTimeS);
+      } catch (e) {
+        return MakeToolResponse(this, e.message);
+      }
+      return MakeToolResponse(this, `Located to ${this.#describePosition(startTimeS)}`);
+    }
+
+    try {
+      this.#tapeDeck.setRoll(args);
+      if (args.crossfadeMs !== undefined) {
+        this.#tapeDeck.setCrossfade(args.crossfadeMs / 1000);
+      }
+      this.#tapeDeck.setClickBleedOptions({ thresholdDB: args.clickBleedThresholdDb, cancel: args.cancelClickBleed });
+    } catch (e) {
+      return MakeToolResponse(this, e.message);
+    }
+
+    if (args.action !== 'stop' && endTimeS <= startTimeS) {
+      return MakeToolResponse(this, 'The song has no sections and nothing has been recorded, so there is nothing to play or record to. Add a section to the song first.');
     }
 
     if (args.action === 'play') {
@@ -79,7 +225,7 @@ export class TapeDeckTool {
       if (args.section) {
         responseText = `Playback started for section "${args.section}".`;
       } else {
-        responseText = 'Playback started.';
+        responseText = `Playback started from ${this.#describePosition(startTimeS)}`;
       }
     } else if (args.action === 'loop') {
       this.#tapeDeck.startPlayback(startTimeS, endTimeS, {}, { loopStartS: startTimeS });
@@ -91,34 +237,130 @@ export class TapeDeckTool {
     } else if (args.action === 'stop') {
       this.#tapeDeck.stop();
       responseText = 'Playback stopped.';
-    } else if (args.action === 'record') {
-      args.trackNumber = this.#tapeDeck.arm(args.trackNumber);
+    } else if (args.action === 'record' || args.action === 'loop_record') {
+      if (args.maxPasses !== undefined && (!Number.isInteger(args.maxPasses) || args.maxPasses < 1)) {
+        return MakeToolResponse(this, `Invalid maxPasses: ${args.maxPasses}`);
+      }
+      const armRequests = args.tracks && args.tracks.length > 0 ? args.tracks :
+        [{ trackNumber: args.trackNumber, channelCount: args.channelCount, inputChannel: args.inputChannel }];
+      /** @type {number[]} */
+      const trackNumbers = [];
+      try {
+        this.#tapeDeck.disarmAll();
+        for (const request of armRequests) {
+          trackNumbers.push(this.#tapeDeck.arm(request.trackNumber, {
+            channelCount: request.channelCount, inputChannel: request.inputChannel
+          }));
+        }
+      } catch (e) {
+        this.#tapeDeck.disarmAll();
+        return MakeToolResponse(this, e.message);
+      }
+      const trackList = trackNumbers.length === 1 ?
+        `track ${trackNumbers[0]}` : `tracks ${trackNumbers.join(', ')}`;
+      if (args.action === 'loop_record') {
+        return this.#loopRecord(trackNumbers, trackList, startTimeS, endTimeS, args.maxPasses);
+      }
       this.#tapeDeck.startPlayback(startTimeS, endTimeS, { punchInS: startTimeS, punchOutS: endTimeS });
 
       await this.#tapeDeck.waitForEnd();
+      await this.#tapeDeck.waitForClickBleedChecks();
 
-      const uploadedFile = await this.#tapeDeck.getTrackSlice(args.trackNumber, startTimeS, endTimeS);
+      const fileData = [];
+      for (const trackNumber of trackNumbers) {
+        const uploadedFile = await this.#tapeDeck.getTrackSlice(trackNumber, startTimeS, endTimeS);
+        fileData.push({ mimeType: uploadedFile.mimeType, fileUri: uploadedFile.fileUri });
+      }
 
       if (args.section) {
-        responseText = `Finished recording track ${args.trackNumber} for section "${args.section}".`;
+        responseText = `Finished recording ${trackList} for section "${args.section}".`;
       } else {
-        responseText = `Finished recording track ${args.trackNumber}.`;
+        responseText = `Finished recording ${trackList}.`;
       }
-      if (!this.#tapeDeck.getTrackName(args.trackNumber)) {
+      const unnamedTracks = trackNumbers.filter(n => !this.#tapeDeck.getTrackName(n));
+      if (unnamedTracks.length > 0) {
         responseText += ` Finished recording. 
-Perform a technical analysis of the audio to determine the instrument playing on the 
-track, then call 'set_track_info' with a short name for the track.
+Perform a technical analysis of the audio to determine the instrument playing on 
+track ${unnamedTracks.join(', ')}, then call 'set_track_info' with a short name for each track.
+The attached audio files are in the same order as the recorded tracks.
 You will need to put this call in your response along with any feedback to the user.
 `;
       }
-      const fileData = { mimeType: uploadedFile.mimeType, fileUri: uploadedFile.fileUri };
-      return MakeToolResponse(this, responseText, fileData);
+      responseText += this.#describeClickBleed(trackNumbers);
+      return MakeToolResponse(this, responseText, fileData.length === 1 ? fileData[0] : fileData);
     } else {
       return MakeToolResponse(this, `Unknown action: ${args.action}`);
     }
 
     return MakeToolResponse(this, responseText);
   }
+
+  /**
+   * @param {number} tapeTimeS
+   * @returns {string} The time, bars:beats:ticks and section of a tape position.
+   */
+  #describePosition(tapeTimeS) {
+    let text = `${tapeTimeS.toFixed(2)}s (${this.#songContext.musicalTime.format(tapeTimeS)}`;
+    if (tapeTimeS < this.#songContext.songLengthS) {
+      text += `, in "${this.#songContext.getSectionAtTime(tapeTimeS).name}"`;
+    }
+    return text + ').';
+  }
+
+  /**
+   * Loop records the armed tracks.  Without a maximum number of passes, this
+   * returns as soon as recording starts; the passes are kept when it is stopped.
+   * @param {number[]} trackNumbers The armed tracks.
+   * @param {string} trackList The armed tracks, for the response.
+   * @param {number} startTimeS
+   * @param {number} endTimeS
+   * @param {number} [maxPasses]
+   * @returns {Promise<FunctionResponse>}
+   */
+  async #loopRecord(trackNumbers, trackList, startTimeS, endTimeS, maxPasses) {
+    const takeCounts = trackNumbers.map(trackNumber => this.#tapeDeck.getTakeCount(trackNumber));
+    this.#tapeDeck.startPlayback(startTimeS, endTimeS, { punchInS: startTimeS, punchOutS: endTimeS },
+      { loopStartS: startTimeS, maxPasses });
+    if (!maxPasses) {
+      return MakeToolResponse(this, `Loop recording ${trackList}. Each complete pass becomes a new take. Call 'stop' to finish.`);
+    }
+
+    await this.#tapeDeck.waitForEnd();
+    await this.#tapeDeck.waitForClickBleedChecks();
+
+    const newTakes = trackNumbers.map((trackNumber, i) => {
+      const firstTake = takeCounts[i] + 1;
+      const lastTake = this.#tapeDeck.getTakeCount(trackNumber);
+      if (lastTake < firstTake) {
+        return `no complete passes on track ${trackNumber}`;
+      }
+      return `takes ${firstTake} to ${lastTake} on track ${trackNumber}`;
+    });
+    return MakeToolResponse(this, `Finished loop recording ${trackList}: ${newTakes.join('; ')}. ` +
+      'The last pass is the active take; use select_take to choose a different one.' +
+      this.#describeClickBleed(trackNumbers));
+  }
+
+  /**
+   * @param {number[]} trackNumbers The tracks just recorded.
+   * @returns {string} A warning for each track whose active take has click bleed over the threshold.
+   */
+  #describeClickBleed(trackNumbers) {
+    const thresholdDB = this.#tapeDeck.clickBleedThresholdDB;
+    let text = '';
+    for (const trackNumber of trackNumbers) {
+      const { clickBleedDB, clickBleedCancelled } = this.#tapeDeck.getClickBleed(trackNumber);
+      if (clickBleedDB <= thresholdDB) {
+        continue;
+      }
+      text += ` WARNING: The metronome click leaked into track ${trackNumber} at ${clickBleedDB.toFixed(1)} dB ` +
+        `(the threshold is ${thresholdDB} dB). ` + (clickBleedCancelled ?
+          'It was subtracted from the take, but tell the user so they can check it.' :
+          'Tell the user, and suggest headphones or the cue output for the click, a quieter click, ' +
+          'or turning on cancelClickBleed and recording again.');
+    }
+    return text;
+  }
 }
 
 /**
@@ -171,3 +413,221 @@ export class TrackInfoTool {
     }
   }
 }
+
+/**
+ * The TrackTool implementation for deleting, copying, reordering, muting and soloing tracks.
+ * @implements {Tool}
+ */
+export class TrackTool {
+  /** @type {FunctionDeclaration} */
+  declaration = {
+    name: 'manage_track',
+    description: 'Deletes, duplicates or moves a track, or mutes or solos it. A track\'s mixer channel stays with it, so later tracks are renumbered when a track is deleted, duplicated or moved. Solo is in place: while any track is soloed, only soloed tracks are heard, with their own mixer settings. Bounces follow mutes and solos.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        action: {
+          type: 'STRING',
+          description: "'duplicate' copies the track, with its takes and mixer settings, to a new track right after it.",
+          enum: ['delete', 'duplicate', 'move', 'mute', 'unmute', 'solo', 'unsolo'],
+        },
+        trackNumber: {
+          type: 'INTEGER',
+          description: 'The track number to change (0-indexed).',
+        },
+        toTrackNumber: {
+          type: 'INTEGER',
+          description: "For 'move', the track number the track ends up at (0-indexed).",
+        },
+      },
+      required: ['action', 'trackNumber'],
+    },
+  };
+
+  /** @type {TapeDeck} */
+  #tapeDeck;
+
+  /**
+   * @param {TapeDeck} tapeDeck
+   */
+  constructor(tapeDeck) {
+    this.#tapeDeck = tapeDeck;
+  }
+
+  /**
+   * @param {{action: 'delete' | 'duplicate' | 'move' | 'mute' | 'unmute' | 'solo' | 'unsolo',
+   *   trackNumber: number, toTrackNumber?: number}} args
+   * @returns {Promise<FunctionResponse>}
+   */
+  async run(args) {
+    try {
+      const trackNumber = args.trackNumber;
+      switch (args.action) {
+        case 'delete':
+          this.#tapeDeck.deleteTrack(trackNumber);
+          return MakeToolResponse(this, `Deleted track ${trackNumber}.`);
+        case 'duplicate': {
+          const copyNumber = this.#tapeDeck.duplicateTrack(trackNumber);
+          return MakeToolResponse(this, `Copied track ${trackNumber} to track ${copyNumber}.`);
+        }
+        case 'move':
+          if (args.toTrackNumber === undefined) {
+            return MakeToolResponse(this, 'Specify toTrackNumber to move a track.');
+          }
+          this.#tapeDeck.moveTrack(trackNumber, args.toTrackNumber);
+          return MakeToolResponse(this, `Moved track ${trackNumber} to ${args.toTrackNumber}.`);
+        case 'mute':
+        case 'unmute':
+          this.#tapeDeck.setMute(trackNumber, args.action === 'mute');
+          break;
+        case 'solo':
+        case 'unsolo':
+          this.#tapeDeck.setSolo(trackNumber, args.action === 'solo');
+          break;
+        default:
+          return MakeToolResponse(this, `Unknown action: ${args.action}`);
+      }
+      const audible = this.#tapeDeck.isAudible(trackNumber) ? 'heard' : 'silent';
+      return MakeToolResponse(this, `Done: ${args.action} track ${trackNumber}. It is now ${audible}.`);
+    } catch (error) {
+      console.error('Error managing track:', error);
+      return MakeToolResponse(this, `Error managing track: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * The TakeTool implementation for choosing which takes a track plays.
+ * @implements {Tool}
+ */
+export class TakeTool {
+  /** @type {FunctionDeclaration} */
+  declaration = {
+    name: 'select_take',
+    description: 'Chooses which recorded take a track plays. Every recording pass is kept as a numbered take (starting at 1), and the newest take becomes active. With a section, only that section uses the take (comping), e.g. take 2 for "Verse 1" and take 4 for "Chorus".',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        trackNumber: {
+          type: 'INTEGER',
+          description: 'The track number to modify (0-indexed).',
+        },
+        takeNumber: {
+          type: 'INTEGER',
+          description: 'The take number (1-indexed). With a section, 0 removes the comp so the section follows the active take.',
+        },
+        section: {
+          type: 'STRING',
+          description: 'The name of the song section to comp. If unspecified, sets the active take for the whole track.',
+        },
+      },
+      required: ['trackNumber', 'takeNumber'],
+    },
+  };
+
+  /** @type {TapeDeck} */
+  #tapeDeck;
+
+  /**
+   * @param {TapeDeck} tapeDeck
+   */
+  constructor(tapeDeck) {
+    this.#tapeDeck = tapeDeck;
+  }
+
+  /**
+   * @param {{trackNumber: number, takeNumber: number, section?: string}} args
+   * @returns {Promise<FunctionResponse>}
+   */
+  async run(args) {
+    try {
+      this.#tapeDeck.selectTake(args.trackNumber, args.takeNumber, args.section);
+      let responseText;
+      if (args.section) {
+        responseText = args.takeNumber === 0 ?
+          `Section "${args.section}" of track ${args.trackNumber} now follows the active take.` :
+          `Track ${args.trackNumber} plays take ${args.takeNumber} for section "${args.section}".`;
+      } else {
+        responseText = `Track ${args.trackNumber} plays take ${args.takeNumber}.`;
+      }
+      return MakeToolResponse(this, responseText);
+    } catch (error) {
+      console.error('Error selecting take:', error);
+      return MakeToolResponse(this, `Error selecting take: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * The PunchTool implementation.
+ * @implements {Tool}
+ */
+export class PunchTool {
+  /** @type {FunctionDeclaration} */
+  declaration = {
+    name: 'edit_punch',
+    description: 'Edits how a take is punched in. Each take keeps the audio it was recorded over, so its punch can be nudged earlier or later, its crossfades changed, or the punch removed (which leaves the audio it was recorded over) and later restored. This changes what the take itself plays; takes recorded after it are not affected.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        trackNumber: {
+          type: 'INTEGER',
+          description: 'The track number (0-indexed).',
+        },
+        takeNumber: {
+          type: 'INTEGER',
+          description: 'The take number (1-indexed).',
+        },
+        offsetMs: {
+          type: 'NUMBER',
+          description: 'Moves the punch this many milliseconds from where it was recorded: negative is earlier, positive is later, 0 puts it back.',
+        },
+        fadeInMs: {
+          type: 'NUMBER',
+          description: 'The length of the crossfade at the start of the punch, in milliseconds.',
+        },
+        fadeOutMs: {
+          type: 'NUMBER',
+          description: 'The length of the crossfade at the end of the punch, in milliseconds.',
+        },
+        remove: {
+          type: 'BOOLEAN',
+          description: 'True removes the punch, false restores it.',
+        },
+      },
+      required: ['trackNumber', 'takeNumber'],
+    },
+  };
+
+  /** @type {TapeDeck} */
+  #tapeDeck;
+
+  /**
+   * @param {TapeDeck} tapeDeck
+   */
+  constructor(tapeDeck) {
+    this.#tapeDeck = tapeDeck;
+  }
+
+  /**
+   * @param {{trackNumber: number, takeNumber: number, offsetMs?: number, fadeInMs?: number,
+   *   fadeOutMs?: number, remove?: boolean}} args
+   * @returns {Promise<FunctionResponse>}
+   */
+  async run(args) {
+    /** @param {number | undefined} ms */
+    const toSeconds = (ms) => ms === undefined ? undefined : ms / 1000;
+    try {
+      this.#tapeDeck.editPunch(args.trackNumber, args.takeNumber, {
+        offsetS: toSeconds(args.offsetMs),
+        fadeInS: toSeconds(args.fadeInMs),
+        fadeOutS: toSeconds(args.fadeOutMs),
+        removed: args.remove,
+      });
+      return MakeToolResponse(this, `Updated the punch of take ${args.takeNumber} on track ${args.trackNumber}.`);
+    } catch (error) {
+      console.error('Error editing punch:', error);
+      return MakeToolResponse(this, `Error editing punch: ${error.message}`);
+    }
+  }
+}
@@ -1,5 +1,7 @@
 // @ts-check
 
+import { applyFade, applyGain, dbToGain, measurePeak, measureRms, removeDC, reverse } from "./audio-processing.js";
+import { ChunkedAudio } from "./chunked-audio.js";
 import { FileData } from "./gemini-file-manager.js";
 import { GeminiFileManager } from "./gemini-file-manager.js";
 import { Mixer } from "./mixer.js";
@@ -7,7 +9,13 @@ import { RecordHandler } from "./record-handler.js";
 import { SongContext } from "./song-context.js";
 import { State } from "./state.js";
 import { Stateful } from "./stateful.js";
+import { UndoHistory } from "./undo-history.js";
 
+/**
+ * Sent when the tape starts ('play') and stops ('stop').  While it loops, a
+ * 'loop' event is also sent for each time round, a pass ahead: its
+ * `audioCtxTimeS` is when the tape gets back to `tapeTimeS`, the loop start.
+ */
 export class TransportEvent {
   /** @type {string} */
   transportAction = 'play';
@@ -15,6 +23,12 @@ export class TransportEvent {
   audioCtxTimeS = 0;
   /** @type {number} */
   tapeTimeS = 0;
+  /** @type {number} How long the count-in lasts; the tape reaches `tapeTimeS` this long after `audioCtxTimeS`. */
+  countInS = 0;
+  /** @type {boolean} Whether the pass records, rather than just playing. */
+  isRecording = false;
+  /** @type {number} Where the tape goes back round to the loop start, or -1 if it doesn't loop. */
+  loopEndS = -1;
 }
 
 export class TrackInfo {
@@ -24,6 +38,17 @@ export class TrackInfo {
   name = "";
 }
 
+/**
+ * Binds an armed track to the audio interface.  Track channel `c` records
+ * from input channel `inputChannel + c`.
+ */
+export class ArmedTrack {
+  /** @type {number} */
+  trackNumber = -1;
+  /** @type {number} The first (0-indexed) input channel of the interface to record from. */
+  inputChannel = 0;
+}
+
 export class TrackStats {
   /** @type {number} The peak absolute sample value in the track, in dB. */
   peakDB = -Infinity;
@@ -31,12 +56,22 @@ export class TrackStats {
   rmsDB = -Infinity;
   /** @type {number} The maximum RMS value found within any 2-second window of the track, in dB. */
   maxRunningRmsDB = -Infinity;
+  /** @type {number} The peak level of metronome click that leaked into the recording, in dB. -Infinity if no click played. */
+  clickBleedDB = -Infinity;
+  /** @type {boolean} Whether the leaked click was subtracted from the recording. */
+  clickBleedCancelled = false;
 
   /**
+   * Computes the statistics for a single channel of audio.
    * @param {Float32Array} samples The raw audio samples.
    * @param {number} sampleRate The sample rate of the audio.
+   * @param {ClickBleedStats} [clickBleed] The click bleed, measured when the channel was recorded.
    */
-  constructor(samples, sampleRate) {
+  constructor(samples, sampleRate, clickBleed) {
+    if (clickBleed) {
+      this.clickBleedDB = clickBleed.clickBleedDB ?? -Infinity;
+      this.clickBleedCancelled = !!clickBleed.clickBleedCancelled;
+    }
     if (!samples || samples.length === 0) {
       return;
     }
@@ -94,27 +129,164 @@ export class TrackStats {
   }
 }
 
+/**
+ * A single recording pass on a track, kept as a punch: the audio recorded
+ * over a range of the tape, laid over what the track played before the pass.
+ * Neither is modified by the other, so the punch can later be nudged,
+ * re-faded or removed.  The state holds the recorded range (`startS`, `endS`),
+ * the `offsetS` the punch has been nudged by, the crossfade lengths at its
+ * edges (`fadeInS`, `fadeOutS`) and whether it is `removed`.
+ */
+class Take {
+  /** @type {ChunkedAudio} What the track played before this take, over the whole tape. */
+  base;
+  /** @type {ChunkedAudio} The audio recorded in this take, at the tape position it was recorded at. */
+  recorded;
+  /** @type {ChunkedAudio} The base with the recording punched in.  This is what plays. */
+  audio;
+  /** @type {State} */
+  state;
+  /** @type {string} A stable identifier, used to store the take's audio. */
+  id;
+  /** @type {number} Incremented whenever the audio or punch is modified after recording. */
+  revision = 0;
+  /** @type {BaseSegment[]} Where the base was copied from, so it can be rebuilt instead of stored. */
+  baseSegments = [];
+  /**
+   * @type {{startS: number, endS: number}[]} The ranges of the base that were
+   *   copied from other takes' punches.  Those punches can change later, so
+   *   the base is stored over these ranges.
+   */
+  basePunches = [];
+
+  /**
+   * @param {ChunkedAudio} base
+   * @param {ChunkedAudio} recorded
+   * @param {State} state
+   * @param {string} [id]
+   */
+  constructor(base, recorded, state, id = crypto.randomUUID()) {
+    this.base = base;
+    this.recorded = recorded;
+    this.audio = base;
+    this.state = state;
+    this.id = id;
+  }
+
+  /** @returns {number} The 1-based take number. */
+  get takeNumber() { return this.state.getNumber('takeNumber'); }
+
+  /** @returns {number} The tape time at which the punch ends, after any nudge. */
+  get endS() { return this.state.getNumber('endS') + this.state.getNumber('offsetS'); }
+}
+
+/**
+ * The stored audio of a take: what was recorded, starting at the take's
+ * `startS`, and its base over each of its `basePunches`.  The rest of the
+ * base is not stored; it is rebuilt from the earlier takes' bases.
+ * @typedef {{recorded: Float32Array[], base: Float32Array[][]}} TakeAudio
+ */
+
+/**
+ * A range of tape time in a take's base and the take it was copied from.
+ * @typedef {{takeId: string, startS: number, endS: number}} BaseSegment
+ */
+
+/**
+ * A segment of tape time and the take that is heard during it.
+ * @typedef {{take: Take, startS: number, endS: number}} PlaybackSegment
+ */
+
+/**
+ * While loop recording, the loop range in tape frames, the pass being
+ * recorded (0-based) and the number of passes to record.
+ * @typedef {{startFrame: number, endFrame: number, pass: number, maxPasses: number}} LoopRecording
+ */
+
+/**
+ * The range and crossfades of a take's punch, as kept in its state.
+ * @typedef {{startS: number, endS: number, offsetS: number, fadeInS: number, fadeOutS: number}} Punch
+ */
+
+/**
+ * The clicks the metronome played, for finding click that leaked into a take.
+ * `renderClicks` returns the clicks over a range of audio context frames, as
+ * they left the metronome, or null if none played.
+ * @typedef {{renderClicks: (startFrame: number, frameCount: number) => Float32Array | null}} ClickReference
+ */
+
+/**
+ * The click bleed fields of `TrackStats`.  Saved stats have null for -Infinity.
+ * @typedef {{clickBleedDB: number | null, clickBleedCancelled: boolean}} ClickBleedStats
+ */
+
+/**
+ * An offline processing operation for `processTrack`.
+ * @typedef {{type: 'gain', gainDB: number}
+ *   | {type: 'fade', direction: 'in' | 'out', curve: import('./audio-processing.js').FadeCurve}
+ *   | {type: 'normalize', mode: 'peak' | 'rms', targetDB: number}
+ *   | {type: 'reverse'} | {type: 'removeDC'} | {type: 'silence'}} TrackProcess
+ */
+
 class Track {
-  /** @type {AudioBuffer} */
-  buffer;
+  /** @type {Take[]} */
+  takes = [];
   /** @type {State} */
   state;
   /** @type {GainNode} */
   gainNode;
-  /** @type {AudioBufferSourceNode | null} */
-  sourceNode = null;
+  /** @type {AudioBufferSourceNode[]} */
+  sourceNodes = [];
+  /** @type {Take | null} The take currently being recorded, if any. */
+  recordingTake = null;
 
   /**
-   * @param {AudioBuffer} buffer
    * @param {TrackInfo} info
    * @param {GainNode} gainNode
    * @param {State} state
    */
-  constructor(buffer, info, gainNode, state) {
+  constructor(info, gainNode, state) {
     this.state = state;
-    this.buffer = buffer;
     this.gainNode = gainNode;
   }
+
+  /** @returns {number} */
+  get channelCount() { return this.state.getNumber('channelCount'); }
+
+  /**
+   * Section name to take number overrides of the active take.
+   * @returns {Object<string, number>}
+   */
+  get comps() { return /** @type {any} */ (this.state.get('comps')); }
+
+  /**
+   * @param {number} takeNumber The 1-based take number.
+   * @returns {Take}
+   */
+  getTake(takeNumber) {
+    const take = this.takes[takeNumber - 1];
+    if (!take) {
+      throw new Error(`Invalid take number: ${takeNumber}`);
+    }
+    return take;
+  }
+
+  /** @returns {boolean} */
+  get muted() { return !!this.state.get('muted'); }
+
+  /** @returns {boolean} */
+  get soloed() { return !!this.state.get('soloed'); }
+
+  /** @returns {Take | null} */
+  get activeTake() {
+    const takeNumber = this.state.getNumber('activeTake');
+    return takeNumber > 0 ? this.getTake(takeNumber) : null;
+  }
+
+  /** @returns {number} The tape time at which the last take ends. */
+  get endS() {
+    return Math.max(0, ...this.takes.map(take => take.endS));
+  }
 }
 /**
  * @implements {Stateful}
@@ -135,8 +307,15 @@ export class TapeDeck {
   /** @type {SongContext} */
   #songContext;
 
-  /** @type {number} */
-  #tapeZeroFrame = -1;
+  /**
+   * The context frame at which the tape would have been at zero.  It is
+   * negative when the tape starts further in than the context has been running.
+   * @type {number}
+   */
+  #tapeZeroFrame = 0;
+
+  /** @type {boolean} */
+  #rolling = false;
 
   /** @type {number} */
   #punchInTapeFrame = -1;
@@ -146,19 +325,58 @@ export class TapeDeck {
   /** @type {number} */
   #stopTapeFrame = -1;
 
+  /** @type {LoopRecording | null} */
+  #loopRecord = null;
+
+  /** @type {ClickReference | null} */
+  #clickReference = null;
+
+  /** @type {Worker | null} Runs `click-bleed-worker.js`; started by the first check. */
+  #clickBleedWorker = null;
+
+  /** @type {Map<number, {resolve: (bleed: {bleed: ClickBleedStats[], channels: Float32Array[]}) => void, reject: (error: Error) => void}>} */
+  #clickBleedRequests = new Map();
+
+  #nextClickBleedRequest = 0;
+
+  /** @type {Set<Promise<void>>} The click bleed checks still running. */
+  #clickBleedChecks = new Set();
+
+  /** @type {{trackNumber: number, channels: Float32Array[]}[]} The audio copied by `copyRegion`. */
+  #clipboard = [];
+
+  /** @type {{startFrame: number, endFrame: number} | null} The loop, while looping playback without recording. */
+  #playLoop = null;
+
+  /** @type {number} Where the tape started rolling, in tape frames. */
+  #startTapeFrame = 0;
+
+  /** @type {number} The last pass round the loop that a 'loop' event was sent for. */
+  #announcedPass = 0;
+
   /** @type {((event: TransportEvent) => void)[]} */
   #onTransportEventCallbacks = [];
 
+  /** @type {((tapeTimeS: number) => void)[]} */
+  #onPositionCallbacks = [];
+
+  /** @type {number | null} */
+  #positionTimer = null;
+
   /** @type {(() => void)[]} */
   #resolveStops = [];
 
   /** @type {Track[]} */
   #tracks = [];
 
+  /** @type {UndoHistory} */
+  #undoHistory;
+
   /** @type {State} */
   state;
 
-  static MAX_TRACK_LENGTH_S = 60 * 5; // 5 minutes
+  static START_DELAY_S = 0.1; // Gives the metronome time to react to a transport event.
+  static POSITION_INTERVAL_MS = 100;
 
   /**
    * 
@@ -167,22 +385,121 @@ export class TapeDeck {
    * @param {Mixer} mixer
    * @param {GeminiFileManager} fileManager
    * @param {SongContext} songContext
+   * @param {UndoHistory} undoHistory
    */
-  constructor(audioCtx, recorder, mixer, fileManager, songContext) {
+  constructor(audioCtx, recorder, mixer, fileManager, songContext, undoHistory) {
     this.#audioCtx = audioCtx;
     this.#recorder = recorder;
     this.#mixer = mixer;
     this.#fileManager = fileManager;
     this.#songContext = songContext;
+    this.#undoHistory = undoHistory;
+    // Undo could remove the track or take being recorded.
+    this.#undoHistory.addGuard(() => this.isRecording ? 'Cannot undo or redo while recording.' : null);
     this.#recorder.addSampleCallback(this.#handleSamples.bind(this));
     this.state = new State({
-      armedTrack: -1,
+      armedTracks: [],
+      countInBars: 1,
+      preRollBars: 0,
+      postRollBars: 0,
+      crossfadeS: 0.01,
+      locateS: 0,
+      // Takes with click bleed above this are reported, and cancelled if asked.
+      clickBleedThresholdDB: -40,
+      cancelClickBleed: false,
     });
     this.state.addList('tracks');
   }
 
-  get armedTrack() {
-    return this.state.getNumber('armedTrack');
+  /** @returns {number} The crossfade length at each edge of new punches. */
+  get crossfadeS() { return this.state.getNumber('crossfadeS'); }
+
+  /**
+   * @param {number} crossfadeS The crossfade length at each edge of new punches.
+   */
+  setCrossfade(crossfadeS) {
+    if (!(crossfadeS >= 0)) {
+      throw new Error(`Invalid crossfade length: ${crossfadeS}`);
+    }
+    this.state.set('crossfadeS', crossfadeS);
+  }
+
+  /**
+   * @param {ClickReference} clickReference The clicks to check new takes against.
+   */
+  setClickReference(clickReference) {
+    this.#clickReference = clickReference;
+  }
+
+  /** @returns {number} Click bleed above this level, in dB, is a problem. */
+  get clickBleedThresholdDB() { return this.state.getNumber('clickBleedThresholdDB'); }
+
+  /**
+   * Sets how click leaking into new takes is handled.  Unspecified values are unchanged.
+   * @param {{thresholdDB?: number, cancel?: boolean}} options With `cancel`,
+   *   click bleed above the threshold is subtracted from new takes.
+   */
+  setClickBleedOptions({ thresholdDB, cancel }) {
+    if (thresholdDB !== undefined && !(thresholdDB <= 0)) {
+      throw new Error(`Invalid click bleed threshold: ${thresholdDB}. Must be 0 dB or less.`);
+    }
+    if (thresholdDB !== undefined) {
+      this.state.set('clickBleedThresholdDB', thresholdDB);
+    }
+    if (cancel !== undefined) {
+      this.state.set('cancelClickBleed', cancel);
+    }
+  }
+
+  /**
+   * @param {number} trackNumber
+   * @param {number} [takeNumber] If unspecified, the active take.
+   * @returns {{clickBleedDB: number, clickBleedCancelled: boolean}} The worst click bleed
+   *   over the take's channels.  -Infinity if no click played over it.
+   */
+  getClickBleed(trackNumber, takeNumber) {
+    const track = this.#tracks[trackNumber];
+    if (!track) {
+      throw new Error(`Invalid track number: ${trackNumber}`);
+    }
+    const take = takeNumber === undefined ? track.activeTake : track.getTake(takeNumber);
+    const stats = /** @type {ClickBleedStats[]} */ (take?.state.get('stats') || []);
+    return {
+      clickBleedDB: Math.max(-Infinity, ...stats.map(channel => channel.clickBleedDB ?? -Infinity)),
+      clickBleedCancelled: stats.some(channel => channel.clickBleedCancelled),
+    };
+  }
+
+  /** @returns {number} Bars of metronome before the tape starts. */
+  get countInBars() { return this.state.getNumber('countInBars'); }
+  /** @returns {number} Bars of playback before the punch-in when recording. */
+  get preRollBars() { return this.state.getNumber('preRollBars'); }
+  /** @returns {number} Bars of playback after the punch-out when recording. */
+  get postRollBars() { return this.state.getNumber('postRollBars'); }
+
+  /**
+   * Sets the count-in, pre-roll and post-roll.  Unspecified values are unchanged.
+   * @param {{countInBars?: number, preRollBars?: number, postRollBars?: number}} roll
+   */
+  setRoll({ countInBars, preRollBars, postRollBars }) {
+    const values = { countInBars, preRollBars, postRollBars };
+    for (const [key, bars] of Object.entries(values)) {
+      if (bars !== undefined && (!Number.isInteger(bars) || bars < 0)) {
+        throw new Error(`Invalid ${key}: ${bars}. Must be a whole number of bars, zero or more.`);
+      }
+    }
+    for (const [key, bars] of Object.entries(values)) {
+      if (bars !== undefined) {
+        this.state.set(key, bars);
+      }
+    }
+  }
+
+  /**
+   * @returns {ArmedTrack[]} The currently armed tracks and their input mapping.
+   */
+  get armedTracks() {
+    return /** @type {ArmedTrack[]} */ (this.state.get('armedTracks'));
   }
 
   /**
@@ -193,6 +510,15 @@ export class TapeDeck {
     this.#onTransportEventCallbacks.push(callback);
   }
 
+  /**
+   * Subscribes to the playhead position, reported every `POSITION_INTERVAL_MS`
+   * while the tape is rolling.
+   * @param {(tapeTimeS: number) => void} callback
+   */
+  onPosition(callback) {
+    this.#onPositionCallbacks.push(callback);
+  }
+
   //////////////////////
   // TRANSPORT CONTROL
   // All transport (play, record, stop) operations are specified in "tape time".  This is
@@ -200,31 +526,141 @@ export class TapeDeck {
   // this to the audio context time as appropriate.
   //////////////////////
 
+  /** @returns {boolean} True while the tape is rolling, including the count-in. */
+  get isRolling() { return this.#rolling; }
+
+  /** @returns {boolean} True while the tape is rolling to record. */
+  get isRecording() { return this.isRolling && this.#punchInTapeFrame >= 0; }
+
+  /** @returns {number} Where playback resumes from: where the tape last stopped, or was located to. */
+  get locateS() { return this.state.getNumber('locateS'); }
+
+  /**
+   * @returns {number} Where the playhead is on the tape.  It stays at the
+   *   start during the count-in, and at the stop time once playback has reached it.
+   */
+  get currentTapeTimeS() {
+    if (!this.isRolling) {
+      return this.locateS;
+    }
+    const sampleRate = this.#audioCtx.sampleRate;
+    const linearFrame = Math.round(this.#audioCtx.currentTime * sampleRate) - this.#tapeZeroFrame;
+    let frame = Math.max(this.#startTapeFrame, this.#loopTapeFrame(linearFrame));
+    if (this.#stopTapeFrame >= 0) {
+      frame = Math.min(frame, this.#stopTapeFrame);
+    }
+    return frame / sampleRate;
+  }
+
+  /**
+   * Moves the playhead.  If the tape is playing, playback restarts from
+   * there (after the count-in), to the same stop time or within the same loop.
+   * @param {number} timeS
+   */
+  locate(timeS) {
+    if (!(timeS >= 0)) {
+      throw new Error(`Invalid locate time: ${timeS}`);
+    }
+    if (this.isRecording) {
+      throw new Error('Cannot locate while recording.');
+    }
+    if (!this.isRolling) {
+      this.state.set('locateS', timeS);
+      return;
+    }
+    const sampleRate = this.#audioCtx.sampleRate;
+    const stopTimeS = this.#stopTapeFrame >= 0 ? this.#stopTapeFrame / sampleRate : -1;
+    const loop = this.#playLoop;
+    this.stop();
+    this.state.set('locateS', timeS);
+    if (loop && timeS >= loop.startFrame / sampleRate && timeS < loop.endFrame / sampleRate) {
+      this.startPlayback(timeS, loop.endFrame / sampleRate, {}, { loopStartS: loop.startFrame / sampleRate });
+    } else {
+      this.startPlayback(timeS, stopTimeS > timeS ? stopTimeS : -1);
+    }
+  }
+
+  /**
+   * Reports the position while the tape rolls.  Playback without recording
+   * has nothing else to stop it, so this also stops it at the stop time.
+   */
+  #startPositionUpdates() {
+    this.#stopPositionUpdates();
+    this.#positionTimer = setInterval(() => {
+      this.#announceLoop();
+      const tapeTimeS = this.currentTapeTimeS;
+      for (const callback of this.#onPositionCallbacks) {
+        callback(tapeTimeS);
+      }
+      if (!this.isRecording && this.#stopTapeFrame >= 0 &&
+        Math.round(tapeTimeS * this.#audioCtx.sampleRate) >= this.#stopTapeFrame) {
+        this.stop();
+      }
+    }, TapeDeck.POSITION_INTERVAL_MS);
+  }
+
+  #stopPositionUpdates() {
+    if (this.#positionTimer !== null) {
+      clearInterval(this.#positionTimer);
+      this.#positionTimer = null;
+    }
+  }
+
   #disconnect() {
     // Stop and discard all current track nodes. They are one-shot and cannot be restarted.
     for (const track of this.#tracks) {
-      if (track.sourceNode) {
-        track.sourceNode.stop();
-        track.sourceNode.disconnect();
-        track.sourceNode = null;
+      for (const sourceNode of track.sourceNodes) {
+        sourceNode.stop();
+        sourceNode.disconnect();
       }
+      track.sourceNodes = [];
     }
   }
 
   /**
-   * 
+   * Starts the tape after the count-in.  When recording, the tape starts
+   * `preRollBars` before `startTimeS` and runs `postRollBars` past `stopTimeS`,
+   * but only the punch range is recorded; outside it, armed tracks play back.
+   *
+   * Recording with a loop start is loop recording: the tape cycles from
+   * `loopStartS` to `stopTimeS`, and each complete pass becomes its own take.
+   * A pass that is interrupted by `stop()` is discarded.  Pre-roll and
+   * post-roll do not apply.
    * @param {number} startTimeS The time on the tape to start playback from.
    * @param {number} stopTimeS The time on the tape to stop playback. If -1, plays to the end.
    * @param {{punchInS?: number, punchOutS?: number}} [punchOptions]
-   * @param {{loopStartS?: number}} [loopOptions]
+   * @param {{loopStartS?: number, maxPasses?: number}} [loopOptions] When loop
+   *   recording, the tape stops after `maxPasses` passes.  If unspecified, it
+   *   loops until stopped.
    */
   startPlayback(startTimeS, stopTimeS = -1,
-    { punchInS, punchOutS } = {}, { loopStartS } = {}) {
-    const metronomeDelayS = 0.1; // 100ms delay for metronome to react.
-    const barDurationS = this.#songContext.beatsPerMeasure * 60 / this.#songContext.tempo;
-    const countInS = barDurationS;
+    { punchInS, punchOutS } = {}, { loopStartS, maxPasses } = {}) {
+    const musicalTime = this.#songContext.musicalTime;
+    const sampleRate = this.#audioCtx.sampleRate;
+
+    this.#loopRecord = null;
+    if (punchInS !== undefined && this.armedTracks.length > 0 && loopStartS !== undefined) {
+      if (stopTimeS <= loopStartS) {
+        throw new Error('Loop recording needs a stop time after the loop start.');
+      }
+      punchInS = loopStartS;
+      punchOutS = stopTimeS;
+      this.#loopRecord = {
+        startFrame: Math.round(loopStartS * sampleRate),
+        endFrame: Math.round(stopTimeS * sampleRate),
+        pass: 0,
+        maxPasses: maxPasses ?? Infinity,
+      };
+    } else if (punchInS !== undefined && this.armedTracks.length > 0) {
+      startTimeS = Math.max(0, musicalTime.addBars(startTimeS, -this.preRollBars));
+      if (stopTimeS >= 0) {
+        stopTimeS = musicalTime.addBars(stopTimeS, this.postRollBars);
+      }
+    }
+    // The count-in is at the tempo and meter where the tape starts.
+    const countInS = this.countInBars * musicalTime.getBarDurationAt(startTimeS);
 
-    const transportEventTimeS = this.#audioCtx.currentTime + metronomeDelayS;
+    const transportEventTimeS = this.#audioCtx.currentTime + TapeDeck.START_DELAY_S;
     const playbackStartTimeS = transportEventTimeS + countInS;
 
     const event = new TransportEvent();
@@ -232,56 +668,195 @@ export class TapeDeck {
     // The event is for the downbeat of the count-in.
     event.audioCtxTimeS = transportEventTimeS;
     event.tapeTimeS = startTimeS;
+    event.countInS = countInS;
 
     this.#punchInTapeFrame = punchInS !== undefined ? Math.round(punchInS * this.#audioCtx.sampleRate) : -1;
     this.#punchOutTapeFrame = punchOutS !== undefined ? Math.round(punchOutS * this.#audioCtx.sampleRate) : -1;
 
     const tapeTimeFrames = Math.round(startTimeS * this.#audioCtx.sampleRate);
     this.#tapeZeroFrame = Math.round(playbackStartTimeS * this.#audioCtx.sampleRate) - tapeTimeFrames;
+    this.#rolling = true;
+    this.#startTapeFrame = tapeTimeFrames;
+    this.#playLoop = null;
+    if (loopStartS !== undefined && !this.#loopRecord && stopTimeS > loopStartS) {
+      this.#playLoop = { startFrame: Math.round(loopStartS * sampleRate), endFrame: Math.round(stopTimeS * sampleRate) };
+    }
 
     this.#stopTapeFrame = -1;
     if (stopTimeS >= 0 && loopStartS === undefined) {
       this.#stopTapeFrame = Math.round(stopTimeS * this.#audioCtx.sampleRate);
     }
 
-    if (this.#punchInTapeFrame !== -1 && this.armedTrack === -1) {
+    if (this.#punchInTapeFrame !== -1 && this.armedTracks.length === 0) {
       console.warn('Punch-in time set but no track is armed.');
     }
-    const isRecording = this.#punchInTapeFrame !== -1 && this.armedTrack !== -1;
+    const isRecording = this.#punchInTapeFrame !== -1 && this.armedTracks.length > 0;
+    event.isRecording = isRecording;
     if (!isRecording) {
-      this.state.set('armedTrack', -1);
-    }
-    if (isRecording && loopStartS !== undefined) {
-      console.warn('Looping is not supported during recording. Ignoring loop parameters.');
+      this.disarmAll();
     }
+    const armedTrackNumbers = new Set(this.armedTracks.map(a => a.trackNumber));
     // Start new source nodes for each track.
     this.#disconnect();
     for (let i = 0; i < this.#tracks.length; i++) {
-      if (i == this.armedTrack) {
+      const track = this.#tracks[i];
+      if (armedTrackNumbers.has(i)) {
+        if (!this.#loopRecord && punchInS !== undefined) {
+          // The pre-roll and post-roll play what is on the track, as they do on the others.
+          if (punchInS > startTimeS) {
+            track.sourceNodes.push(...this.#scheduleTrack(
+              this.#audioCtx, track, track.gainNode, playbackStartTimeS, startTimeS, punchInS));
+          }
+          const endTimeS = stopTimeS >= 0 ? stopTimeS : track.endS;
+          if (punchOutS !== undefined && punchOutS > punchInS && endTimeS > punchOutS) {
+            track.sourceNodes.push(...this.#scheduleTrack(this.#audioCtx, track, track.gainNode,
+              playbackStartTimeS + punchOutS - startTimeS, punchOutS, endTimeS));
+          }
+        }
+        track.recordingTake = this.#startTake(track, punchInS ?? startTimeS);
         continue;
       }
-      const track = this.#tracks[i];
-      let durationS = stopTimeS >= 0 ? stopTimeS - startTimeS : undefined;
-      const sourceNode = this.#audioCtx.createBufferSource();
-      sourceNode.buffer = track.buffer;
-      sourceNode.connect(track.gainNode);
-      if (loopStartS !== undefined && stopTimeS >= 0 && !isRecording) {
+      if (loopStartS !== undefined && stopTimeS >= 0) {
+        // Looping needs a single buffer, so render the comped loop range into one.
+        const loopBuffer = this.#renderTrackBuffer(track, loopStartS, stopTimeS);
+        const sourceNode = this.#audioCtx.createBufferSource();
+        sourceNode.buffer = loopBuffer;
+        sourceNode.connect(track.gainNode);
         sourceNode.loop = true;
-        sourceNode.loopStart = loopStartS;
-        sourceNode.loopEnd = stopTimeS;
-        durationS = undefined;
+        sourceNode.start(playbackStartTimeS, startTimeS - loopStartS);
+        track.sourceNodes.push(sourceNode);
+        continue;
       }
-      sourceNode.start(playbackStartTimeS, startTimeS, durationS);
-      console.log('Playing: ', sourceNode);
+      const endTimeS = stopTimeS >= 0 ? stopTimeS : track.endS;
+      track.sourceNodes = this.#scheduleTrack(
+        this.#audioCtx, track, track.gainNode, playbackStartTimeS, startTimeS, endTimeS);
+    }
 
-      track.sourceNode = sourceNode;
+    const loop = this.#loopRecord || this.#playLoop;
+    event.loopEndS = loop ? loop.endFrame / sampleRate : -1;
+    this.#startPositionUpdates();
+    for (const callback of this.#onTransportEventCallbacks) {
+      callback(event);
     }
+    this.#announcedPass = 0;
+    this.#announceLoop();
+  }
+
+  /**
+   * @param {number} tapeFrame
+   * @param {number} pass How many times the tape has gone round the loop, if it loops.
+   * @returns {number} The audio context frame at which the tape is at `tapeFrame` on that pass.
+   */
+  #contextFrame(tapeFrame, pass) {
+    const loop = this.#loopRecord || this.#playLoop;
+    const loopFrames = loop ? pass * (loop.endFrame - loop.startFrame) : 0;
+    return this.#tapeZeroFrame + loopFrames + tapeFrame;
+  }
 
+  /**
+   * Once the tape is on a pass round the loop, sends the 'loop' event for
+   * the next pass, which gives the metronome a whole pass to schedule it.
+   */
+  #announceLoop() {
+    const loop = this.#loopRecord || this.#playLoop;
+    if (!loop || !this.isRolling) {
+      return;
+    }
+    const sampleRate = this.#audioCtx.sampleRate;
+    const linearFrame = Math.round(this.#audioCtx.currentTime * sampleRate) - this.#tapeZeroFrame;
+    const pass = Math.max(0, Math.floor((linearFrame - loop.startFrame) / (loop.endFrame - loop.startFrame)));
+    if (pass + 1 <= this.#announcedPass) {
+      return;
+    }
+    this.#announcedPass = pass + 1;
+    const event = new TransportEvent();
+    event.transportAction = 'loop';
+    event.audioCtxTimeS = this.#contextFrame(loop.startFrame, this.#announcedPass) / sampleRate;
+    event.tapeTimeS = loop.startFrame / sampleRate;
+    event.loopEndS = loop.endFrame / sampleRate;
     for (const callback of this.#onTransportEventCallbacks) {
       callback(event);
     }
   }
 
+  /**
+   * Starts source nodes that play a track's takes (honoring comps) for a range of tape time.
+   * @param {BaseAudioContext} ctx
+   * @param {Track} track
+   * @param {AudioNode} destination
+   * @param {number} whenS The context time at which `startS` plays.
+   * @param {number} startS
+   * @param {number} endS
+   * @returns {AudioBufferSourceNode[]}
+   */
+  #scheduleTrack(ctx, track, destination, whenS, startS, endS) {
+    const sampleRate = this.#audioCtx.sampleRate;
+    const startFrame = Math.round(startS * sampleRate);
+    const sourceNodes = [];
+    for (const segment of this.#getPlaybackSegments(track, startS, endS)) {
+      // Each chunk gets its own source node.  They start on exact frame
+      // boundaries, so consecutive chunks play back without gaps.
+      const chunks = segment.take.audio.getBuffers(
+        Math.round(segment.startS * sampleRate), Math.round(segment.endS * sampleRate));
+      for (const chunk of chunks) {
+        const sourceNode = ctx.createBufferSource();
+        sourceNode.buffer = chunk.buffer;
+        sourceNode.connect(destination);
+        sourceNode.start(whenS + (chunk.startFrame - startFrame) / sampleRate,
+          chunk.offsetFrame / sampleRate, (chunk.endFrame - chunk.startFrame) / sampleRate);
+        sourceNodes.push(sourceNode);
+      }
+    }
+    return sourceNodes;
+  }
+
+  /**
+   * Schedules every track that is heard (honoring mute and solo) into another
+   * context, e.g. an OfflineAudioContext for a bounce.  Track `i` is connected to `destinations[i]`.
+   * @param {BaseAudioContext} ctx
+   * @param {AudioNode[]} destinations One node per track.
+   * @param {number} whenS The context time at which `startS` plays.
+   * @param {number} startS The tape time to start from.
+   * @param {number} endS The tape time to stop at.
+   */
+  scheduleTracks(ctx, destinations, whenS, startS, endS) {
+    this.#tracks.forEach((track, i) => {
+      if (this.#isAudible(track)) {
+        this.#scheduleTrack(ctx, track, destinations[i], whenS, startS, endS);
+      }
+    });
+  }
+
+  /**
+   * Same as scheduleTracks, but for a single track, e.g. to bounce a stem.
+   * @param {BaseAudioContext} ctx
+   * @param {number} trackNumber
+   * @param {AudioNode} destination
+   * @param {number} whenS The context time at which `startS` plays.
+   * @param {number} startS The tape time to start from.
+   * @param {number} endS The tape time to stop at.
+   */
+  scheduleTrack(ctx, trackNumber, destination, whenS, startS, endS) {
+    if (trackNumber < 0 || trackNumber >= this.#tracks.length) {
+      throw new Error(`Invalid track number: ${trackNumber}`);
+    }
+    this.#scheduleTrack(ctx, this.#tracks[trackNumber], destination, whenS, startS, endS);
+  }
+
+  /**
+   * @returns {number} The number of tracks on the deck.
+   */
+  get trackCount() {
+    return this.#tracks.length;
+  }
+
+  /**
+   * @returns {number} The tape time at which the last recorded take ends.
+   */
+  get recordedLengthS() {
+    return Math.max(0, ...this.#tracks.map(track => track.endS));
+  }
+
   /**
    * Returns a promise that resolves when playback stops, either by calling stop()
    * or by reaching the end of the playback range.
@@ -303,17 +878,11 @@ export class TapeDeck {
     if (trackNumber < 0 || trackNumber >= this.#tracks.length) {
       throw new Error(`Invalid track number: ${trackNumber}`);
     }
-    const trackBuffer = this.#tracks[trackNumber].buffer;
-
-    const startFrame = Math.round(startTimeS * this.#audioCtx.sampleRate);
-    const stopFrame = Math.round(stopTimeS * this.#audioCtx.sampleRate);
-    const sliceLength = stopFrame - startFrame;
-
-    if (sliceLength <= 0) {
+    if (stopTimeS <= startTimeS) {
       throw new Error('Stop time must be after start time.');
     }
 
-    const audioSlice = trackBuffer.getChannelData(0).subarray(startFrame, stopFrame);
+    const audioSlice = this.#renderTrack(this.#tracks[trackNumber], startTimeS, stopTimeS);
     const displayName = `Track ${trackNumber} (${startTimeS.toFixed(2)}s-${stopTimeS.toFixed(2)}s)`;
 
     // const fileName = `track-${trackNumber}-slice.wav`;
@@ -325,143 +894,1567 @@ export class TapeDeck {
     return this.#fileManager.uploadWav(audioSlice, this.#audioCtx.sampleRate, displayName);
   }
 
+  /**
+   * Returns the audio of a track as it plays back (honoring comps), without any mixer processing.
+   * @param {number} trackNumber
+   * @param {number} startS
+   * @param {number} endS
+   * @returns {Float32Array[]} One array per track channel.
+   */
+  getTrackAudio(trackNumber, startS, endS) {
+    if (trackNumber < 0 || trackNumber >= this.#tracks.length) {
+      throw new Error(`Invalid track number: ${trackNumber}`);
+    }
+    return this.#renderTrack(this.#tracks[trackNumber], startS, endS);
+  }
+
   stop() {
     this.#disconnect();
+    this.#stopPositionUpdates();
+    const wasRolling = this.isRolling;
     const nowTimeS = this.#audioCtx.currentTime;
     const tapeTimeS = (Math.round(nowTimeS * this.#audioCtx.sampleRate) - this.#tapeZeroFrame) / this.#audioCtx.sampleRate;
     const event = new TransportEvent();
     event.transportAction = 'stop';
     event.audioCtxTimeS = nowTimeS;
-    event.tapeTimeS = tapeTimeS;
-    this.#tapeZeroFrame = -1;
+    event.tapeTimeS = this.currentTapeTimeS;
+    const recordingTracks = this.#tracks.filter(track => track.recordingTake);
+    const recordingTrackNumbers = recordingTracks.map(track => this.#tracks.indexOf(track));
+    if (this.#loopRecord) {
+      for (const track of recordingTracks) {
+        this.#discardTake(track);
+      }
+    } else {
+      this.#undoHistory.group(`Record tracks ${recordingTrackNumbers.join(', ')}`, () => {
+        for (const track of recordingTracks) {
+          this.#finishTake(track, tapeTimeS);
+        }
+      });
+    }
+    this.#loopRecord = null;
+    this.#playLoop = null;
+    this.#rolling = false;
     this.#punchInTapeFrame = -1;
     this.#punchOutTapeFrame = -1;
+    if (wasRolling) {
+      this.state.set('locateS', event.tapeTimeS);
+    }
     for (const callback of this.#onTransportEventCallbacks) {
       callback(event);
     }
     this.#resolveWaitingStops();
-    const armedTrackNumber = this.state.getNumber('armedTrack');
-    if (armedTrackNumber >= 0 && armedTrackNumber < this.#tracks.length) {
-      const track = this.#tracks[armedTrackNumber];
-      track.state.set('stats', new TrackStats(track.buffer.getChannelData(0), this.#audioCtx.sampleRate));
-    }
   }
 
-  #resolveWaitingStops() {
-    const stops = this.#resolveStops;
-    console.log('Resolving ' + stops.length + ' stops.');
-    this.#resolveStops = [];
-    for (const resolve of stops) {
-      resolve();
-    }
+  /**
+   * Computes one TrackStats per channel of the audio over a range of tape time.
+   * @param {ChunkedAudio} audio
+   * @param {number} startS
+   * @param {number} endS
+   * @param {ClickBleedStats[]} [clickBleed] Per channel.
+   * @returns {TrackStats[]}
+   */
+  #computeStats(audio, startS, endS, clickBleed = []) {
+    const startFrame = Math.max(0, Math.round(startS * audio.sampleRate));
+    const endFrame = Math.max(startFrame, Math.round(endS * audio.sampleRate));
+    return audio.read(startFrame, endFrame).map((samples, c) => new TrackStats(samples, audio.sampleRate, clickBleed[c]));
   }
 
   /**
-   * Arms a track for recording. Creates tracks if they don't exist.
-   * @param {number | null | undefined} trackNumber The track to arm.
+   * Measures the metronome click that leaked into a take just recorded, by
+   * correlating each channel with the clicks that played over it, and
+   * subtracts it if asked and it is over the threshold.  The correlation
+   * takes seconds on a long take, so it runs in a worker; when it is done the
+   * take's stats get the bleed and, if it was cancelled and the take hasn't
+   * been edited since, its audio is redone.
+   * @param {Take} take
+   * @param {number} startS
+   * @param {number} endS
    */
-  arm(trackNumber) {
-    if (trackNumber === null || trackNumber === undefined) {
-      trackNumber = this.#tracks.length;
+  #checkClickBleed(take, startS, endS) {
+    const sampleRate = this.#audioCtx.sampleRate;
+    const startFrame = Math.round(startS * sampleRate);
+    const frameCount = Math.round(endS * sampleRate) - startFrame;
+    if (!this.#clickReference || frameCount <= 0) {
+      return;
     }
-    while (this.#tracks.length <= trackNumber) {
-      this.#addTrack();
+    // The metronome clicks each pass round the loop in time with the tape.
+    const clicks = this.#clickReference.renderClicks(
+      this.#contextFrame(startFrame, this.#loopRecord?.pass ?? 0), frameCount);
+    if (!clicks) {
+      return;
     }
-    this.state.set('armedTrack', trackNumber);
-    console.log(`Track ${trackNumber} armed.`);
-    return trackNumber;
+    const revision = take.revision;
+    const check = this.#requestClickBleed({
+      channels: take.recorded.read(startFrame, startFrame + frameCount),
+      clicks,
+      sampleRate,
+      cancel: !!this.state.get('cancelClickBleed'),
+      thresholdDB: this.clickBleedThresholdDB,
+    }).then(({ bleed, channels }) => {
+      if (take.revision !== revision) {
+        // The take was edited while it was checked, so the audio the click
+        // was cancelled from is gone; only the measurement is kept.
+        bleed = bleed.map(channel => ({ ...channel, clickBleedCancelled: false }));
+      } else if (bleed.some(channel => channel.clickBleedCancelled)) {
+        take.recorded.write(startFrame, channels);
+        this.#renderPunch(take);
+        take.revision++;
+      }
+      take.state.set('stats', this.#computeStats(take.recorded,
+        take.state.getNumber('startS'), take.state.getNumber('endS'), bleed));
+    }).catch((error) => {
+      console.error('Error checking click bleed:', error);
+    }).finally(() => {
+      this.#clickBleedChecks.delete(check);
+    });
+    this.#clickBleedChecks.add(check);
   }
 
   /**
-   * 
-   * @param {number} trackNumber 
-   * @param {string} name 
+   * Sends a take to the click bleed worker.
+   * @param {{channels: Float32Array[], clicks: Float32Array, sampleRate: number, cancel: boolean, thresholdDB: number}} request
+   * @returns {Promise<{bleed: ClickBleedStats[], channels: Float32Array[]}>}
    */
-  setTrackName(trackNumber, name) {
-    if (trackNumber < 0 || trackNumber >= this.#tracks.length) {
-      throw new Error(`Invalid track number: ${trackNumber}`);
+  #requestClickBleed(request) {
+    if (!this.#clickBleedWorker) {
+      const worker = new Worker('click-bleed-worker.js', { type: 'module' });
+      worker.onmessage = (event) => {
+        const { id, bleed, channels } = event.data;
+        this.#clickBleedRequests.get(id)?.resolve({ bleed, channels });
+        this.#clickBleedRequests.delete(id);
+      };
+      worker.onerror = (event) => {
+        for (const { reject } of this.#clickBleedRequests.values()) {
+          reject(new Error(event.message));
+        }
+        this.#clickBleedRequests.clear();
+      };
+      this.#clickBleedWorker = worker;
     }
-    this.#tracks[trackNumber].state.set('name', name);
+    const id = this.#nextClickBleedRequest++;
+    const worker = this.#clickBleedWorker;
+    return new Promise((resolve, reject) => {
+      this.#clickBleedRequests.set(id, { resolve, reject });
+      worker.postMessage({ id, ...request },
+        [...request.channels.map(samples => samples.buffer), request.clicks.buffer]);
+    });
   }
 
   /**
-   * 
-   * @param {number} trackNumber 
+   * Returns a promise that resolves when the click bleed of every finished
+   * take has been checked, e.g. before reporting it.
+   * @returns {Promise<void>}
    */
-  getTrackName(trackNumber) {
-    if (trackNumber < 0 || trackNumber >= this.#tracks.length) {
-      throw new Error(`Invalid track number: ${trackNumber}`);
-    }
-    return this.#tracks[trackNumber].state.get('name');
+  async waitForClickBleedChecks() {
+    await Promise.all(this.#clickBleedChecks);
   }
 
-  #addTrack() {
-    const newTrackIndex = this.#tracks.length;
-    const trackLength = this.#audioCtx.sampleRate * TapeDeck.MAX_TRACK_LENGTH_S;
-    // 1 = mono track
-    const buffer = this.#audioCtx.createBuffer(1, trackLength, this.#audioCtx.sampleRate);
-    const gainNode = this.#audioCtx.createGain();
-    this.#mixer.patch(gainNode, newTrackIndex);
-    const trackInfo = { trackNumber: newTrackIndex, name: "" };
-    const trackState = new State({
-      info: trackInfo,
+  /**
+   * Creates a new take for a recording pass.  Its base is a copy of what the
+   * track currently plays (sharing its chunks), so audio around and under
+   * the punch is kept.
+   * @param {Track} track
+   * @param {number} startS The tape time where recording starts.
+   * @returns {Take}
+   */
+  #startTake(track, startS) {
+    const sampleRate = this.#audioCtx.sampleRate;
+    const segments = this.#getPlaybackSegments(track, 0, track.endS);
+    const takeState = new State({
+      takeNumber: track.takes.length + 1,
+      startS,
+      endS: startS,
+      offsetS: 0,
+      fadeInS: this.crossfadeS,
+      fadeOutS: this.crossfadeS,
+      removed: false,
       stats: null,
     });
-    const track = new Track(buffer, trackInfo, gainNode, trackState);
-    this.#tracks.push(track);
-    this.state.getList('tracks').add(trackState);
-    // Note: We don't create the source node here because they are one-shot and must be created at playback time.
+    const take = new Take(this.#buildBase(track.channelCount, segments),
+      new ChunkedAudio(track.channelCount, sampleRate), takeState);
+    take.baseSegments = segments.map(({ take, startS, endS }) => ({ takeId: take.id, startS, endS }));
+    for (const { take: source, startS: segmentStartS, endS: segmentEndS } of segments) {
+      if (source.state.get('removed')) {
+        continue;
+      }
+      // The frames `#renderPunch` wrote the source's punch to.
+      const recordedFrame = Math.round(source.state.getNumber('startS') * sampleRate);
+      const punchFrame = recordedFrame + Math.round(source.state.getNumber('offsetS') * sampleRate);
+      const punchEndFrame = punchFrame + Math.round(source.state.getNumber('endS') * sampleRate) - recordedFrame;
+      const startFrame = Math.max(0, punchFrame, Math.round(segmentStartS * sampleRate));
+      const endFrame = Math.min(punchEndFrame, Math.round(segmentEndS * sampleRate));
+      if (endFrame > startFrame) {
+        take.basePunches.push({ startS: startFrame / sampleRate, endS: endFrame / sampleRate });
+      }
+    }
+    track.takes.push(take);
+    track.state.getList('takes').add(takeState);
+    return take;
+  }
+
+  /**
+   * Builds a take's base from what other takes play, sharing their chunks.
+   * @param {number} channelCount
+   * @param {PlaybackSegment[]} segments
+   * @param {'audio' | 'base'} [layer] Whether to copy what the takes play, or
+   *   what is under their punches.
+   * @returns {ChunkedAudio}
+   */
+  #buildBase(channelCount, segments, layer = 'audio') {
+    const sampleRate = this.#audioCtx.sampleRate;
+    const base = new ChunkedAudio(channelCount, sampleRate);
+    for (const segment of segments) {
+      base.copyFrom(segment.take[layer],
+        Math.round(segment.startS * sampleRate), Math.round(segment.endS * sampleRate));
+    }
+    return base;
+  }
+
+  /**
+   * Completes the take being recorded on a track, making it the active take.
+   * @param {Track} track
+   * @param {number} stopTapeTimeS The tape time at which the transport stopped.
+   * @param {{description?: string, recorded?: boolean}} [options] The
+   *   description is for the undo history.  Takes that weren't recorded with
+   *   the metronome, e.g. imported audio, aren't checked for click bleed.
+   */
+  #finishTake(track, stopTapeTimeS, { description, recorded = true } = {}) {
+    const take = track.recordingTake;
+    if (!take) {
+      return;
+    }
+    track.recordingTake = null;
+    const startS = take.state.getNumber('startS');
+    let endS = stopTapeTimeS;
+    if (this.#punchOutTapeFrame >= 0) {
+      endS = Math.min(endS, this.#punchOutTapeFrame / this.#audioCtx.sampleRate);
+    }
+    endS = Math.max(startS, endS);
+    take.state.set('endS', endS);
+    take.state.set('stats', this.#computeStats(take.recorded, startS, endS));
+    this.#renderPunch(take);
+    if (recorded) {
+      this.#checkClickBleed(take, startS, endS);
+    }
+
+    // Comps over the recorded range would hide the new take.
+    const comps = { ...track.comps };
+    for (const sectionName of Object.keys(comps)) {
+      const section = this.#findSection(sectionName);
+      if (!section || (section.startTimeS < endS && section.startTimeS + section.durationS > startS)) {
+        delete comps[sectionName];
+      }
+    }
+    const previous = { activeTake: track.state.getNumber('activeTake'), comps: track.comps };
+    this.#setTakeSelection(track, take.takeNumber, comps);
+
+    // Undoing a take only drops the reference to its buffer; nothing is copied.
+    this.#undoHistory.push({
+      description: description || `Record take ${take.takeNumber} on track ${this.#tracks.indexOf(track)}`,
+      undo: () => {
+        track.takes.splice(track.takes.indexOf(take), 1);
+        track.state.getList('takes').remove(take.state);
+        this.#setTakeSelection(track, previous.activeTake, previous.comps);
+      },
+      redo: () => {
+        track.takes.push(take);
+        track.state.getList('takes').add(take.state);
+        this.#setTakeSelection(track, take.takeNumber, comps);
+      },
+    });
+  }
+
+  /**
+   * Drops the take being recorded on a track without keeping it.
+   * @param {Track} track
+   */
+  #discardTake(track) {
+    const take = track.recordingTake;
+    if (!take) {
+      return;
+    }
+    track.recordingTake = null;
+    track.takes.splice(track.takes.indexOf(take), 1);
+    track.state.getList('takes').remove(take.state);
+  }
+
+  /**
+   * Rebuilds what a take plays: its base, with the recorded range laid over it
+   * (moved by the nudge offset) and crossfaded with the base at both edges.
+   * The fades are inside the punch, so nothing outside it changes.
+   * @param {Take} take
+   */
+  #renderPunch(take) {
+    const sampleRate = this.#audioCtx.sampleRate;
+    const audio = new ChunkedAudio(take.base.channelCount, sampleRate);
+    audio.copyFrom(take.base, 0, take.base.length);
+    const startFrame = Math.round(take.state.getNumber('startS') * sampleRate);
+    const frameCount = Math.round(take.state.getNumber('endS') * sampleRate) - startFrame;
+    if (take.state.get('removed') || frameCount <= 0) {
+      take.audio = audio;
+      return;
+    }
+
+    const punchFrame = startFrame + Math.round(take.state.getNumber('offsetS') * sampleRate);
+    const punch = take.recorded.read(startFrame, startFrame + frameCount);
+    const under = take.base.read(punchFrame, punchFrame + frameCount);
+    const fadeInFrames = Math.min(Math.round(take.state.getNumber('fadeInS') * sampleRate), Math.floor(frameCount / 2));
+    const fadeOutFrames = Math.min(Math.round(take.state.getNumber('fadeOutS') * sampleRate), Math.floor(frameCount / 2));
+    for (let c = 0; c < punch.length; c++) {
+      // Equal-power crossfades.
+      for (let i = 0; i < fadeInFrames; i++) {
+        const angle = (i + 0.5) / fadeInFrames * Math.PI / 2;
+        punch[c][i] = punch[c][i] * Math.sin(angle) + under[c][i] * Math.cos(angle);
+      }
+      for (let i = frameCount - fadeOutFrames; i < frameCount; i++) {
+        const angle = (frameCount - i - 0.5) / fadeOutFrames * Math.PI / 2;
+        punch[c][i] = punch[c][i] * Math.sin(angle) + under[c][i] * Math.cos(angle);
+      }
+    }
+    // A punch nudged before tape zero loses the part that would be before it.
+    const skipFrames = Math.max(0, -punchFrame);
+    audio.write(punchFrame + skipFrames, punch.map(channel => channel.subarray(skipFrames)));
+    take.audio = audio;
+  }
+
+  /**
+   * @param {Track} track
+   * @param {number} activeTake
+   * @param {Object<string, number>} comps
+   */
+  #setTakeSelection(track, activeTake, comps) {
+    track.state.set('comps', comps);
+    track.state.set('activeTake', activeTake);
+  }
+
+  /**
+   * @param {string} sectionName
+   * @returns {import('./song-context.js').SectionContext | null}
+   */
+  #findSection(sectionName) {
+    try {
+      return this.#songContext.getSection(sectionName);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Splits a range of tape time into the takes that should be heard, honoring section comps.
+   * Ranges with no take (e.g. a track that has never been recorded) are omitted.
+   * @param {Track} track
+   * @param {number} startS
+   * @param {number} endS
+   * @returns {PlaybackSegment[]}
+   */
+  #getPlaybackSegments(track, startS, endS) {
+    /** @type {{take: Take, startS: number, endS: number}[]} */
+    const compRanges = [];
+    for (const [sectionName, takeNumber] of Object.entries(track.comps)) {
+      const section = this.#findSection(sectionName);
+      if (!section || !track.takes[takeNumber - 1]) {
+        continue;
+      }
+      compRanges.push({
+        take: track.getTake(takeNumber),
+        startS: section.startTimeS,
+        endS: section.startTimeS + section.durationS,
+      });
+    }
+    compRanges.sort((a, b) => a.startS - b.startS);
+
+    /** @type {{take: Take | null, startS: number, endS: number}[]} */
+    const segments = [];
+    const activeTake = track.activeTake;
+    let timeS = startS;
+    for (const comp of compRanges) {
+      if (comp.endS <= timeS || comp.startS >= endS) {
+        continue;
+      }
+      if (comp.startS > timeS) {
+        segments.push({ take: activeTake, startS: timeS, endS: comp.startS });
+      }
+      const compEndS = Math.min(endS, comp.endS);
+      segments.push({ take: comp.take, startS: Math.max(timeS, comp.startS), endS: compEndS });
+      timeS = compEndS;
+    }
+    if (timeS < endS) {
+      segments.push({ take: activeTake, startS: timeS, endS });
+    }
+    return /** @type {PlaybackSegment[]} */ (segments.filter(segment => segment.take !== null));
+  }
+
+  /**
+   * Renders what the track plays over a range of tape time, honoring comps.
+   * @param {Track} track
+   * @param {number} startS
+   * @param {number} endS
+   * @returns {Float32Array[]} One array per track channel.
+   */
+  #renderTrack(track, startS, endS) {
+    const sampleRate = this.#audioCtx.sampleRate;
+    const startFrame = Math.round(startS * sampleRate);
+    const frameCount = Math.round(endS * sampleRate) - startFrame;
+    const channels = [];
+    for (let c = 0; c < track.channelCount; c++) {
+      channels.push(new Float32Array(frameCount));
+    }
+    for (const segment of this.#getPlaybackSegments(track, startS, endS)) {
+      const segmentStartFrame = Math.round(segment.startS * sampleRate);
+      const segmentEndFrame = Math.round(segment.endS * sampleRate);
+      segment.take.audio.read(segmentStartFrame, segmentEndFrame, channels, segmentStartFrame - startFrame);
+    }
+    return channels;
+  }
+
+  /**
+   * Same as #renderTrack, but returns an AudioBuffer suitable for playback.
+   * @param {Track} track
+   * @param {number} startS
+   * @param {number} endS
+   * @returns {AudioBuffer}
+   */
+  #renderTrackBuffer(track, startS, endS) {
+    const channels = this.#renderTrack(track, startS, endS);
+    const buffer = this.#audioCtx.createBuffer(
+      track.channelCount, channels[0].length, this.#audioCtx.sampleRate);
+    for (let c = 0; c < channels.length; c++) {
+      buffer.copyToChannel(channels[c], c);
+    }
+    return buffer;
+  }
+
+  #resolveWaitingStops() {
+    const stops = this.#resolveStops;
+    console.log('Resolving ' + stops.length + ' stops.');
+    this.#resolveStops = [];
+    for (const resolve of stops) {
+      resolve();
+    }
+  }
+
+  /**
+   * Arms a track for recording, adding it to the set of armed tracks. Creates tracks if they don't exist.
+   * @param {number | null | undefined} trackNumber The track to arm.
+   * @param {{channelCount?: number, inputChannel?: number}} [options]
+   *   `channelCount` is the number of channels for newly created tracks (1 = mono, 2 = stereo);
+   *   existing tracks keep their layout.  `inputChannel` is the first interface input to record from.
+   * @returns {number} The armed track number.
+   */
+  arm(trackNumber, { channelCount = 1, inputChannel = 0 } = {}) {
+    if (!Number.isInteger(inputChannel) || inputChannel < 0) {
+      throw new Error(`Invalid input channel: ${inputChannel}`);
+    }
+    if (trackNumber === null || trackNumber === undefined) {
+      trackNumber = this.#tracks.length;
+    }
+    const trackChannelCount = trackNumber < this.#tracks.length ?
+      this.#tracks[trackNumber].channelCount : channelCount;
+    const inputCount = this.#recorder.inputChannelCount;
+    if (inputChannel + trackChannelCount > inputCount) {
+      const needed = trackChannelCount === 1 ? `input ${inputChannel}` :
+        `inputs ${inputChannel} to ${inputChannel + trackChannelCount - 1}`;
+      throw new Error(`Track ${trackNumber} needs ${needed}, but the audio input ` +
+        `has ${inputCount} channel${inputCount === 1 ? '' : 's'} (numbered from 0).`);
+    }
+    while (this.#tracks.length <= trackNumber) {
+      this.#addTrack(channelCount);
+    }
+    const armedTracks = this.armedTracks.filter(a => a.trackNumber !== trackNumber);
+    armedTracks.push({ trackNumber, inputChannel });
+    armedTracks.sort((a, b) => a.trackNumber - b.trackNumber);
+    this.state.set('armedTracks', armedTracks);
+    console.log(`Track ${trackNumber} armed on input ${inputChannel}.`);
+    return trackNumber;
+  }
+
+  /**
+   * Removes a track from the set of armed tracks.
+   * @param {number} trackNumber
+   */
+  disarm(trackNumber) {
+    this.state.set('armedTracks', this.armedTracks.filter(a => a.trackNumber !== trackNumber));
+  }
+
+  disarmAll() {
+    if (this.armedTracks.length > 0) {
+      this.state.set('armedTracks', []);
+    }
+  }
+
+  /**
+   * 
+   * @param {number} trackNumber 
+   * @param {string} name 
+   */
+  setTrackName(trackNumber, name) {
+    if (trackNumber < 0 || trackNumber >= this.#tracks.length) {
+      throw new Error(`Invalid track number: ${trackNumber}`);
+    }
+    const trackState = this.#tracks[trackNumber].state;
+    const previousName = trackState.get('name') || '';
+    trackState.set('name', name);
+    this.#undoHistory.push({
+      description: `Rename track ${trackNumber} to "${name}"`,
+      undo: () => trackState.set('name', previousName),
+      redo: () => trackState.set('name', name),
+    });
+  }
+
+  /**
+   * 
+   * @param {number} trackNumber 
+   */
+  getTrackName(trackNumber) {
+    if (trackNumber < 0 || trackNumber >= this.#tracks.length) {
+      throw new Error(`Invalid track number: ${trackNumber}`);
+    }
+    return this.#tracks[trackNumber].state.get('name');
+  }
+
+  //////////////////////
+  // TRACK MANAGEMENT
+  // Track `i` plays through mixer channel `i`, so the channel strip moves
+  // with its track.  Armed tracks follow their track too.
+  //////////////////////
+
+  /**
+   * Deletes a track and its mixer channel.  Later tracks move down by one.
+   * @param {number} trackNumber
+   */
+  deleteTrack(trackNumber) {
+    this.#checkTrackChange(trackNumber);
+    const track = this.#tracks[trackNumber];
+    const name = track.state.get('name');
+    const channelJSON = this.#removeTrack(trackNumber);
+    this.#undoHistory.push({
+      description: `Delete track ${trackNumber}${name ? ` ("${name}")` : ''}`,
+      undo: () => this.#insertTrack(trackNumber, track, channelJSON),
+      redo: () => this.#removeTrack(trackNumber),
+    });
+  }
+
+  /**
+   * Copies a track, with all of its takes and its mixer settings, to a new
+   * track right after it.  The copy shares audio with the original until either is edited.
+   * @param {number} trackNumber
+   * @returns {number} The track number of the copy.
+   */
+  duplicateTrack(trackNumber) {
+    this.#checkTrackChange(trackNumber);
+    const track = this.#tracks[trackNumber];
+    const copyNumber = trackNumber + 1;
+    const copy = this.#createTrack(track.channelCount, copyNumber);
+    const name = track.state.get('name');
+    copy.state.set('name', name ? `${name} (copy)` : '');
+    copy.state.set('muted', track.muted);
+    copy.state.set('soloed', track.soloed);
+    /** @type {Map<string, string>} The id of each copied take, by the original's. */
+    const copyIds = new Map();
+    for (const take of track.takes) {
+      const takeCopy = new Take(take.base.clone(), take.recorded.clone(), new State(take.state.getJSON()));
+      takeCopy.audio = take.audio.clone();
+      copyIds.set(take.id, takeCopy.id);
+      takeCopy.baseSegments = take.baseSegments.map(segment =>
+        ({ ...segment, takeId: copyIds.get(segment.takeId) || segment.takeId }));
+      takeCopy.basePunches = take.basePunches;
+      copy.takes.push(takeCopy);
+      copy.state.getList('takes').add(takeCopy.state);
+    }
+    this.#setTakeSelection(copy, track.state.getNumber('activeTake'), { ...track.comps });
+    const channelJSON = this.#mixer.getChannel(trackNumber).getJSON();
+    this.#insertTrack(copyNumber, copy, channelJSON);
+    this.#undoHistory.push({
+      description: `Duplicate track ${trackNumber}`,
+      undo: () => this.#removeTrack(copyNumber),
+      redo: () => this.#insertTrack(copyNumber, copy, channelJSON),
+    });
+    return copyNumber;
+  }
+
+  /**
+   * Moves a track to another position; the tracks in between shift by one.
+   * @param {number} trackNumber
+   * @param {number} toTrackNumber The position the track ends up at.
+   */
+  moveTrack(trackNumber, toTrackNumber) {
+    this.#checkTrackChange(trackNumber);
+    this.#checkTrackChange(toTrackNumber);
+    if (toTrackNumber === trackNumber) {
+      return;
+    }
+    const move = (/** @type {number} */ from, /** @type {number} */ to) => {
+      const track = this.#tracks[from];
+      this.#insertTrack(to, track, this.#removeTrack(from));
+    };
+    move(trackNumber, toTrackNumber);
+    this.#undoHistory.push({
+      description: `Move track ${trackNumber} to ${toTrackNumber}`,
+      undo: () => move(toTrackNumber, trackNumber),
+      redo: () => move(trackNumber, toTrackNumber),
+    });
+  }
+
+  /**
+   * @param {number} trackNumber
+   * @param {boolean} muted
+   */
+  setMute(trackNumber, muted) {
+    this.#setTrackFlag(trackNumber, 'muted', muted,
+      `${muted ? 'Mute' : 'Unmute'} track ${trackNumber}`);
+  }
+
+  /**
+   * Solos a track in place: while any track is soloed, only soloed tracks are
+   * heard, through their own channel settings and sends.
+   * @param {number} trackNumber
+   * @param {boolean} soloed
+   */
+  setSolo(trackNumber, soloed) {
+    this.#setTrackFlag(trackNumber, 'soloed', soloed,
+      `${soloed ? 'Solo' : 'Unsolo'} track ${trackNumber}`);
+  }
+
+  /**
+   * @param {number} trackNumber
+   * @returns {boolean} True if the track is heard, given mutes and solos.
+   */
+  isAudible(trackNumber) {
+    if (trackNumber < 0 || trackNumber >= this.#tracks.length) {
+      throw new Error(`Invalid track number: ${trackNumber}`);
+    }
+    return this.#isAudible(this.#tracks[trackNumber]);
+  }
+
+  /**
+   * @param {Track} track
+   * @returns {boolean}
+   */
+  #isAudible(track) {
+    if (track.muted) {
+      return false;
+    }
+    return track.soloed || !this.#tracks.some(t => t.soloed);
+  }
+
+  /**
+   * @param {number} trackNumber
+   * @param {'muted' | 'soloed'} flag
+   * @param {boolean} value
+   * @param {string} description
+   */
+  #setTrackFlag(trackNumber, flag, value, description) {
+    if (trackNumber < 0 || trackNumber >= this.#tracks.length) {
+      throw new Error(`Invalid track number: ${trackNumber}`);
+    }
+    const trackState = this.#tracks[trackNumber].state;
+    const previous = !!trackState.get(flag);
+    if (previous === value) {
+      return;
+    }
+    const apply = (/** @type {boolean} */ v) => {
+      trackState.set(flag, v);
+      this.#updateTrackGains();
+    };
+    apply(value);
+    this.#undoHistory.push({
+      description,
+      undo: () => apply(previous),
+      redo: () => apply(value),
+    });
+  }
+
+  /**
+   * Silences the tracks that are muted, or not soloed while others are.
+   */
+  #updateTrackGains() {
+    for (const track of this.#tracks) {
+      track.gainNode.gain.setTargetAtTime(
+        this.#isAudible(track) ? 1 : 0, this.#audioCtx.currentTime, 0.01);
+    }
+  }
+
+  /**
+   * @param {number} trackNumber
+   */
+  #checkTrackChange(trackNumber) {
+    if (!Number.isInteger(trackNumber) || trackNumber < 0 || trackNumber >= this.#tracks.length) {
+      throw new Error(`Invalid track number: ${trackNumber}`);
+    }
+    if (this.#tracks.some(track => track.recordingTake)) {
+      throw new Error('Cannot change tracks while recording.');
+    }
+  }
+
+  /**
+   * Takes a track and its mixer channel out of the deck.
+   * @param {number} trackNumber
+   * @returns {any} The settings of the track's mixer channel.
+   */
+  #removeTrack(trackNumber) {
+    const track = this.#tracks[trackNumber];
+    this.#updateTrackPositions(() => {
+      this.#tracks.splice(trackNumber, 1);
+      this.state.getList('tracks').remove(track.state);
+    });
+    track.gainNode.disconnect();
+    return this.#mixer.removeChannel(trackNumber);
+  }
+
+  /**
+   * Puts a track back into the deck, with a new mixer channel.
+   * @param {number} trackNumber
+   * @param {Track} track
+   * @param {any} channelJSON The settings of the track's mixer channel.
+   */
+  #insertTrack(trackNumber, track, channelJSON) {
+    this.#mixer.insertChannel(trackNumber, channelJSON);
+    this.#mixer.patch(track.gainNode, trackNumber);
+    this.#updateTrackPositions(() => {
+      this.#tracks.splice(trackNumber, 0, track);
+      this.state.getList('tracks').insert(trackNumber, track.state);
+    });
+  }
+
+  /**
+   * Changes the list of tracks, then renumbers the tracks and the armed
+   * tracks to match.  Armed tracks that are gone are disarmed.
+   * @param {() => void} change
+   */
+  #updateTrackPositions(change) {
+    const armed = this.armedTracks.map(({ trackNumber, inputChannel }) =>
+      ({ track: this.#tracks[trackNumber], inputChannel }));
+    change();
+    this.#tracks.forEach((track, trackNumber) => {
+      const info = /** @type {TrackInfo} */ (track.state.get('info'));
+      if (info.trackNumber !== trackNumber) {
+        track.state.set('info', /** @type {any} */ ({ ...info, trackNumber }));
+      }
+    });
+    this.state.set('armedTracks', /** @type {any} */ (armed
+      .map(({ track, inputChannel }) => ({ trackNumber: this.#tracks.indexOf(track), inputChannel }))
+      .filter(a => a.trackNumber >= 0)
+      .sort((a, b) => a.trackNumber - b.trackNumber)));
+    this.#updateTrackGains();
+  }
+
+  /**
+   * Changes a take's punch: nudges it along the tape, changes its crossfades,
+   * or removes (or restores) it, leaving the audio it was recorded over.
+   * Unspecified values are unchanged.
+   * @param {number} trackNumber
+   * @param {number} takeNumber
+   * @param {{offsetS?: number, fadeInS?: number, fadeOutS?: number, removed?: boolean}} punch
+   *   `offsetS` is relative to where the take was recorded.
+   */
+  editPunch(trackNumber, takeNumber, punch) {
+    if (trackNumber < 0 || trackNumber >= this.#tracks.length) {
+      throw new Error(`Invalid track number: ${trackNumber}`);
+    }
+    const track = this.#tracks[trackNumber];
+    const take = track.getTake(takeNumber);
+    if (take === track.recordingTake) {
+      throw new Error(`Take ${takeNumber} is still being recorded.`);
+    }
+    for (const key of ['fadeInS', 'fadeOutS']) {
+      if (punch[key] !== undefined && !(punch[key] >= 0)) {
+        throw new Error(`Invalid ${key}: ${punch[key]}`);
+      }
+    }
+    if (punch.offsetS !== undefined && take.state.getNumber('startS') + punch.offsetS < 0) {
+      throw new Error('The punch cannot be moved before the start of the tape.');
+    }
+
+    /** @type {Object<string, number | boolean>} */
+    const previous = {};
+    /** @type {Object<string, number | boolean>} */
+    const next = {};
+    for (const [key, value] of Object.entries(punch)) {
+      if (value !== undefined) {
+        previous[key] = key === 'removed' ? !!take.state.get(key) : take.state.getNumber(key);
+        next[key] = value;
+      }
+    }
+    const apply = (/** @type {Object<string, number | boolean>} */ values) => {
+      for (const [key, value] of Object.entries(values)) {
+        take.state.set(key, value);
+      }
+      this.#renderPunch(take);
+      take.revision++;
+    };
+    apply(next);
+    this.#undoHistory.push({
+      description: punch.removed ? `Remove the punch of take ${takeNumber} on track ${trackNumber}` :
+        `Edit the punch of take ${takeNumber} on track ${trackNumber}`,
+      undo: () => apply(previous),
+      redo: () => apply(next),
+    });
+  }
+
+  /**
+   * @param {number} trackNumber
+   * @returns {number} The number of takes on the track.
+   */
+  getTakeCount(trackNumber) {
+    if (trackNumber < 0 || trackNumber >= this.#tracks.length) {
+      throw new Error(`Invalid track number: ${trackNumber}`);
+    }
+    return this.#tracks[trackNumber].takes.length;
+  }
+
+  /**
+   * @param {number} trackNumber
+   * @returns {number} The number of channels in the track.
+   */
+  getTrackChannelCount(trackNumber) {
+    if (trackNumber < 0 || trackNumber >= this.#tracks.length) {
+      throw new Error(`Invalid track number: ${trackNumber}`);
+    }
+    return this.#tracks[trackNumber].channelCount;
+  }
+
+  /**
+   * Selects the take a track plays.  With a section, only that section uses
+   * the take (a comp); everywhere else the active take is heard.
+   * @param {number} trackNumber
+   * @param {number} takeNumber The 1-based take number, or 0 to remove a section's comp.
+   * @param {string} [sectionName]
+   */
+  selectTake(trackNumber, takeNumber, sectionName) {
+    if (trackNumber < 0 || trackNumber >= this.#tracks.length) {
+      throw new Error(`Invalid track number: ${trackNumber}`);
+    }
+    const track = this.#tracks[trackNumber];
+    const previous = { activeTake: track.state.getNumber('activeTake'), comps: track.comps };
+    let activeTake = previous.activeTake;
+    const comps = { ...track.comps };
+    if (sectionName) {
+      // Throws if the section does not exist.
+      this.#songContext.getSection(sectionName);
+      if (takeNumber === 0) {
+        delete comps[sectionName];
+      } else {
+        track.getTake(takeNumber);
+        comps[sectionName] = takeNumber;
+      }
+    } else {
+      track.getTake(takeNumber);
+      activeTake = takeNumber;
+    }
+    this.#setTakeSelection(track, activeTake, comps);
+    this.#undoHistory.push({
+      description: sectionName ?
+        `Select take ${takeNumber} for "${sectionName}" on track ${trackNumber}` :
+        `Select take ${takeNumber} on track ${trackNumber}`,
+      undo: () => this.#setTakeSelection(track, previous.activeTake, previous.comps),
+      redo: () => this.#setTakeSelection(track, activeTake, comps),
+    });
+  }
+
+  //////////////////////
+  // REGION EDITING
+  // Edits apply to every take of a track, like editing the tape itself, so
+  // the takes stay in time with each other and with the song.
+  //////////////////////
+
+  /**
+   * Throws if the tracks can't be edited now: takes are being recorded on
+   * them.  Callers that change the song along with the tape check this first.
+   */
+  checkEditable() {
+    if (this.#tracks.some(track => track.recordingTake)) {
+      throw new Error('Cannot edit while recording.');
+    }
+  }
+
+  /**
+   * Copies what tracks play over a range of tape time to the clipboard.
+   * @param {number[]} trackNumbers
+   * @param {number} startS
+   * @param {number} endS
+   */
+  copyRegion(trackNumbers, startS, endS) {
+    this.#checkRegion(trackNumbers, startS, endS);
+    this.#clipboard = trackNumbers.map(trackNumber => ({
+      trackNumber,
+      channels: this.#renderTrack(this.#tracks[trackNumber], startS, endS),
+    }));
+  }
+
+  /**
+   * Silences a range of tape time on tracks.
+   * @param {number[]} trackNumbers
+   * @param {number} startS
+   * @param {number} endS
+   * @param {string} [description] Describes the edit in the undo history.
+   */
+  deleteRegion(trackNumbers, startS, endS, description) {
+    this.#checkRegion(trackNumbers, startS, endS);
+    const sampleRate = this.#audioCtx.sampleRate;
+    const startFrame = Math.round(startS * sampleRate);
+    const endFrame = Math.round(endS * sampleRate);
+    this.#editTakes(trackNumbers,
+      description || `Delete ${startS.toFixed(2)}s-${endS.toFixed(2)}s on tracks ${trackNumbers.join(', ')}`,
+      (audio) => {
+        const edited = audio.clone();
+        edited.clear(startFrame, endFrame);
+        return edited;
+      });
+  }
+
+  /**
+   * Copies a range to the clipboard, then silences it.
+   * @param {number[]} trackNumbers
+   * @param {number} startS
+   * @param {number} endS
+   */
+  cutRegion(trackNumbers, startS, endS) {
+    this.copyRegion(trackNumbers, startS, endS);
+    this.deleteRegion(trackNumbers, startS, endS,
+      `Cut ${startS.toFixed(2)}s-${endS.toFixed(2)}s on tracks ${trackNumbers.join(', ')}`);
+  }
+
+  /**
+   * Overwrites tracks with the clipboard, starting at a tape time.  Each
+   * clipboard track is pasted back onto the track it was copied from, unless
+   * a single track was copied, in which case it can go to another track.
+   * @param {number} atS
+   * @param {number} [trackNumber] The track to paste a single copied track onto.
+   */
+  pasteRegion(atS, trackNumber) {
+    if (this.#clipboard.length === 0) {
+      throw new Error('Nothing has been copied.');
+    }
+    if (trackNumber !== undefined && this.#clipboard.length > 1) {
+      throw new Error('Several tracks were copied, so they can only be pasted onto the tracks they came from.');
+    }
+    const clips = trackNumber === undefined ? this.#clipboard :
+      [{ trackNumber, channels: this.#clipboard[0].channels }];
+    this.#pasteClips(clips, atS, `Paste at ${atS.toFixed(2)}s on tracks ${clips.map(clip => clip.trackNumber).join(', ')}`);
+  }
+
+  /**
+   * Moves a range of audio on tracks, leaving silence where it was.
+   * The clipboard is not changed.
+   * @param {number[]} trackNumbers
+   * @param {number} startS
+   * @param {number} endS
+   * @param {number} byS How far to move the audio; negative is earlier.
+   */
+  moveRegion(trackNumbers, startS, endS, byS) {
+    this.#checkRegion(trackNumbers, startS, endS);
+    if (startS + byS < 0) {
+      throw new Error('The region cannot be moved before the start of the tape.');
+    }
+    const clips = trackNumbers.map(trackNumber => ({
+      trackNumber,
+      channels: this.#renderTrack(this.#tracks[trackNumber], startS, endS),
+    }));
+    const description = `Move ${startS.toFixed(2)}s-${endS.toFixed(2)}s by ${byS.toFixed(3)}s on tracks ${trackNumbers.join(', ')}`;
+    this.#undoHistory.group(description, () => {
+      this.deleteRegion(trackNumbers, startS, endS, description);
+      this.#pasteClips(clips, startS + byS, description);
+    });
+  }
+
+  /**
+   * Inserts silence into every track, moving everything after it later.
+   * @param {number} atS
+   * @param {number} durationS
+   */
+  insertTime(atS, durationS) {
+    if (!(atS >= 0) || !(durationS > 0)) {
+      throw new Error(`Invalid time to insert: ${durationS}s at ${atS}s`);
+    }
+    const sampleRate = this.#audioCtx.sampleRate;
+    const atFrame = Math.round(atS * sampleRate);
+    const insertFrames = Math.round(durationS * sampleRate);
+    /** @param {number} timeS */
+    const moveTime = (timeS) => timeS >= atS ? timeS + durationS : timeS;
+    this.#editTakes(this.#tracks.map((_, i) => i),
+      `Insert ${durationS.toFixed(2)}s at ${atS.toFixed(2)}s`,
+      (audio) => {
+        const edited = new ChunkedAudio(audio.channelCount, sampleRate);
+        edited.copyFrom(audio, 0, atFrame);
+        edited.copyFromShifted(audio, atFrame, audio.length, insertFrames);
+        return edited;
+      },
+      (punch) => ({
+        ...punch,
+        startS: moveTime(punch.startS),
+        endS: punch.endS > atS || punch.startS >= atS ? punch.endS + durationS : punch.endS,
+      }));
+  }
+
+  /**
+   * Removes a range of time from every track, moving everything after it earlier.
+   * @param {number} startS
+   * @param {number} endS
+   */
+  removeTime(startS, endS) {
+    if (!(startS >= 0) || !(endS > startS)) {
+      throw new Error(`Invalid time to remove: ${startS}s-${endS}s`);
+    }
+    const sampleRate = this.#audioCtx.sampleRate;
+    const startFrame = Math.round(startS * sampleRate);
+    const endFrame = Math.round(endS * sampleRate);
+    /** @param {number} timeS */
+    const moveTime = (timeS) => timeS < startS ? timeS : Math.max(startS, timeS - (endS - startS));
+    this.#editTakes(this.#tracks.map((_, i) => i),
+      `Remove ${startS.toFixed(2)}s-${endS.toFixed(2)}s`,
+      (audio) => {
+        const edited = new ChunkedAudio(audio.channelCount, sampleRate);
+        edited.copyFrom(audio, 0, startFrame);
+        edited.copyFromShifted(audio, endFrame, audio.length, startFrame - endFrame);
+        return edited;
+      },
+      (punch) => ({ ...punch, startS: moveTime(punch.startS), endS: moveTime(punch.endS) }));
+  }
+
+  /**
+   * Processes a range of a track offline, in every take.
+   * @param {number} trackNumber
+   * @param {TrackProcess} process
+   * @param {number} [startS]
+   * @param {number} [endS] Defaults to the end of the track.
+   * @returns {string} What was done, e.g. including the gain that normalizing applied.
+   */
+  processTrack(trackNumber, process, startS = 0, endS) {
+    this.#checkRegion([trackNumber], startS, startS);
+    const track = this.#tracks[trackNumber];
+    endS = endS ?? track.endS;
+    const range = `${startS.toFixed(2)}s-${endS.toFixed(2)}s on track ${trackNumber}`;
+    if (!(endS > startS)) {
+      throw new Error(`Nothing to process: ${range}`);
+    }
+    if (process.type === 'silence') {
+      const description = `Silence ${range}`;
+      this.deleteRegion([trackNumber], startS, endS, description);
+      return description;
+    }
+
+    const sampleRate = this.#audioCtx.sampleRate;
+    /** @type {(channels: Float32Array[]) => void} */
+    let processChannels;
+    /** @type {string} */
+    let description;
+    /** @type {((punch: Punch) => Punch) | undefined} */
+    let editPunch;
+    switch (process.type) {
+      case 'gain': {
+        const gain = dbToGain(process.gainDB);
+        processChannels = (channels) => applyGain(channels, gain);
+        description = `Change the gain of ${range} by ${process.gainDB.toFixed(1)} dB`;
+        break;
+      }
+      case 'fade':
+        processChannels = (channels) => applyFade(channels, process.direction, process.curve);
+        description = `Fade ${process.direction} ${range} (${process.curve})`;
+        break;
+      case 'normalize': {
+        const channels = this.#renderTrack(track, startS, endS);
+        const level = process.mode === 'peak' ? measurePeak(channels) : measureRms(channels);
+        if (level === 0) {
+          throw new Error(`There is only silence in ${range}.`);
+        }
+        const gainDB = process.targetDB - 20 * Math.log10(level);
+        const gain = dbToGain(gainDB);
+        processChannels = (channels) => applyGain(channels, gain);
+        description = `Normalize ${range} to ${process.targetDB.toFixed(1)} dB ${process.mode} (${gainDB.toFixed(1)} dB of gain)`;
+        break;
+      }
+      case 'reverse':
+        processChannels = reverse;
+        description = `Reverse ${range}`;
+        // A punch inside the range is mirrored with its audio; one that
+        // straddles an edge keeps its place.
+        editPunch = (punch) => {
+          const isInside = (/** @type {number} */ timeS) => timeS >= startS && timeS <= endS;
+          if (![punch.startS, punch.endS, punch.startS + punch.offsetS, punch.endS + punch.offsetS].every(isInside)) {
+            return punch;
+          }
+          return {
+            startS: startS + endS - punch.endS,
+            endS: startS + endS - punch.startS,
+            offsetS: -punch.offsetS,
+            fadeInS: punch.fadeOutS,
+            fadeOutS: punch.fadeInS,
+          };
+        };
+        break;
+      case 'removeDC':
+        processChannels = (channels) => removeDC(channels, sampleRate);
+        description = `Remove DC offset from ${range}`;
+        break;
+      default:
+        throw new Error(`Unknown processing: ${/** @type {any} */ (process).type}`);
+    }
+
+    const startFrame = Math.round(startS * sampleRate);
+    const endFrame = Math.round(endS * sampleRate);
+    this.#editTakes([trackNumber], description, (audio) => {
+      const edited = audio.clone();
+      const channels = edited.read(startFrame, endFrame);
+      processChannels(channels);
+      edited.write(startFrame, channels);
+      return edited;
+    }, editPunch);
+    return description;
+  }
+
+  /**
+   * @param {{trackNumber: number, channels: Float32Array[]}[]} clips
+   * @param {number} atS
+   * @param {string} description
+   */
+  #pasteClips(clips, atS, description) {
+    const trackNumbers = clips.map(clip => clip.trackNumber);
+    this.#checkRegion(trackNumbers, atS, atS);
+    const atFrame = Math.round(atS * this.#audioCtx.sampleRate);
+    const clipsByTrack = new Map(clips.map(clip => [clip.trackNumber, clip.channels]));
+    this.#editTakes(trackNumbers, description, (audio, trackNumber) => {
+      const channels = /** @type {Float32Array[]} */ (clipsByTrack.get(trackNumber));
+      const edited = audio.clone();
+      edited.write(atFrame, Array.from({ length: audio.channelCount },
+        (_, c) => channels[Math.min(c, channels.length - 1)]));
+      return edited;
+    });
+  }
+
+  /**
+   * @param {number[]} trackNumbers
+   * @param {number} startS
+   * @param {number} endS
+   */
+  #checkRegion(trackNumbers, startS, endS) {
+    if (trackNumbers.length === 0) {
+      throw new Error('No tracks to edit.');
+    }
+    for (const trackNumber of trackNumbers) {
+      if (!Number.isInteger(trackNumber) || trackNumber < 0 || trackNumber >= this.#tracks.length) {
+        throw new Error(`Invalid track number: ${trackNumber}`);
+      }
+    }
+    if (!(startS >= 0) || !(endS >= startS)) {
+      throw new Error(`Invalid region: ${startS}s-${endS}s`);
+    }
+  }
+
+  /**
+   * Applies an edit to the base and recorded audio of every take on tracks,
+   * and recomputes the takes' stats.  The previous audio objects are kept for
+   * undo; edits build new ones, which share unchanged chunks.
+   * @param {number[]} trackNumbers
+   * @param {string} description
+   * @param {(audio: ChunkedAudio, trackNumber: number) => ChunkedAudio} editAudio
+   * @param {(punch: Punch) => Punch} [editPunch] Moves or reshapes a take's punch to follow the edit.
+   */
+  #editTakes(trackNumbers, description, editAudio, editPunch) {
+    this.checkEditable();
+    /**
+     * @type {{take: Take, base: ChunkedAudio, recorded: ChunkedAudio, punch: Punch,
+     *   baseSegments: BaseSegment[], basePunches: {startS: number, endS: number}[]}[]}
+     */
+    const before = [];
+    /** @type {typeof before} */
+    const after = [];
+    for (const trackNumber of trackNumbers) {
+      for (const take of this.#tracks[trackNumber].takes) {
+        /** @type {Punch} */
+        const punch = {
+          startS: take.state.getNumber('startS'),
+          endS: take.state.getNumber('endS'),
+          offsetS: take.state.getNumber('offsetS'),
+          fadeInS: take.state.getNumber('fadeInS'),
+          fadeOutS: take.state.getNumber('fadeOutS'),
+        };
+        before.push({
+          take, base: take.base, recorded: take.recorded, punch,
+          baseSegments: take.baseSegments, basePunches: take.basePunches,
+        });
+        after.push({
+          take,
+          base: editAudio(take.base, trackNumber),
+          recorded: editAudio(take.recorded, trackNumber),
+          punch: editPunch ? editPunch(punch) : punch,
+          // The segments the base came from move with the audio, like punches do.
+          baseSegments: editPunch ? take.baseSegments.map(({ takeId, startS, endS }) => {
+            const moved = editPunch({ startS, endS, offsetS: 0, fadeInS: 0, fadeOutS: 0 });
+            return { takeId, startS: moved.startS, endS: moved.endS };
+          }) : take.baseSegments,
+          basePunches: editPunch ? take.basePunches.map(({ startS, endS }) => {
+            const moved = editPunch({ startS, endS, offsetS: 0, fadeInS: 0, fadeOutS: 0 });
+            return { startS: moved.startS, endS: moved.endS };
+          }) : take.basePunches,
+        });
+      }
+    }
+    const apply = (/** @type {typeof before} */ versions) => {
+      for (const { take, base, recorded, punch, baseSegments, basePunches } of versions) {
+        take.base = base;
+        take.recorded = recorded;
+        take.baseSegments = baseSegments;
+        take.basePunches = basePunches;
+        for (const [key, value] of Object.entries(punch)) {
+          take.state.set(key, value);
+        }
+        // Click bleed can only be measured as the take is recorded, so it is kept.
+        const clickBleed = /** @type {ClickBleedStats[]} */ (take.state.get('stats') || []);
+        take.state.set('stats', this.#computeStats(recorded, punch.startS, punch.endS, clickBleed));
+        this.#renderPunch(take);
+        take.revision++;
+      }
+    };
+    apply(after);
+    this.#undoHistory.push({
+      description,
+      undo: () => apply(before),
+      redo: () => apply(after),
+    });
+  }
+
+  /**
+   * @param {number} channelCount The number of channels (1 = mono, 2 = stereo).
+   */
+  #addTrack(channelCount) {
+    const track = this.#createTrack(channelCount, this.#tracks.length);
+    this.#mixer.patch(track.gainNode, this.#tracks.length);
+    this.#tracks.push(track);
+    this.state.getList('tracks').add(track.state);
+    this.#updateTrackGains();
+  }
+
+  /**
+   * Creates a track without adding it to the deck.
+   * @param {number} channelCount The number of channels (1 = mono, 2 = stereo).
+   * @param {number} trackNumber
+   * @returns {Track}
+   */
+  #createTrack(channelCount, trackNumber) {
+    if (!Number.isInteger(channelCount) || channelCount < 1) {
+      throw new Error(`Invalid channel count: ${channelCount}`);
+    }
+    const gainNode = this.#audioCtx.createGain();
+    const trackInfo = { trackNumber, name: "" };
+    const trackState = new State({
+      info: trackInfo,
+      channelCount,
+      activeTake: 0,
+      comps: {},
+      muted: false,
+      soloed: false,
+    });
+    trackState.addList('takes');
+    // Note: We don't create the source node here because they are one-shot and must be created at playback time.
+    return new Track(trackInfo, gainNode, trackState);
   }
 
   /**
    * @param {import('./record-handler.js').SampleData} data
    */
   #handleSamples(data) {
-    const armedTrack = this.state.getNumber('armedTrack');
+    const armedTracks = this.armedTracks;
     // Only record if a track is armed, the tape is rolling, and we have a punch-in time.
-    if (armedTrack < 0 || this.#tapeZeroFrame <= 0 || this.#punchInTapeFrame < 0) {
+    if (armedTracks.length === 0 || !this.#rolling || this.#punchInTapeFrame < 0) {
+      return;
+    }
+    if (this.#loopRecord) {
+      this.#handleLoopSamples(data);
       return;
     }
 
-    // Calculate the start frame for this sample batch in "tape time"
-    let startTapeFrame = data.startFrame - this.#tapeZeroFrame;
-    const endTapeFrame = startTapeFrame + data.samples.length;
+    // Calculate the range of this sample batch in "tape time"
+    const batchStartTapeFrame = data.startFrame - this.#tapeZeroFrame;
+    const batchEndTapeFrame = batchStartTapeFrame + data.frameCount;
+
+    // Don't record samples from before the punch-in point or after the punch-out point.
+    const startTapeFrame = Math.max(0, this.#punchInTapeFrame, batchStartTapeFrame);
+    let endTapeFrame = batchEndTapeFrame;
+    if (this.#punchOutTapeFrame >= 0) {
+      endTapeFrame = Math.min(endTapeFrame, this.#punchOutTapeFrame);
+    }
+    if (endTapeFrame > startTapeFrame) {
+      const inputChannels = data.channels.map(channel => channel.subarray(
+        startTapeFrame - batchStartTapeFrame, endTapeFrame - batchStartTapeFrame));
+      for (const { trackNumber, inputChannel } of armedTracks) {
+        this.#setBufferData(inputChannels, inputChannel, trackNumber, startTapeFrame);
+      }
+    }
 
     // If we have a stop time, check if we've passed it.
-    if (this.#stopTapeFrame >= 0 && endTapeFrame >= this.#stopTapeFrame) {
+    if (this.#stopTapeFrame >= 0 && batchEndTapeFrame >= this.#stopTapeFrame) {
       this.stop();
     }
+  }
 
-    // Don't record samples from before the punch-in point or after the punch-out point.
-    if (endTapeFrame < this.#punchInTapeFrame) {
-      return;
+  /**
+   * Records a batch of samples while loop recording.  The batch is split where
+   * it crosses the end of the loop, which completes a pass.
+   * @param {import('./record-handler.js').SampleData} data
+   */
+  #handleLoopSamples(data) {
+    let offset = 0;
+    while (offset < data.frameCount && this.#loopRecord) {
+      const loop = this.#loopRecord;
+      const linearFrame = data.startFrame + offset - this.#tapeZeroFrame;
+      if (linearFrame < loop.startFrame) {
+        offset += Math.min(data.frameCount - offset, loop.startFrame - linearFrame);
+        continue;
+      }
+      const pass = Math.floor((linearFrame - loop.startFrame) / (loop.endFrame - loop.startFrame));
+      if (pass > loop.pass) {
+        this.#finishLoopPass();
+        continue;
+      }
+      const tapeFrame = this.#loopTapeFrame(linearFrame);
+      const frameCount = Math.min(data.frameCount - offset, loop.endFrame - tapeFrame);
+      const inputChannels = data.channels.map(channel => channel.subarray(offset, offset + frameCount));
+      for (const { trackNumber, inputChannel } of this.armedTracks) {
+        this.#setBufferData(inputChannels, inputChannel, trackNumber, tapeFrame);
+      }
+      offset += frameCount;
     }
-    if (this.#punchOutTapeFrame >= 0 && startTapeFrame > this.#punchOutTapeFrame) {
+  }
+
+  /**
+   * Keeps the pass that was just recorded as a take on each recording track,
+   * then either starts the next pass or stops after the last one.
+   */
+  #finishLoopPass() {
+    const loop = /** @type {LoopRecording} */ (this.#loopRecord);
+    const sampleRate = this.#audioCtx.sampleRate;
+    const startS = loop.startFrame / sampleRate;
+    const endS = loop.endFrame / sampleRate;
+    const recordingTracks = this.#tracks.filter(track => track.recordingTake);
+    const recordingTrackNumbers = recordingTracks.map(track => this.#tracks.indexOf(track));
+    this.#undoHistory.group(`Record loop pass ${loop.pass + 1} on tracks ${recordingTrackNumbers.join(', ')}`, () => {
+      for (const track of recordingTracks) {
+        this.#finishTake(track, endS);
+      }
+    });
+    loop.pass++;
+    if (loop.pass >= loop.maxPasses) {
+      this.stop();
       return;
     }
-    let dataSamples = data.samples;
-    if (startTapeFrame < 0) {
-      dataSamples = data.samples.subarray(-startTapeFrame);
-      startTapeFrame = 0;
+    for (const track of recordingTracks) {
+      track.recordingTake = this.#startTake(track, startS);
+    }
+  }
+
+  /**
+   * @param {number} linearFrame The number of frames the tape has moved from tape zero.
+   * @returns {number} Where that is on the tape, taking looping into account.
+   */
+  #loopTapeFrame(linearFrame) {
+    const loop = this.#loopRecord || this.#playLoop;
+    if (!loop || linearFrame < loop.startFrame) {
+      return linearFrame;
     }
-    this.#setBufferData(dataSamples, 0, armedTrack, startTapeFrame);
+    return loop.startFrame + (linearFrame - loop.startFrame) % (loop.endFrame - loop.startFrame);
   }
 
   /**
-   * Copies audio samples into a specific track buffer.
-   * @param {Float32Array} inputAudioSamples The audio samples to copy.
-   * @param {number} inputStartFrame The starting sample index within `inputAudioSamples` to copy from.
+   * Copies audio samples into the take being recorded on a track.  Track
+   * channel `c` is taken from input channel `firstInputChannel + c`; `arm`
+   * has checked that those inputs exist.
+   * @param {Float32Array[]} inputChannels The audio samples to copy, one array per input channel.
+   * @param {number} firstInputChannel The input channel that feeds the first track channel.
    * @param {number} trackNumber The index of the track to write to.
    * @param {number} trackStartFrame The starting sample index within the track buffer to write to.
    */
-  #setBufferData(inputAudioSamples, inputStartFrame, trackNumber, trackStartFrame) {
+  #setBufferData(inputChannels, firstInputChannel, trackNumber, trackStartFrame) {
     if (trackNumber < 0 || trackNumber >= this.#tracks.length) {
       throw new Error(`Invalid track number: ${trackNumber}`);
     }
-    const trackBuffer = this.#tracks[trackNumber].buffer;
-    const trackChannelData = trackBuffer.getChannelData(0); // Assuming mono tracks
-    const samplesToCopy = inputAudioSamples.subarray(inputStartFrame);
-    trackChannelData.set(samplesToCopy, trackStartFrame);
+    const take = this.#tracks[trackNumber].recordingTake;
+    if (!take || inputChannels.length === 0) {
+      return;
+    }
+    const trackChannels = [];
+    for (let c = 0; c < take.recorded.channelCount; c++) {
+      trackChannels.push(inputChannels[firstInputChannel + c]);
+    }
+    take.recorded.write(trackStartFrame, trackChannels);
+  }
+
+  /**
+   * Adds audio from outside the session (e.g. an imported file) to a track as
+   * a new take, exactly as if it had been recorded there.  If the audio has
+   * more channels than the track, the extra channels are mixed down.
+   * @param {Float32Array[]} channels The audio, at the context's sample rate.
+   * @param {number} startS The tape time at which the audio starts.
+   * @param {{trackNumber?: number, name?: string}} [options] If no track number
+   *   is given, a new track with the audio's channel count is added.  The name
+   *   describes the audio in the undo history.
+   * @returns {{trackNumber: number, takeNumber: number}}
+   */
+  importTake(channels, startS, { trackNumber = this.#tracks.length, name = 'audio' } = {}) {
+    if (channels.length === 0 || channels[0].length === 0) {
+      throw new Error('There is no audio to import.');
+    }
+    if (startS < 0) {
+      throw new Error('Start time must not be negative.');
+    }
+    if (this.#tracks.some(track => track.recordingTake)) {
+      throw new Error('Cannot import audio while recording.');
+    }
+    if (!Number.isInteger(trackNumber) || trackNumber < 0 || trackNumber > this.#tracks.length) {
+      throw new Error(`Invalid track number: ${trackNumber}`);
+    }
+    const isNewTrack = trackNumber === this.#tracks.length;
+    if (isNewTrack) {
+      this.#addTrack(channels.length);
+    }
+    const track = this.#tracks[trackNumber];
+
+    // Source channel `i` goes to track channel `i % channelCount`, so extra
+    // channels are mixed down; a track channel with no source (e.g. the right
+    // side of a stereo track under a mono file) gets a copy of one.
+    const trackChannels = [];
+    for (let c = 0; c < track.channelCount; c++) {
+      const sources = channels.filter((_, i) => i % track.channelCount === c);
+      if (sources.length === 0) {
+        sources.push(channels[c % channels.length]);
+      }
+      const mixed = new Float32Array(channels[0].length);
+      for (const source of sources) {
+        for (let i = 0; i < mixed.length; i++) {
+          mixed[i] += source[i] / sources.length;
+        }
+      }
+      trackChannels.push(mixed);
+    }
+
+    const sampleRate = this.#audioCtx.sampleRate;
+    const startFrame = Math.round(startS * sampleRate);
+    let takeNumber;
+    try {
+      track.recordingTake = this.#startTake(track, startFrame / sampleRate);
+      this.#setBufferData(trackChannels, 0, trackNumber, startFrame);
+      takeNumber = track.recordingTake.takeNumber;
+      this.#finishTake(track, (startFrame + channels[0].length) / sampleRate, {
+        description: `Import ${name} as take ${takeNumber} on track ${trackNumber}`,
+        recorded: false,
+      });
+    } catch (error) {
+      // Leave the deck as it was, rather than stuck recording.
+      this.#discardTake(track);
+      if (isNewTrack) {
+        this.#removeTrack(trackNumber);
+      }
+      throw error;
+    }
+    return { trackNumber, takeNumber };
+  }
+
+  /**
+   * Describes every track and take for saving a session.  The audio of each
+   * take is fetched separately with `getTakeAudio`.  Takes that are still
+   * being recorded are left out until they are finished.
+   * @returns {any}
+   */
+  getSessionData() {
+    return {
+      countInBars: this.countInBars,
+      preRollBars: this.preRollBars,
+      postRollBars: this.postRollBars,
+      crossfadeS: this.crossfadeS,
+      tracks: this.#tracks.map(track => ({
+        channelCount: track.channelCount,
+        name: track.state.get('name') || '',
+        muted: track.muted,
+        soloed: track.soloed,
+        activeTake: track.state.getNumber('activeTake'),
+        comps: track.comps,
+        takes: track.takes.filter(take => take !== track.recordingTake).map(take => ({
+          id: take.id,
+          revision: take.revision,
+          baseSegments: take.baseSegments,
+          basePunches: take.basePunches,
+          ...take.state.getJSON(),
+        })),
+      })),
+    };
+  }
+
+  /**
+   * Returns a copy of a take's recorded range, and of its base where it was
+   * copied from punches.
+   * @param {string} takeId
+   * @returns {TakeAudio}
+   */
+  getTakeAudio(takeId) {
+    for (const track of this.#tracks) {
+      const take = track.takes.find(t => t.id === takeId);
+      if (!take) {
+        continue;
+      }
+      const sampleRate = this.#audioCtx.sampleRate;
+      const recorded = take.recorded.read(Math.round(take.state.getNumber('startS') * sampleRate),
+        Math.round(take.state.getNumber('endS') * sampleRate));
+      const base = take.basePunches.map(({ startS, endS }) =>
+        take.base.read(Math.round(startS * sampleRate), Math.round(endS * sampleRate)));
+      return { recorded, base };
+    }
+    throw new Error(`Take not found: ${takeId}`);
+  }
+
+  /**
+   * Recreates tracks and takes from `getSessionData()`.  Expects an empty tape deck.
+   * This is not recorded in the undo history.
+   * @param {any} data
+   * @param {(takeId: string) => Promise<TakeAudio>} loadAudio Fetches the audio of a take.
+   *   Each take's base is rebuilt from the bases of the takes before it, which
+   *   share their chunks with it, and its stored audio where they had punches.
+   */
+  async loadSessionData(data, loadAudio) {
+    if (this.#tracks.length > 0) {
+      throw new Error('Sessions can only be loaded into an empty tape deck.');
+    }
+    this.setRoll(data);
+    if (data.crossfadeS !== undefined) {
+      this.setCrossfade(data.crossfadeS);
+    }
+    for (const trackData of data.tracks) {
+      this.#addTrack(trackData.channelCount);
+      const track = this.#tracks[this.#tracks.length - 1];
+      track.state.set('name', trackData.name);
+      track.state.set('muted', !!trackData.muted);
+      track.state.set('soloed', !!trackData.soloed);
+      for (const { id, revision, baseSegments, basePunches, ...takeData } of trackData.takes) {
+        const takeAudio = await loadAudio(id);
+        const sampleRate = this.#audioCtx.sampleRate;
+        /** @type {PlaybackSegment[]} */
+        const segments = [];
+        for (const { takeId, startS, endS } of baseSegments) {
+          const source = track.takes.find(t => t.id === takeId);
+          if (source) {
+            segments.push({ take: source, startS, endS });
+          }
+        }
+        // The earlier takes' punches may have changed since this take was
+        // recorded, so what they played over them is taken from this take.
+        const base = this.#buildBase(trackData.channelCount, segments, 'base');
+        basePunches.forEach((/** @type {{startS: number}} */ { startS }, i) => {
+          base.write(Math.round(startS * sampleRate), takeAudio.base[i]);
+        });
+        const recorded = new ChunkedAudio(trackData.channelCount, sampleRate);
+        if (takeAudio.recorded.length > 0 && takeAudio.recorded[0].length > 0) {
+          recorded.write(Math.round(takeData.startS * sampleRate), takeAudio.recorded);
+        }
+        const takeState = new State({ offsetS: 0, fadeInS: 0, fadeOutS: 0, removed: false, ...takeData });
+        const take = new Take(base, recorded, takeState, id);
+        take.baseSegments = baseSegments;
+        take.basePunches = basePunches;
+        this.#renderPunch(take);
+        take.revision = revision;
+        track.takes.push(take);
+        track.state.getList('takes').add(take.state);
+      }
+      this.#setTakeSelection(track, trackData.activeTake, trackData.comps);
+    }
+    this.#updateTrackGains();
   }
 
   /**
@@ -0,0 +1,129 @@
+// @ts-check
+
+import { MakeToolResponse } from './tool.js';
+import { dbToGain, measurePeak } from './audio-processing.js';
+import { detectTempo } from './beat-detection.js';
+import { SongContext } from './song-context.js';
+import { TapeDeck } from './tape-deck.js';
+import { UndoHistory } from './undo-history.js';
+
+/**
+ * @typedef {import('./tool.js').Tool} Tool
+ * @typedef {import('./tool.js').FunctionResponse} FunctionResponse
+ * @typedef {import('./tool.js').FunctionDeclaration} FunctionDeclaration
+ */
+
+/**
+ * Audio quieter than this before the downbeat can be cut to move the tape
+ * earlier onto a bar line.
+ */
+const SILENCE_DB = -60;
+
+/**
+ * The DetectTempoTool implementation.
+ * @implements {Tool}
+ */
+export class DetectTempoTool {
+  /** @type {FunctionDeclaration} */
+  declaration = {
+    name: 'detect_tempo',
+    description: 'Estimates the tempo and first downbeat of a track that was played freely, without the click. First call it without `apply` and offer the result to the user; call it again with `apply` once they agree. Applying sets the song tempo and moves every track to the nearest bar line: earlier if the tape is silent before the downbeat for long enough, otherwise later.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        trackNumber: {
+          type: 'INTEGER',
+          description: 'The track to analyze.',
+        },
+        apply: {
+          type: 'BOOLEAN',
+          description: 'Whether to set the song tempo and line up the tape with the detected beat. Defaults to false.',
+        },
+      },
+      required: ['trackNumber'],
+    },
+  };
+
+  /** @type {TapeDeck} */
+  #tapeDeck;
+  /** @type {SongContext} */
+  #songContext;
+  /** @type {UndoHistory} */
+  #undoHistory;
+  /** @type {AudioContext} */
+  #audioCtx;
+
+  /**
+   * @param {TapeDeck} tapeDeck
+   * @param {SongContext} songContext
+   * @param {UndoHistory} undoHistory
+   * @param {AudioContext} audioCtx
+   */
+  constructor(tapeDeck, songContext, undoHistory, audioCtx) {
+    this.#tapeDeck = tapeDeck;
+    this.#songContext = songContext;
+    this.#undoHistory = undoHistory;
+    this.#audioCtx = audioCtx;
+  }
+
+  /**
+   * @param {{trackNumber: number, apply?: boolean}} args
+   * @returns {Promise<FunctionResponse>}
+   */
+  async run(args) {
+    try {
+      const channels = this.#tapeDeck.getTrackAudio(args.trackNumber, 0, this.#tapeDeck.recordedLengthS);
+      const estimate = detectTempo(channels, this.#audioCtx.sampleRate,
+        { beatsPerMeasure: this.#songContext.beatsPerMeasure });
+      const tempo = Math.round(estimate.bpm * 10) / 10;
+      const summary = `Track ${args.trackNumber} is at about ${tempo} BPM, with the first downbeat at ` +
+        `${estimate.downbeatS.toFixed(2)}s (confidence ${Math.round(estimate.confidence * 100)}%).`;
+      if (!args.apply) {
+        return MakeToolResponse(this, `${summary} Ask the user whether to set the song to this tempo and line up the tape with it.`);
+      }
+
+      // Before the song changes, so a refused edit leaves both as they were.
+      this.#tapeDeck.checkEditable();
+      // Positive moves the tape later, negative earlier.
+      let shiftS = 0;
+      this.#undoHistory.group(`Set tempo to ${tempo} BPM from track ${args.trackNumber}`, () => {
+        this.#songContext.setSongTime({ tempo, beatsPerMeasure: this.#songContext.beatsPerMeasure });
+        const musicalTime = this.#songContext.musicalTime;
+        const { bar, beat, tick } = musicalTime.fromSeconds(estimate.downbeatS);
+        if (beat === 1 && tick === 0) {
+          return;
+        }
+        const laterS = musicalTime.toSeconds({ bar: bar + 1, beat: 1, tick: 0 }) - estimate.downbeatS;
+        const earlierS = estimate.downbeatS - musicalTime.toSeconds({ bar, beat: 1, tick: 0 });
+        // Moving earlier cuts the start of the tape, so only if nothing is playing there.
+        if (earlierS < laterS && this.#isSilent(0, earlierS)) {
+          shiftS = -earlierS;
+          this.#tapeDeck.removeTime(0, earlierS);
+        } else {
+          shiftS = laterS;
+          this.#tapeDeck.insertTime(0, laterS);
+        }
+      });
+      const shiftText = shiftS === 0 ? '' : ` Moved every track ${(Math.abs(shiftS) * 1000).toFixed(0)}ms ` +
+        `${shiftS > 0 ? 'later' : 'earlier'} to line up with the bars.`;
+      return MakeToolResponse(this, `${summary} Set the song tempo to ${tempo} BPM.${shiftText}`);
+    } catch (error) {
+      console.error('Error detecting tempo:', error);
+      return MakeToolResponse(this, `Error detecting tempo: ${error.message}`);
+    }
+  }
+
+  /**
+   * @param {number} startS
+   * @param {number} endS
+   * @returns {boolean} Whether every track is silent over the range.
+   */
+  #isSilent(startS, endS) {
+    for (let trackNumber = 0; trackNumber < this.#tapeDeck.trackCount; trackNumber++) {
+      if (measurePeak(this.#tapeDeck.getTrackAudio(trackNumber, startS, endS)) > dbToGain(SILENCE_DB)) {
+        return false;
+      }
+    }
+    return true;
+  }
+}
@@ -0,0 +1,173 @@
+// @ts-check
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MetronomeHandler } from '../metronome-handler.js';
+import { SongContext } from '../song-context.js';
+import { TransportEvent } from '../tape-deck.js';
+import { UndoHistory } from '../undo-history.js';
+
+/**
+ * Drives `MetronomeHandler` with transport events and checks the messages it
+ * posts to the metronome worklet.  The audio context, worklet node and tape
+ * deck are fakes that only do what the handler needs.
+ */
+
+class FakePort {
+  /** @type {{method: string, detail?: any}[]} */
+  messages = [];
+  /** @type {((event: any) => void) | null} */
+  onmessage = null;
+
+  /** @param {{method: string, detail?: any}} message */
+  postMessage(message) {
+    this.messages.push(message);
+  }
+}
+
+/** @type {FakeAudioWorkletNode[]} The nodes created, most recent last. */
+const nodes = [];
+
+class FakeAudioWorkletNode {
+  port = new FakePort();
+
+  constructor() {
+    nodes.push(this);
+  }
+
+  connect() { }
+}
+
+/** @type {any} */ (globalThis).AudioWorkletNode = FakeAudioWorkletNode;
+
+class FakeTapeDeck {
+  /** @type {(event: TransportEvent) => void} */
+  send = () => { };
+
+  /** @param {(event: TransportEvent) => void} callback */
+  onTransportEvent(callback) {
+    this.send = callback;
+  }
+}
+
+/**
+ * Creates a metronome for an 8 s song at 120 bpm in 4/4.
+ * @param {Record<string, boolean>} options Metronome state to set.
+ * @returns {Promise<{tapeDeck: FakeTapeDeck, port: FakePort}>} The port has
+ *   no messages yet.
+ */
+async function createMetronome(options) {
+  const audioCtx = { sampleRate: 48000, currentTime: 0, audioWorklet: { addModule: async () => { } } };
+  const songContext = new SongContext(new UndoHistory());
+  songContext.state.set('songLengthS', 8);
+  const tapeDeck = new FakeTapeDeck();
+  const metronome = await MetronomeHandler.create(/** @type {any} */ (audioCtx), songContext,
+    /** @type {any} */ (tapeDeck), /** @type {any} */ ({}));
+  for (const [key, value] of Object.entries(options)) {
+    metronome.state.set(key, value);
+  }
+  const port = nodes[nodes.length - 1].port;
+  port.messages = [];
+  return { tapeDeck, port };
+}
+
+/**
+ * @param {{isRecording?: boolean, countInS?: number, loopEndS?: number}} [fields]
+ * @returns {TransportEvent}
+ */
+function playEvent({ isRecording = false, countInS = 2, loopEndS = -1 } = {}) {
+  const event = new TransportEvent();
+  event.transportAction = 'play';
+  event.audioCtxTimeS = 1;
+  event.tapeTimeS = 0;
+  event.countInS = countInS;
+  event.isRecording = isRecording;
+  event.loopEndS = loopEndS;
+  return event;
+}
+
+/**
+ * @param {FakePort} port
+ * @returns {string[]}
+ */
+function methods(port) {
+  return port.messages.map(message => message.method);
+}
+
+for (const isRecording of [true, false]) {
+  const pass = isRecording ? 'recording' : 'playing';
+  for (const onWhenRecording of [true, false]) {
+    for (const onWhenPlaying of [true, false]) {
+      const isOn = isRecording ? onWhenRecording : onWhenPlaying;
+      test(`${isOn ? 'clicks' : 'is silent'} while ${pass} with onWhenRecording=${onWhenRecording}, onWhenPlaying=${onWhenPlaying}`, async () => {
+        const { tapeDeck, port } = await createMetronome({ onWhenRecording, onWhenPlaying, countInOnly: false });
+        tapeDeck.send(playEvent({ isRecording }));
+        if (!isOn) {
+          assert.deepEqual(methods(port), ['stop']);
+          return;
+        }
+        assert.deepEqual(methods(port), ['set', 'start']);
+        const { beats, continueSteadily } = port.messages[1].detail;
+        assert.equal(continueSteadily, true);
+        // Four count-in beats at 120 bpm, then the 8 s song.
+        assert.equal(beats.length, 4 + 16);
+        assert.deepEqual(beats.slice(0, 5).map((/** @type {any} */ b) => b.beat), [0, 1, 2, 3, 0]);
+        assert.equal(beats[4].timeS, 3);
+      });
+    }
+  }
+
+  test(`clicks only the count-in while ${pass} with countInOnly`, async () => {
+    const { tapeDeck, port } = await createMetronome({ onWhenRecording: false, onWhenPlaying: false, countInOnly: true });
+    tapeDeck.send(playEvent({ isRecording }));
+    assert.deepEqual(methods(port), ['set', 'start']);
+    const { beats, continueSteadily } = port.messages[1].detail;
+    assert.equal(continueSteadily, false);
+    assert.deepEqual(beats.map((/** @type {any} */ b) => b.timeS), [1, 1.5, 2, 2.5]);
+  });
+
+  test(`stops without a count-in while ${pass} with countInOnly`, async () => {
+    const { tapeDeck, port } = await createMetronome({ onWhenRecording: true, onWhenPlaying: true, countInOnly: true });
+    tapeDeck.send(playEvent({ isRecording, countInS: 0 }));
+    assert.deepEqual(methods(port), ['stop']);
+  });
+}
+
+test('stops when the tape stops', async () => {
+  const { tapeDeck, port } = await createMetronome({ onWhenPlaying: true });
+  tapeDeck.send(playEvent());
+  port.messages = [];
+  const event = new TransportEvent();
+  event.transportAction = 'stop';
+  tapeDeck.send(event);
+  assert.deepEqual(methods(port), ['stop']);
+});
+
+test('queues the beats of each pass round a loop', async () => {
+  const { tapeDeck, port } = await createMetronome({ onWhenPlaying: true, countInOnly: false });
+  tapeDeck.send(playEvent({ countInS: 0, loopEndS: 2 }));
+  assert.deepEqual(methods(port), ['set', 'start']);
+  assert.equal(port.messages[1].detail.continueSteadily, false);
+  assert.deepEqual(port.messages[1].detail.beats.map((/** @type {any} */ b) => b.timeS), [1, 1.5, 2, 2.5]);
+  port.messages = [];
+  const loop = new TransportEvent();
+  loop.transportAction = 'loop';
+  loop.audioCtxTimeS = 3;
+  loop.tapeTimeS = 0;
+  loop.loopEndS = 2;
+  tapeDeck.send(loop);
+  assert.deepEqual(methods(port), ['queue']);
+  assert.deepEqual(port.messages[0].detail.beats.map((/** @type {any} */ b) => b.timeS), [3, 3.5, 4, 4.5]);
+});
+
+test('does not queue loop passes when it is off', async () => {
+  const { tapeDeck, port } = await createMetronome({ onWhenPlaying: false, countInOnly: false });
+  tapeDeck.send(playEvent({ countInS: 0, loopEndS: 2 }));
+  port.messages = [];
+  const loop = new TransportEvent();
+  loop.transportAction = 'loop';
+  loop.audioCtxTimeS = 3;
+  loop.loopEndS = 2;
+  tapeDeck.send(loop);
+  assert.deepEqual(port.messages, []);
+});
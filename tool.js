@@ -34,7 +34,7 @@
 /**
  * @param {Tool} tool
  * @param {string} responseText
- * @param {{mimeType: string, fileUri: string}} [fileData]
+ * @param {{mimeType: string, fileUri: string} | {mimeType: string, fileUri: string}[]} [fileData]
  */
 export function MakeToolResponse(tool, responseText, fileData) {
   const result = {
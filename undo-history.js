@@ -0,0 +1,191 @@
+// @ts-check
+
+import { State } from './state.js';
+import { Stateful } from './stateful.js';
+
+/**
+ * A reversible change to the session.
+ * @typedef {Object} UndoEntry
+ * @property {string} description A short, human readable description, e.g. "Record take 2 on track 0".
+ * @property {() => void} undo Reverts the change.
+ * @property {() => void} redo Applies the change again after it was undone.
+ */
+
+/**
+ * Session-wide undo/redo history.  Components push an entry after each change
+ * they make; entries pushed while an undo or redo is being applied are ignored,
+ * so components can use their normal (recording) methods to revert themselves.
+ * @implements {Stateful}
+ */
+export class UndoHistory {
+  /** @type {UndoEntry[]} */
+  #undoStack = [];
+  /** @type {UndoEntry[]} */
+  #redoStack = [];
+  /** @type {boolean} */
+  #applying = false;
+  /** @type {UndoEntry[] | null} Entries collected by `group()`. */
+  #group = null;
+  /** @type {(() => string | null)[]} */
+  #guards = [];
+
+  /** @type {State} */
+  state;
+
+  static MAX_ENTRIES = 100;
+
+  constructor() {
+    // Descriptions, most recent first.
+    this.state = new State({
+      undo: [],
+      redo: [],
+    });
+  }
+
+  /**
+   * Records a change that can be undone.  Clears the redo history.
+   * @param {UndoEntry} entry
+   */
+  push(entry) {
+    if (this.#applying) {
+      return;
+    }
+    if (this.#group) {
+      this.#group.push(entry);
+      return;
+    }
+    this.#undoStack.push(entry);
+    if (this.#undoStack.length > UndoHistory.MAX_ENTRIES) {
+      this.#undoStack.shift();
+    }
+    this.#redoStack = [];
+    this.#updateState();
+  }
+
+  /**
+   * Runs `fn` and records every entry it pushes as a single undo step.
+   * A single entry keeps its own description.  If `fn` throws, the changes
+   * it made before throwing are undone, so none of them is left without an
+   * undo step.
+   * @param {string} description
+   * @param {() => void} fn
+   */
+  group(description, fn) {
+    if (this.#group || this.#applying) {
+      // Already grouping (or undoing); the outer call owns the entries.
+      fn();
+      return;
+    }
+    /** @type {UndoEntry[]} */
+    const entries = [];
+    this.#group = entries;
+    try {
+      fn();
+    } catch (error) {
+      this.#group = null;
+      this.#apply(() => {
+        for (let i = entries.length - 1; i >= 0; i--) {
+          entries[i].undo();
+        }
+      });
+      throw error;
+    } finally {
+      this.#group = null;
+    }
+    if (entries.length === 0) {
+      return;
+    }
+    if (entries.length === 1) {
+      this.push(entries[0]);
+      return;
+    }
+    this.push({
+      description,
+      undo: () => {
+        for (let i = entries.length - 1; i >= 0; i--) {
+          entries[i].undo();
+        }
+      },
+      redo: () => {
+        for (const entry of entries) {
+          entry.redo();
+        }
+      },
+    });
+  }
+
+  /**
+   * Adds a check that runs before every undo and redo, e.g. to refuse them
+   * while the state they would change is in use.
+   * @param {() => string | null} guard Returns why undo and redo can't be done
+   *   now, or null if they can.
+   */
+  addGuard(guard) {
+    this.#guards.push(guard);
+  }
+
+  #checkGuards() {
+    for (const guard of this.#guards) {
+      const reason = guard();
+      if (reason) {
+        throw new Error(reason);
+      }
+    }
+  }
+
+  /**
+   * Reverts the most recent change.
+   * @returns {string | null} The description of the undone change, or null if there was nothing to undo.
+   */
+  undo() {
+    this.#checkGuards();
+    const entry = this.#undoStack.pop();
+    if (!entry) {
+      return null;
+    }
+    this.#apply(() => entry.undo());
+    this.#redoStack.push(entry);
+    this.#updateState();
+    return entry.description;
+  }
+
+  /**
+   * Re-applies the most recently undone change.
+   * @returns {string | null} The description of the redone change, or null if there was nothing to redo.
+   */
+  redo() {
+    this.#checkGuards();
+    const entry = this.#redoStack.pop();
+    if (!entry) {
+      return null;
+    }
+    this.#apply(() => entry.redo());
+    this.#undoStack.push(entry);
+    this.#updateState();
+    return entry.description;
+  }
+
+  /**
+   * @param {() => void} fn
+   */
+  #apply(fn) {
+    this.#applying = true;
+    try {
+      fn();
+    } finally {
+      this.#applying = false;
+    }
+  }
+
+  #updateState() {
+    this.state.set('undo', this.#undoStack.map(entry => entry.description).reverse());
+    this.state.set('redo', this.#redoStack.map(entry => entry.description).reverse());
+  }
+
+  /**
+   * @returns {Object}
+   */
+  getJSON() {
+    return this.state.getJSON();
+  }
+}
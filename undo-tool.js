@@ -0,0 +1,126 @@
+// @ts-check
+
+import { MakeToolResponse } from './tool.js';
+import { UndoHistory } from './undo-history.js';
+
+/**
+ * @typedef {import('./tool.js').Tool} Tool
+ * @typedef {import('./tool.js').FunctionResponse} FunctionResponse
+ * @typedef {import('./tool.js').FunctionDeclaration} FunctionDeclaration
+ */
+
+/**
+ * The UndoTool implementation.
+ * @implements {Tool}
+ */
+export class UndoTool {
+  /** @type {FunctionDeclaration} */
+  declaration = {
+    name: 'undo',
+    description: 'Reverts the most recent changes to the session: recorded takes, take selection, song section edits and mixer changes. The current state lists what would be undone.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        steps: {
+          type: 'INTEGER',
+          description: 'The number of changes to undo. Defaults to 1.',
+        },
+      },
+      required: [],
+    },
+  };
+
+  /** @type {UndoHistory} */
+  #undoHistory;
+
+  /**
+   * @param {UndoHistory} undoHistory
+   */
+  constructor(undoHistory) {
+    this.#undoHistory = undoHistory;
+  }
+
+  /**
+   * @param {{steps?: number}} args
+   * @returns {Promise<FunctionResponse>}
+   */
+  async run(args) {
+    const undone = [];
+    try {
+      for (let i = 0; i < (args.steps || 1); i++) {
+        const description = this.#undoHistory.undo();
+        if (!description) {
+          break;
+        }
+        undone.push(description);
+      }
+    } catch (error) {
+      if (undone.length === 0) {
+        return MakeToolResponse(this, `Error undoing: ${error.message}`);
+      }
+      return MakeToolResponse(this, `Undone: ${undone.join('; ')}. Then stopped: ${error.message}`);
+    }
+    if (undone.length === 0) {
+      return MakeToolResponse(this, 'Nothing to undo.');
+    }
+    return MakeToolResponse(this, `Undone: ${undone.join('; ')}.`);
+  }
+}
+
+/**
+ * The RedoTool implementation.
+ * @implements {Tool}
+ */
+export class RedoTool {
+  /** @type {FunctionDeclaration} */
+  declaration = {
+    name: 'redo',
+    description: 'Re-applies changes that were just undone. The current state lists what would be redone.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        steps: {
+          type: 'INTEGER',
+          description: 'The number of changes to redo. Defaults to 1.',
+        },
+      },
+      required: [],
+    },
+  };
+
+  /** @type {UndoHistory} */
+  #undoHistory;
+
+  /**
+   * @param {UndoHistory} undoHistory
+   */
+  constructor(undoHistory) {
+    this.#undoHistory = undoHistory;
+  }
+
+  /**
+   * @param {{steps?: number}} args
+   * @returns {Promise<FunctionResponse>}
+   */
+  async run(args) {
+    const redone = [];
+    try {
+      for (let i = 0; i < (args.steps || 1); i++) {
+        const description = this.#undoHistory.redo();
+        if (!description) {
+          break;
+        }
+        redone.push(description);
+      }
+    } catch (error) {
+      if (redone.length === 0) {
+        return MakeToolResponse(this, `Error redoing: ${error.message}`);
+      }
+      return MakeToolResponse(this, `Redone: ${redone.join('; ')}. Then stopped: ${error.message}`);
+    }
+    if (redone.length === 0) {
+      return MakeToolResponse(this, 'Nothing to redo.');
+    }
+    return MakeToolResponse(this, `Redone: ${redone.join('; ')}.`);
+  }
+}
@@ -0,0 +1,71 @@
+// @ts-check
+
+/**
+ * @typedef {16 | 24 | 32} BitDepth 16 and 24 are integer PCM, 32 is IEEE float.
+ */
+
+/**
+ * Encodes raw audio data into a WAV file format Blob.
+ * @param {Float32Array[]} channels The raw audio samples, one array per channel.
+ * @param {number} sampleRate The sample rate of the audio.
+ * @param {BitDepth} [bitDepth=16]
+ * @returns {Blob} A Blob containing the WAV file data.
+ */
+export function encodeWav(channels, sampleRate, bitDepth = 16) {
+  if (bitDepth !== 16 && bitDepth !== 24 && bitDepth !== 32) {
+    throw new Error(`Unsupported bit depth: ${bitDepth}`);
+  }
+  const numChannels = channels.length;
+  const frameCount = channels[0].length;
+  const bytesPerSample = bitDepth / 8;
+  const blockAlign = numChannels * bytesPerSample;
+  const byteRate = sampleRate * blockAlign;
+  const dataSize = frameCount * blockAlign;
+  const fileSize = 36 + dataSize;
+
+  const buffer = new ArrayBuffer(44 + dataSize);
+  const view = new DataView(buffer);
+
+  // RIFF header
+  view.setUint32(0, 0x52494646, false); // "RIFF"
+  view.setUint32(4, fileSize, true);
+  view.setUint32(8, 0x57415645, false); // "WAVE"
+
+  // "fmt " sub-chunk
+  view.setUint32(12, 0x666d7420, false); // "fmt "
+  view.setUint32(16, 16, true); // Sub-chunk size
+  view.setUint16(20, bitDepth === 32 ? 3 : 1, true); // Audio format (1 = PCM, 3 = IEEE float)
+  view.setUint16(22, numChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, byteRate, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bitDepth, true); // Bits per sample
+
+  // "data" sub-chunk
+  view.setUint32(36, 0x64617461, false); // "data"
+  view.setUint32(40, dataSize, true);
+
+  // Write interleaved sample data
+  let offset = 44;
+  for (let i = 0; i < frameCount; i++) {
+    for (let c = 0; c < numChannels; c++, offset += bytesPerSample) {
+      const sample = channels[c][i];
+      if (bitDepth === 32) {
+        view.setFloat32(offset, sample, true);
+        continue;
+      }
+      const s = Math.max(-1, Math.min(1, sample));
+      if (bitDepth === 16) {
+        view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7FFF, true);
+      } else {
+        // There is no setInt24, so write the three little-endian bytes.
+        const value = Math.round(s < 0 ? s * 0x800000 : s * 0x7FFFFF);
+        view.setUint8(offset, value & 0xFF);
+        view.setUint8(offset + 1, (value >> 8) & 0xFF);
+        view.setUint8(offset + 2, (value >> 16) & 0xFF);
+      }
+    }
+  }
+
+  return new Blob([view], { type: 'audio/wav' });
+}
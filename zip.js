@@ -0,0 +1,112 @@
+// @ts-check
+
+/**
+ * @typedef {Object} ZipEntry
+ * @property {string} name The path of the file inside the archive.
+ * @property {Blob} data
+ */
+
+/** @type {Uint32Array | null} */
+let crcTable = null;
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {number} The CRC-32 checksum used by ZIP.
+ */
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * @param {Date} date
+ * @returns {{time: number, date: number}} The date in MS-DOS format.
+ */
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+/**
+ * Packs files into a ZIP archive.  Files are stored without compression:
+ * audio hardly compresses, and this keeps the archive simple to build in the browser.
+ * @param {ZipEntry[]} entries
+ * @returns {Promise<Blob>}
+ */
+export async function createZip(entries) {
+  const encoder = new TextEncoder();
+  const { time, date } = dosDateTime(new Date());
+  /** @type {BlobPart[]} */
+  const parts = [];
+  /** @type {Uint8Array[]} */
+  const centralDirectory = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = encoder.encode(entry.name);
+    const data = new Uint8Array(await entry.data.arrayBuffer());
+    const crc = crc32(data);
+    if (offset + 30 + name.length + data.length > 0xFFFFFFFF) {
+      throw new Error('The archive is too large.');
+    }
+
+    const local = new DataView(new ArrayBuffer(30 + name.length));
+    local.setUint32(0, 0x04034b50, true); // Local file header signature
+    local.setUint16(4, 20, true); // Version needed to extract
+    local.setUint16(6, 0x0800, true); // Flags: names are UTF-8
+    local.setUint16(8, 0, true); // Compression: stored
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true); // Compressed size
+    local.setUint32(22, data.length, true); // Uncompressed size
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true); // Extra field length
+    new Uint8Array(local.buffer).set(name, 30);
+
+    const central = new DataView(new ArrayBuffer(46 + name.length));
+    central.setUint32(0, 0x02014b50, true); // Central directory header signature
+    central.setUint16(4, 20, true); // Version made by
+    central.setUint16(6, 20, true); // Version needed to extract
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    // Extra field, comment, disk number, and attributes are all zero.
+    central.setUint32(42, offset, true); // Offset of the local header
+    new Uint8Array(central.buffer).set(name, 46);
+
+    parts.push(local, data);
+    centralDirectory.push(new Uint8Array(central.buffer));
+    offset += local.byteLength + data.length;
+  }
+
+  const centralSize = centralDirectory.reduce((size, header) => size + header.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true); // End of central directory signature
+  end.setUint16(8, entries.length, true); // Entries on this disk
+  end.setUint16(10, entries.length, true); // Total entries
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true); // Offset of the central directory
+
+  return new Blob([...parts, ...centralDirectory, end], { type: 'application/zip' });
+}